@@ -0,0 +1,157 @@
+// models/audit.js
+import mongoose from "mongoose";
+
+/**
+ * One saved SCOI audit run. Every run (streamed or structured) is stored
+ * so an entity's history can be listed and reopened.
+ *
+ * `key` is the normalized entity (see utils/normalizeEntity.js) and is what
+ * history lookups use; `entity` keeps the text exactly as the user typed it.
+ */
+const AuditSchema = new mongoose.Schema({
+  entity: { type: String, required: true },
+  key: { type: String, required: true, index: true },
+
+  // "stream" = /api/chat-stream free text, "structured" = schema-locked JSON
+  mode: { type: String, enum: ["stream", "structured"], default: "stream", index: true },
+  // language of the prose (utils/languages.js); scores are language-independent
+  language: { type: String, default: "en" },
+
+  // scores (null when they could not be determined, e.g. a failed stream)
+  visibility: { type: Number, default: null },
+  contribution: { type: Number, default: null },
+  ERF: { type: Number, default: null },
+  rawSCOI: { type: Number, default: null },
+  adjustedSCOI: { type: Number, default: null },
+  placementLevel: { type: String, default: null },
+  // ScoringPolicy version the scores were computed under (utils/scoringPolicy.js)
+  policyVersion: { type: Number, default: null },
+
+  // rationales
+  visibilityRationale: { type: String, default: "" },
+  contributionRationale: { type: String, default: "" },
+  ERFRationale: { type: String, default: "" },
+  interpretation: { type: String, default: "" },
+  commentary: { type: String, default: "" },
+
+  // full audit text as shown to the user (streamed text or formatted markdown)
+  text: { type: String, default: "" },
+
+  urls: { type: [String], default: [] },
+  source: { type: String, default: null },
+
+  // numbered context sources as shown to the model, and the [n] each claim
+  // cites (utils/citations.js)
+  sources: [{
+    _id: false,
+    n: Number,
+    title: String,
+    url: String,
+    snippet: String,
+  }],
+  citations: {
+    visibility: { type: [Number], default: [] },
+    contribution: { type: [Number], default: [] },
+    ERF: { type: [Number], default: [] },
+    commentary: { type: [Number], default: [] },
+  },
+  // claims without a source, dropped out-of-range indices
+  citationProblems: { type: [String], default: [] },
+
+  // grounding context used for the run (see utils/context)
+  context: {
+    provider: { type: String, default: null },
+    error: { type: String, default: null },
+  },
+
+  // set when the audit was run as part of a batch (models/auditBatch.js)
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: "AuditBatch", default: null, index: true },
+  // set when the audit was a scheduled re-audit (models/auditWatch.js)
+  watch: { type: mongoose.Schema.Types.ObjectId, ref: "AuditWatch", default: null, index: true },
+
+  // requester
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true, default: null },
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", index: true, default: null },
+
+  // model / prompt metadata
+  llm: {
+    provider: { type: String, default: "openai" },
+    model: { type: String, default: null },
+    promptVersion: { type: String, default: null },
+    temperature: { type: Number, default: null },
+    durationMs: { type: Number, default: null },
+    // tokens billed for this run (null for cache / exemplar hits) and their
+    // cost in USD (utils/llmUsage.js)
+    usage: {
+      promptTokens: { type: Number, default: null },
+      completionTokens: { type: Number, default: null },
+      totalTokens: { type: Number, default: null },
+    },
+    costUsd: { type: Number, default: null },
+  },
+
+  // streamed audits: the model's own arithmetic vs. the server recomputation
+  verification: {
+    checked: { type: Boolean, default: false },
+    consistent: { type: Boolean, default: null },
+    reported: {
+      rawSCOI: { type: Number, default: null },
+      adjustedSCOI: { type: Number, default: null },
+    },
+    discrepancies: [{
+      _id: false,
+      field: String,
+      reported: Number,
+      computed: Number,
+    }],
+  },
+
+  // review workflow (utils/auditReview.js): draft -> in_review -> approved -> published
+  status: {
+    type: String,
+    enum: ["draft", "in_review", "approved", "published"],
+    default: "draft",
+    index: true,
+  },
+  publishedAt: { type: Date, default: null },
+  // sector key (utils/sectors.js): suggested by the model on structured
+  // runs, or assigned by an analyst for every audit of the entity
+  sector: { type: String, default: null, index: true },
+  sectorSource: { type: String, enum: ["model", "analyst", null], default: null },
+  // the model's scores, kept from the first analyst override on
+  original: {
+    visibility: { type: Number, default: null },
+    contribution: { type: Number, default: null },
+    ERF: { type: Number, default: null },
+    rawSCOI: { type: Number, default: null },
+    adjustedSCOI: { type: Number, default: null },
+    placementLevel: { type: String, default: null },
+  },
+  overridden: { type: Boolean, default: false },
+  // every override and status change, oldest first
+  changeLog: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    byEmail: { type: String, default: null },
+    action: { type: String, enum: ["override", "status", "sector"], required: true },
+    changes: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    }],
+    justification: { type: String, default: "" },
+  }],
+
+  // set when the run failed part-way
+  error: { type: String, default: null },
+  // null while a streamed audit is still being generated
+  completedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+AuditSchema.index({ key: 1, createdAt: -1 });
+AuditSchema.index({ user: 1, createdAt: -1 });
+AuditSchema.index({ status: 1, key: 1, publishedAt: -1 });
+
+export default mongoose.models.Audit || mongoose.model("Audit", AuditSchema);
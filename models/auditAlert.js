@@ -0,0 +1,31 @@
+// models/auditAlert.js
+import mongoose from "mongoose";
+
+/**
+ * Drift alert raised by a scheduled re-audit (utils/watchScheduler.js):
+ *   placement_change — placement level differs from the previous run
+ *   scoi_delta       — adjusted SCOI moved by more than the watch's alertDelta
+ */
+const AuditAlertSchema = new mongoose.Schema({
+  watch: { type: mongoose.Schema.Types.ObjectId, ref: "AuditWatch", required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  entity: { type: String, required: true },
+  audit: { type: mongoose.Schema.Types.ObjectId, ref: "Audit", default: null },
+
+  kind: { type: String, enum: ["placement_change", "scoi_delta"], required: true },
+  from: {
+    adjustedSCOI: { type: Number, default: null },
+    placementLevel: { type: String, default: null },
+  },
+  to: {
+    adjustedSCOI: { type: Number, default: null },
+    placementLevel: { type: String, default: null },
+  },
+  delta: { type: Number, default: null },
+
+  readAt: { type: Date, default: null },
+}, { timestamps: true });
+
+AuditAlertSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+export default mongoose.models.AuditAlert || mongoose.model("AuditAlert", AuditAlertSchema);
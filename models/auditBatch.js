@@ -0,0 +1,47 @@
+// models/auditBatch.js
+import mongoose from "mongoose";
+
+/**
+ * A batch of structured audits queued from an uploaded entity list and
+ * worked through in the background by utils/batchRunner.js.
+ */
+const BatchItemSchema = new mongoose.Schema({
+  entity: { type: String, required: true },
+  key: { type: String, required: true },
+  status: { type: String, enum: ["pending", "running", "done", "error"], default: "pending" },
+
+  audit: { type: mongoose.Schema.Types.ObjectId, ref: "Audit", default: null },
+  cached: { type: Boolean, default: false },
+  visibility: { type: Number, default: null },
+  contribution: { type: Number, default: null },
+  ERF: { type: Number, default: null },
+  rawSCOI: { type: Number, default: null },
+  adjustedSCOI: { type: Number, default: null },
+  placementLevel: { type: String, default: null },
+  error: { type: String, default: null },
+
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+});
+
+const AuditBatchSchema = new mongoose.Schema({
+  name: { type: String, default: "" },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "cancelled"],
+    default: "queued",
+    index: true,
+  },
+  forceRefresh: { type: Boolean, default: false },
+
+  items: { type: [BatchItemSchema], default: [] },
+  total: { type: Number, default: 0 },
+  done: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+export default mongoose.models.AuditBatch || mongoose.model("AuditBatch", AuditBatchSchema);
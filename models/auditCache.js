@@ -0,0 +1,25 @@
+// models/auditCache.js
+import mongoose from "mongoose";
+
+/**
+ * Cached structured audit results, one per normalized entity
+ * (utils/normalizeEntity.js) and output language (utils/auditCache.js).
+ * Entries expire via the TTL index on `expiresAt`; a null expiresAt never
+ * expires.
+ */
+const AuditCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  entity: { type: String, required: true },
+  language: { type: String, default: "en" },
+  result: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  hits: { type: Number, default: 0 },
+  lastHitAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// also serves lookups by key alone
+AuditCacheSchema.index({ key: 1, language: 1 }, { unique: true });
+AuditCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.AuditCache || mongoose.model("AuditCache", AuditCacheSchema);
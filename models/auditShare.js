@@ -0,0 +1,23 @@
+// models/auditShare.js
+import mongoose from "mongoose";
+
+/**
+ * A public, read-only link to one saved Audit (served at /s/:token).
+ * Links can expire (`expiresAt`, null = never) and be revoked; every page
+ * view is counted on the link itself.
+ */
+const AuditShareSchema = new mongoose.Schema({
+  token: { type: String, required: true, unique: true },
+  audit: { type: mongoose.Schema.Types.ObjectId, ref: "Audit", required: true, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  // optional label so the sharer can tell links apart (e.g. the client's name)
+  label: { type: String, default: "" },
+
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+
+  views: { type: Number, default: 0 },
+  lastViewedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+export default mongoose.models.AuditShare || mongoose.model("AuditShare", AuditShareSchema);
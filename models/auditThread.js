@@ -0,0 +1,33 @@
+// models/auditThread.js
+import mongoose from "mongoose";
+
+/**
+ * A follow-up conversation about one saved Audit ("why is ERF 1.1?").
+ * Threads belong to the user who asked; the model answers with the audit,
+ * the CRIPFCnt scoring logic and the framework passages matching each
+ * question as context (see utils/auditThreads.js).
+ */
+const ThreadMessageSchema = new mongoose.Schema({
+  role: { type: String, enum: ["user", "assistant"], required: true },
+  content: { type: String, required: true },
+  // assistant replies only
+  model: { type: String, default: null },
+  usage: {
+    promptTokens: { type: Number, default: null },
+    completionTokens: { type: Number, default: null },
+  },
+  createdAt: { type: Date, default: Date.now },
+}, { _id: true });
+
+const AuditThreadSchema = new mongoose.Schema({
+  audit: { type: mongoose.Schema.Types.ObjectId, ref: "Audit", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  entity: { type: String, required: true },
+  // first question, shortened, for thread lists
+  title: { type: String, default: "" },
+  messages: { type: [ThreadMessageSchema], default: [] },
+}, { timestamps: true });
+
+AuditThreadSchema.index({ user: 1, audit: 1, updatedAt: -1 });
+
+export default mongoose.models.AuditThread || mongoose.model("AuditThread", AuditThreadSchema);
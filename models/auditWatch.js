@@ -0,0 +1,37 @@
+// models/auditWatch.js
+import mongoose from "mongoose";
+
+/**
+ * A user's watch on an entity: utils/watchScheduler.js re-runs the
+ * structured audit every `cadenceHours` and raises AuditAlerts on drift.
+ * Each run is saved as an Audit with `watch` set, which forms the time series.
+ */
+const AuditWatchSchema = new mongoose.Schema({
+  entity: { type: String, required: true },
+  key: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+  cadenceHours: { type: Number, default: 168, min: 1 },
+  // alert when |adjustedSCOI change| exceeds this between consecutive runs
+  alertDelta: { type: Number, default: 0.05, min: 0 },
+  active: { type: Boolean, default: true },
+
+  baselineAudit: { type: mongoose.Schema.Types.ObjectId, ref: "Audit", default: null },
+  lastAudit: { type: mongoose.Schema.Types.ObjectId, ref: "Audit", default: null },
+  lastAdjustedSCOI: { type: Number, default: null },
+  lastPlacementLevel: { type: String, default: null },
+
+  // the next run was already paid for (watch created without a baseline, or
+  // "run now"); every other scheduled run charges the owner a daily credit
+  prepaidRun: { type: Boolean, default: false },
+
+  lastRunAt: { type: Date, default: null },
+  nextRunAt: { type: Date, default: Date.now },
+  failures: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+}, { timestamps: true });
+
+AuditWatchSchema.index({ user: 1, key: 1 }, { unique: true });
+AuditWatchSchema.index({ active: 1, nextRunAt: 1 });
+
+export default mongoose.models.AuditWatch || mongoose.model("AuditWatch", AuditWatchSchema);
@@ -0,0 +1,44 @@
+// models/exemplar.js
+import mongoose from "mongoose";
+
+/**
+ * Calibration exemplars: canonical SCOI audits curated by admins.
+ * Active exemplars are returned verbatim for an exact entity match and
+ * listed as calibration anchors in the structured-audit prompt
+ * (utils/exemplars.js). Every edit snapshots the previous state into
+ * `history` and bumps `version`.
+ */
+const ExemplarSnapshotSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  entity: String,
+  visibility: Number,
+  contribution: Number,
+  ERF: Number,
+  interpretation: String,
+  commentary: String,
+  status: String,
+  note: String,
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  editedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const ExemplarSchema = new mongoose.Schema({
+  entity: { type: String, required: true, trim: true },
+  key: { type: String, required: true, unique: true, index: true },
+
+  visibility: { type: Number, required: true, min: 0.1, max: 10 },
+  contribution: { type: Number, required: true, min: 0, max: 10 },
+  ERF: { type: Number, required: true, min: 0.5, max: 1.5 },
+  interpretation: { type: String, default: "" },
+  commentary: { type: String, default: "" },
+
+  status: { type: String, enum: ["active", "retired"], default: "active", index: true },
+  version: { type: Number, default: 1 },
+  note: { type: String, default: "" },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  history: { type: [ExemplarSnapshotSchema], default: [] },
+}, { timestamps: true });
+
+export default mongoose.models.Exemplar || mongoose.model("Exemplar", ExemplarSchema);
@@ -0,0 +1,19 @@
+// models/frameworkDoc.js
+import mongoose from "mongoose";
+
+/**
+ * An admin-uploaded CRIPFCnt framework document. Active documents are
+ * indexed next to the built-in data/cripfcnt*.txt files by
+ * utils/frameworkIndex.js and cited by the framework explainer.
+ */
+const FrameworkDocSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  filename: { type: String, default: null },
+  text: { type: String, required: true },
+  // passages the text splits into (informational; the index re-chunks)
+  chunks: { type: Number, default: 0 },
+  active: { type: Boolean, default: true, index: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true });
+
+export default mongoose.models.FrameworkDoc || mongoose.model("FrameworkDoc", FrameworkDocSchema);
@@ -0,0 +1,27 @@
+// models/llmUsage.js
+import mongoose from "mongoose";
+
+/**
+ * One billed model call (utils/llmUsage.js). Audits also keep their own
+ * usage on `llm.usage`; this ledger covers every call, including follow-up
+ * questions and framework explanations, for spend reports and budget caps.
+ */
+const LlmUsageSchema = new mongoose.Schema({
+  kind: { type: String, enum: ["audit_stream", "audit_structured", "followup", "explain"], required: true, index: true },
+  audit: { type: mongoose.Schema.Types.ObjectId, ref: "Audit", default: null },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", default: null, index: true },
+
+  provider: { type: String, default: null },
+  model: { type: String, default: null },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  // USD at the pricing in effect when the call was made
+  costUsd: { type: Number, default: 0 },
+}, { timestamps: true });
+
+LlmUsageSchema.index({ createdAt: -1 });
+LlmUsageSchema.index({ organization: 1, createdAt: -1 });
+
+export default mongoose.models.LlmUsage || mongoose.model("LlmUsage", LlmUsageSchema);
@@ -5,6 +5,8 @@ const OrganizationSchema = new mongoose.Schema({
   name: { type: String, required: true, index: true },
   slug: { type: String, required: true, unique: true, index: true },
   description: String,
+  // monthly model spend cap in USD (utils/llmUsage.js); null = no cap
+  llmMonthlyBudgetUsd: { type: Number, default: null, min: 0 },
   createdAt: { type: Date, default: Date.now },
   // invite tokens (simple implementation); in production you'd separate to invites collection
   invites: [{
@@ -0,0 +1,27 @@
+// models/promptTemplate.js
+import mongoose from "mongoose";
+
+/**
+ * Audit prompt templates (utils/promptTemplates.js), one version line per
+ * kind ("stream" for /api/chat-stream, "structured" for autoFetchAndScore).
+ * Versions are immutable: admins save a new version and exactly one per kind
+ * is active. A second version may take `trafficPercent` of runs as an A/B
+ * challenger. Audits record the `llm.promptVersion` that produced them.
+ */
+const PromptTemplateSchema = new mongoose.Schema({
+  kind: { type: String, enum: ["stream", "structured"], required: true, index: true },
+  version: { type: Number, required: true },
+  // Mustache templates; see VARIABLES in utils/promptTemplates.js
+  system: { type: String, required: true },
+  user: { type: String, required: true },
+
+  active: { type: Boolean, default: false, index: true },
+  // share of runs (0-100) served by this version while it is the challenger
+  trafficPercent: { type: Number, default: 0, min: 0, max: 100 },
+  note: { type: String, default: "" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true });
+
+PromptTemplateSchema.index({ kind: 1, version: 1 }, { unique: true });
+
+export default mongoose.models.PromptTemplate || mongoose.model("PromptTemplate", PromptTemplateSchema);
@@ -0,0 +1,47 @@
+// models/responsibilityProfile.js
+import mongoose from "mongoose";
+
+/**
+ * A learner's personal responsibility profile at a point in time: their
+ * answers to the Likert self-assessment (utils/responsibilityProfile.js),
+ * the quiz signals taken from their attempts when they submitted, and the
+ * individual SCOI computed from both. A new document is stored on every
+ * submission so the profile can be tracked over time.
+ */
+const ResponsibilityProfileSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", default: null, index: true },
+  instrumentVersion: { type: Number, required: true },
+
+  // one per statement; 1 = strongly disagree ... 5 = strongly agree
+  answers: [{
+    _id: false,
+    key: { type: String, required: true },
+    value: { type: Number, required: true, min: 1, max: 5 },
+  }],
+
+  // quiz-derived signals at submission time
+  signals: {
+    attempts: { type: Number, default: 0 },      // finished attempts considered
+    mastery: { type: Number, default: null },    // mean score / maxScore, 0-1
+    passRate: { type: Number, default: null },   // share of attempts passed, 0-1
+    assigned: { type: Number, default: 0 },      // quizzes assigned in the org
+    completed: { type: Number, default: 0 },     // of which finished
+  },
+
+  // profile scores (ScoringPolicy arithmetic)
+  scores: {
+    visibility: { type: Number, default: null },
+    contribution: { type: Number, default: null },
+    ERF: { type: Number, default: null },
+    rawSCOI: { type: Number, default: null },
+    adjustedSCOI: { type: Number, default: null },
+    placementLevel: { type: String, default: null },
+    policyVersion: { type: Number, default: null },
+  },
+}, { timestamps: true });
+
+ResponsibilityProfileSchema.index({ user: 1, org: 1, createdAt: -1 });
+
+export default mongoose.models.ResponsibilityProfile ||
+  mongoose.model("ResponsibilityProfile", ResponsibilityProfileSchema);
@@ -0,0 +1,29 @@
+// models/scoringPolicy.js
+import mongoose from "mongoose";
+
+/**
+ * SCOI scoring policies (utils/scoringPolicy.js). Versions are immutable:
+ * admins save a new version and exactly one is active. Audits record the
+ * `policyVersion` they were scored under.
+ */
+const PlacementBandSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true },
+  // lower bound on Adjusted SCOI; null = catch-all floor band
+  min: { type: Number, default: null },
+  // true: adjusted >= min, false: adjusted > min
+  inclusive: { type: Boolean, default: true },
+}, { _id: false });
+
+const ScoringPolicySchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true, index: true },
+  bands: { type: [PlacementBandSchema], required: true },
+  erfMin: { type: Number, required: true },
+  erfMax: { type: Number, required: true },
+  precision: { type: Number, required: true, min: 0, max: 6 },
+
+  active: { type: Boolean, default: false, index: true },
+  note: { type: String, default: "" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true });
+
+export default mongoose.models.ScoringPolicy || mongoose.model("ScoringPolicy", ScoringPolicySchema);
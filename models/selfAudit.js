@@ -0,0 +1,40 @@
+// models/selfAudit.js
+import mongoose from "mongoose";
+
+/**
+ * An organization's self-assessment against a questionnaire version
+ * (utils/selfAudit.js). Managers save drafts; submitting freezes the answers
+ * and stores the self-reported SCOI computed from them.
+ */
+const SelfAuditSchema = new mongoose.Schema({
+  org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true, index: true },
+  questionnaireVersion: { type: Number, required: true },
+  status: { type: String, enum: ["draft", "submitted"], default: "draft", index: true },
+
+  // one per indicator key; rating 0-10, null while unanswered
+  answers: [{
+    _id: false,
+    key: { type: String, required: true },
+    rating: { type: Number, default: null, min: 0, max: 10 },
+    evidence: { type: String, default: "" },
+  }],
+
+  // self-reported scores, set on submit (ScoringPolicy arithmetic)
+  scores: {
+    visibility: { type: Number, default: null },
+    contribution: { type: Number, default: null },
+    ERF: { type: Number, default: null },
+    rawSCOI: { type: Number, default: null },
+    adjustedSCOI: { type: Number, default: null },
+    placementLevel: { type: String, default: null },
+    policyVersion: { type: Number, default: null },
+  },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  submittedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+SelfAuditSchema.index({ org: 1, status: 1, submittedAt: -1 });
+
+export default mongoose.models.SelfAudit || mongoose.model("SelfAudit", SelfAuditSchema);
@@ -0,0 +1,22 @@
+// models/selfAuditAttachment.js
+import mongoose from "mongoose";
+
+/**
+ * Evidence file uploaded against one indicator of a self-audit. Files are
+ * small (see routes/org_self_audit.js) and stored inline.
+ */
+const SelfAuditAttachmentSchema = new mongoose.Schema({
+  selfAudit: { type: mongoose.Schema.Types.ObjectId, ref: "SelfAudit", required: true, index: true },
+  org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+  indicator: { type: String, required: true },
+
+  filename: { type: String, required: true },
+  mimeType: { type: String, default: "application/octet-stream" },
+  size: { type: Number, default: 0 },
+  data: { type: Buffer, required: true },
+
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true });
+
+export default mongoose.models.SelfAuditAttachment ||
+  mongoose.model("SelfAuditAttachment", SelfAuditAttachmentSchema);
@@ -0,0 +1,30 @@
+// models/selfAuditQuestionnaire.js
+import mongoose from "mongoose";
+
+/**
+ * Self-audit questionnaires (utils/selfAudit.js). Versions are immutable:
+ * admins publish a new version and exactly one is active. Self-audits keep
+ * the `questionnaireVersion` they were answered against.
+ */
+const IndicatorSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true },
+  dimension: { type: String, enum: ["visibility", "contribution", "erf"], required: true },
+  text: { type: String, required: true, trim: true },
+  guidance: { type: String, default: "" },
+  // relative weight within its dimension
+  weight: { type: Number, default: 1, min: 0 },
+  // a note or an attachment is needed before the self-audit can be submitted
+  evidenceRequired: { type: Boolean, default: false },
+}, { _id: false });
+
+const SelfAuditQuestionnaireSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true, index: true },
+  indicators: { type: [IndicatorSchema], required: true },
+
+  active: { type: Boolean, default: false, index: true },
+  note: { type: String, default: "" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+}, { timestamps: true });
+
+export default mongoose.models.SelfAuditQuestionnaire ||
+  mongoose.model("SelfAuditQuestionnaire", SelfAuditQuestionnaireSchema);
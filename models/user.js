@@ -5,7 +5,7 @@ const UserSchema = new mongoose.Schema({
   googleId: { type: String, unique: true, index: true },
   // in existing UserSchema add fields:
 organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", index: true, default: null },
-role: { type: String, enum: ["employee","org_admin","super_admin"], default: "employee", index: true },
+role: { type: String, enum: ["employee","org_admin","super_admin","analyst"], default: "employee", index: true },
 
   displayName: String,
   firstName: String,
@@ -22,6 +22,10 @@ role: { type: String, enum: ["employee","org_admin","super_admin"], default: "em
   // 'searchCount' stores how many searches used on that day.
   searchCountDay: { type: String, index: true, default: null },
   searchCount: { type: Number, default: 0 },
+
+  // follow-up questions (audit threads, framework explanations), same scheme
+  followupCountDay: { type: String, default: null },
+  followupCount: { type: Number, default: 0 },
 }, { strict: true });
 
 const User = mongoose.models.User || mongoose.model("User", UserSchema);
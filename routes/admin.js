@@ -333,4 +333,21 @@ router.get("/users", ensureAuth, ensureAdmin, async (req, res) => {
   }
 });
 
+// change a user's role (e.g. grant "analyst" for batch audits)
+router.post("/users/:id/role", ensureAuth, ensureAdmin, async (req, res) => {
+  try {
+    const id = String(req.params.id || "");
+    const role = String(req.body.role || "");
+    if (!mongoose.isValidObjectId(id)) return res.status(400).send("invalid id");
+    if (!User.schema.path("role").enumValues.includes(role)) return res.status(400).send("invalid role");
+
+    await User.updateOne({ _id: id }, { $set: { role } });
+    console.log(`[admin/users/role] ${id} -> ${role} (by ${req.user.email})`);
+    return res.redirect("/admin/users");
+  } catch (err) {
+    console.error("[admin/users/role] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to update role");
+  }
+});
+
 export default router;
@@ -0,0 +1,136 @@
+// routes/admin_audit_cache.js
+// Admin: list, inspect and purge cached structured audits.
+import { Router } from "express";
+import mongoose from "mongoose";
+import AuditCache from "../models/auditCache.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { getCacheTtlHours } from "../utils/auditCache.js";
+import { normalizeEntityKey } from "../utils/normalizeEntity.js";
+
+function ensureAdminEmails(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !req.user.email) {
+    return res.status(403).send("Admins only");
+  }
+  if (!adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).send("Admins only");
+  }
+  next();
+}
+
+const router = Router();
+const PAGE_SIZE = 50;
+
+/**
+ * GET /admin/audit-cache?q=&page=
+ */
+router.get("/admin/audit-cache", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const page = Math.max(parseInt(req.query.page || "1", 10) || 1, 1);
+    const filter = q ? { key: { $regex: normalizeEntityKey(q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&") } } : {};
+
+    const now = new Date();
+    const [total, expired, entries] = await Promise.all([
+      AuditCache.countDocuments(filter),
+      AuditCache.countDocuments({ expiresAt: { $ne: null, $lte: now } }),
+      AuditCache.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE)
+        .lean(),
+    ]);
+
+    const rows = entries.map((e) => ({
+      _id: e._id,
+      key: e.key,
+      language: e.language,
+      entity: e.entity,
+      adjustedSCOI: e.result && e.result.adjustedSCOI,
+      placementLevel: e.result && e.result.placementLevel,
+      hits: e.hits || 0,
+      updatedAt: e.updatedAt,
+      expiresAt: e.expiresAt,
+      isExpired: !!(e.expiresAt && e.expiresAt <= now),
+    }));
+
+    const pages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+    return res.render("admin/audit_cache", {
+      title: "Admin · Audit Cache",
+      rows,
+      q,
+      total,
+      expired,
+      ttlHours: getCacheTtlHours(),
+      page,
+      pages,
+      prev: page > 1 ? page - 1 : null,
+      next: page < pages ? page + 1 : null,
+      purged: req.query.purged || null,
+    });
+  } catch (err) {
+    console.error("[admin audit-cache] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load audit cache");
+  }
+});
+
+/**
+ * GET /admin/audit-cache/:id — inspect one entry
+ */
+router.get("/admin/audit-cache/:id", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const id = String(req.params.id || "");
+    if (!mongoose.isValidObjectId(id)) return res.status(400).send("invalid id");
+
+    const entry = await AuditCache.findById(id).lean();
+    if (!entry) return res.status(404).send("cache entry not found");
+
+    return res.render("admin/audit_cache_detail", {
+      title: `Audit Cache · ${entry.entity}`,
+      entry,
+      json: JSON.stringify(entry.result, null, 2),
+    });
+  } catch (err) {
+    console.error("[admin audit-cache detail] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load cache entry");
+  }
+});
+
+/**
+ * POST /admin/audit-cache/:id/delete — purge one entry
+ */
+router.post("/admin/audit-cache/:id/delete", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const id = String(req.params.id || "");
+    if (!mongoose.isValidObjectId(id)) return res.status(400).send("invalid id");
+
+    const result = await AuditCache.deleteOne({ _id: id });
+    return res.redirect("/admin/audit-cache?purged=" + (result.deletedCount || 0));
+  } catch (err) {
+    console.error("[admin audit-cache delete] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to delete cache entry");
+  }
+});
+
+/**
+ * POST /admin/audit-cache/purge   body: { scope: "expired" | "all" }
+ */
+router.post("/admin/audit-cache/purge", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const scope = String((req.body && req.body.scope) || "expired");
+    const filter = scope === "all" ? {} : { expiresAt: { $ne: null, $lte: new Date() } };
+
+    const result = await AuditCache.deleteMany(filter);
+    console.log(`[admin audit-cache] purged ${result.deletedCount} entries (scope: ${scope})`);
+    return res.redirect("/admin/audit-cache?purged=" + (result.deletedCount || 0));
+  } catch (err) {
+    console.error("[admin audit-cache purge] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to purge audit cache");
+  }
+});
+
+export default router;
@@ -0,0 +1,243 @@
+// routes/admin_exemplars.js
+// Admin: create, edit, retire and revert SCOI calibration exemplars.
+import { Router } from "express";
+import mongoose from "mongoose";
+import Exemplar from "../models/exemplar.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { normalizeEntityKey } from "../utils/normalizeEntity.js";
+import { computeSCOI, getActivePolicy } from "../utils/scoringPolicy.js";
+import { applyExemplarEdit, invalidateExemplars } from "../utils/exemplars.js";
+
+function ensureAdminEmails(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !req.user.email) {
+    return res.status(403).send("Admins only");
+  }
+  if (!adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).send("Admins only");
+  }
+  next();
+}
+
+const router = Router();
+
+// form body -> { values, errors }
+function readForm(body = {}) {
+  const values = {
+    entity: String(body.entity || "").trim(),
+    visibility: Number(body.visibility),
+    contribution: Number(body.contribution),
+    ERF: Number(body.ERF),
+    interpretation: String(body.interpretation || "").trim(),
+    commentary: String(body.commentary || "").trim(),
+  };
+  const errors = [];
+  if (!values.entity) errors.push("Entity is required");
+  if (!Number.isFinite(values.visibility) || values.visibility <= 0 || values.visibility > 10) errors.push("Visibility must be greater than 0 and at most 10");
+  if (!Number.isFinite(values.contribution) || values.contribution < 0 || values.contribution > 10) errors.push("Contribution must be between 0 and 10");
+  if (!Number.isFinite(values.ERF) || values.ERF < 0.5 || values.ERF > 1.5) errors.push("ERF must be between 0.5 and 1.5");
+  return { values, errors };
+}
+
+function withScores(ex) {
+  const { rawSCOI, adjustedSCOI, placementLevel } = computeSCOI(ex.visibility, ex.contribution, ex.ERF);
+  return { ...ex, rawSCOI, adjustedSCOI, placementLevel };
+}
+
+async function loadExemplar(req, res) {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).send("invalid id");
+    return null;
+  }
+  const ex = await Exemplar.findById(id);
+  if (!ex) {
+    res.status(404).send("exemplar not found");
+    return null;
+  }
+  return ex;
+}
+
+/**
+ * GET /admin/exemplars?status=active|retired|all
+ */
+router.get("/admin/exemplars", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const status = ["active", "retired", "all"].includes(req.query.status) ? req.query.status : "active";
+    const filter = status === "all" ? {} : { status };
+    await getActivePolicy();
+    const exemplars = await Exemplar.find(filter).select("-history").sort({ entity: 1 }).lean();
+
+    return res.render("admin/exemplars", {
+      title: "Admin · Calibration Exemplars",
+      exemplars: exemplars.map(withScores),
+      status,
+      total: exemplars.length,
+    });
+  } catch (err) {
+    console.error("[admin exemplars] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load exemplars");
+  }
+});
+
+/**
+ * GET /admin/exemplars/new
+ */
+router.get("/admin/exemplars/new", ensureAuth, ensureAdminEmails, (req, res) => {
+  return res.render("admin/exemplar_form", {
+    title: "New Calibration Exemplar",
+    isNew: true,
+    exemplar: { ERF: 1 },
+  });
+});
+
+/**
+ * POST /admin/exemplars/new
+ */
+router.post("/admin/exemplars/new", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const { values, errors } = readForm(req.body);
+    const key = normalizeEntityKey(values.entity);
+    if (key && (await Exemplar.exists({ key }))) errors.push(`An exemplar for "${values.entity}" already exists`);
+    if (errors.length) {
+      return res.status(400).render("admin/exemplar_form", {
+        title: "New Calibration Exemplar",
+        isNew: true,
+        exemplar: values,
+        errors,
+      });
+    }
+
+    const ex = await Exemplar.create({
+      ...values,
+      key,
+      note: String(req.body.note || "").trim() || "Created",
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    invalidateExemplars();
+    return res.redirect("/admin/exemplars/" + ex._id);
+  } catch (err) {
+    console.error("[admin exemplars create] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to create exemplar");
+  }
+});
+
+/**
+ * GET /admin/exemplars/:id — edit form + version history
+ */
+router.get("/admin/exemplars/:id", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const ex = await loadExemplar(req, res);
+    if (!ex) return;
+    await getActivePolicy();
+    const exemplar = withScores(ex.toObject());
+
+    return res.render("admin/exemplar_form", {
+      title: `Exemplar · ${exemplar.entity}`,
+      exemplar,
+      history: exemplar.history.slice().reverse().map(withScores),
+      saved: req.query.saved || null,
+    });
+  } catch (err) {
+    console.error("[admin exemplars view] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load exemplar");
+  }
+});
+
+/**
+ * POST /admin/exemplars/:id — save a new version
+ */
+router.post("/admin/exemplars/:id", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const ex = await loadExemplar(req, res);
+    if (!ex) return;
+
+    const { values, errors } = readForm(req.body);
+    const key = normalizeEntityKey(values.entity);
+    if (key && key !== ex.key && (await Exemplar.exists({ key }))) errors.push(`An exemplar for "${values.entity}" already exists`);
+    if (errors.length) {
+      const exemplar = withScores({ ...ex.toObject(), ...values });
+      return res.status(400).render("admin/exemplar_form", {
+        title: `Exemplar · ${ex.entity}`,
+        exemplar,
+        history: exemplar.history.slice().reverse().map(withScores),
+        errors,
+      });
+    }
+
+    const changed = applyExemplarEdit(ex, values, { user: req.user._id, note: String(req.body.note || "").trim() });
+    if (changed) {
+      ex.key = key;
+      await ex.save();
+      invalidateExemplars();
+    }
+    return res.redirect(`/admin/exemplars/${ex._id}?saved=${changed ? "1" : "0"}`);
+  } catch (err) {
+    console.error("[admin exemplars save] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to save exemplar");
+  }
+});
+
+/**
+ * POST /admin/exemplars/:id/status   body: { status: "active" | "retired" }
+ */
+router.post("/admin/exemplars/:id/status", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const ex = await loadExemplar(req, res);
+    if (!ex) return;
+
+    const status = req.body.status === "active" ? "active" : "retired";
+    const note = status === "retired" ? "Retired" : "Reactivated";
+    if (applyExemplarEdit(ex, { status }, { user: req.user._id, note })) {
+      await ex.save();
+      invalidateExemplars();
+    }
+    return res.redirect(`/admin/exemplars/${ex._id}?saved=1`);
+  } catch (err) {
+    console.error("[admin exemplars status] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to update exemplar status");
+  }
+});
+
+/**
+ * POST /admin/exemplars/:id/revert   body: { version }
+ * Restores an earlier version's values as a new version.
+ */
+router.post("/admin/exemplars/:id/revert", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const ex = await loadExemplar(req, res);
+    if (!ex) return;
+
+    const version = Number(req.body.version);
+    const snap = ex.history.find((h) => h.version === version);
+    if (!snap) return res.status(404).send("version not found");
+
+    const key = normalizeEntityKey(snap.entity);
+    if (key !== ex.key && (await Exemplar.exists({ key }))) {
+      return res.status(409).send(`Cannot revert: an exemplar for "${snap.entity}" already exists`);
+    }
+
+    const { entity, visibility, contribution, ERF, interpretation, commentary } = snap;
+    const changed = applyExemplarEdit(
+      ex,
+      { entity, visibility, contribution, ERF, interpretation, commentary },
+      { user: req.user._id, note: `Reverted to v${version}` }
+    );
+    if (changed) {
+      ex.key = key;
+      await ex.save();
+      invalidateExemplars();
+    }
+    return res.redirect(`/admin/exemplars/${ex._id}?saved=${changed ? "1" : "0"}`);
+  } catch (err) {
+    console.error("[admin exemplars revert] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to revert exemplar");
+  }
+});
+
+export default router;
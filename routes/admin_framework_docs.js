@@ -0,0 +1,146 @@
+// routes/admin_framework_docs.js
+// Admin: upload CRIPFCnt framework documents for the explainer's retrieval
+// index and try searches against it.
+import { Router } from "express";
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import multer from "multer";
+import FrameworkDoc from "../models/frameworkDoc.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { BUILTIN_FILES, invalidateFrameworkIndex, searchFramework } from "../utils/frameworkIndex.js";
+import { chunkDocument } from "../utils/passageIndex.js";
+
+function ensureAdminEmails(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !req.user.email) {
+    return res.status(403).send("Admins only");
+  }
+  if (!adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).send("Admins only");
+  }
+  next();
+}
+
+const router = Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+function builtinDocs() {
+  return BUILTIN_FILES.map((name) => {
+    const file = path.join(process.cwd(), "data", name);
+    if (!fs.existsSync(file)) return { name, missing: true };
+    return { name, chunks: chunkDocument(fs.readFileSync(file, "utf8")).length };
+  });
+}
+
+async function loadDoc(req, res) {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).send("invalid id");
+    return null;
+  }
+  const doc = await FrameworkDoc.findById(id);
+  if (!doc) {
+    res.status(404).send("document not found");
+    return null;
+  }
+  return doc;
+}
+
+/**
+ * GET /admin/framework-docs?q=... — documents + optional test search
+ */
+router.get("/admin/framework-docs", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const [docs, results] = await Promise.all([
+      FrameworkDoc.find().select("-text").sort({ createdAt: -1 }).lean(),
+      q ? searchFramework(q, { limit: 8 }) : Promise.resolve([]),
+    ]);
+
+    return res.render("admin/framework_docs", {
+      title: "Framework Documents",
+      builtins: builtinDocs(),
+      docs,
+      q,
+      results,
+      message: req.query.msg || null,
+      error: req.query.error || null,
+    });
+  } catch (err) {
+    console.error("[framework-docs] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load framework documents");
+  }
+});
+
+/**
+ * POST /admin/framework-docs   multipart: file (.txt / .md) and/or text, title
+ */
+router.post("/admin/framework-docs", ensureAuth, ensureAdminEmails, upload.single("file"), async (req, res) => {
+  try {
+    const file = req.file;
+    if (file && !/\.(txt|md|markdown)$/i.test(file.originalname || "")) {
+      return res.redirect("/admin/framework-docs?error=" + encodeURIComponent("Only .txt and .md files can be indexed"));
+    }
+    const text = [file ? file.buffer.toString("utf8").replace(/^\uFEFF/, "") : "", String(req.body.text || "")]
+      .filter((t) => t.trim())
+      .join("\n\n");
+    if (!text.trim()) {
+      return res.redirect("/admin/framework-docs?error=" + encodeURIComponent("The document is empty"));
+    }
+
+    const title = String(req.body.title || "").trim() || (file && file.originalname) || "Untitled document";
+    const doc = await FrameworkDoc.create({
+      title,
+      filename: file ? file.originalname : null,
+      text,
+      chunks: chunkDocument(text).length,
+      uploadedBy: req.user._id,
+    });
+    invalidateFrameworkIndex();
+    console.log(`[framework-docs] ${req.user.email} added "${title}" (${doc.chunks} passages)`);
+    return res.redirect("/admin/framework-docs?msg=" + encodeURIComponent(`Indexed "${title}" (${doc.chunks} passages)`));
+  } catch (err) {
+    console.error("[framework-docs upload] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to upload document");
+  }
+});
+
+/**
+ * POST /admin/framework-docs/:id/toggle — include / exclude from the index
+ */
+router.post("/admin/framework-docs/:id/toggle", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const doc = await loadDoc(req, res);
+    if (!doc) return;
+    doc.active = !doc.active;
+    await doc.save();
+    invalidateFrameworkIndex();
+    return res.redirect("/admin/framework-docs");
+  } catch (err) {
+    console.error("[framework-docs toggle] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to update document");
+  }
+});
+
+/**
+ * POST /admin/framework-docs/:id/delete
+ */
+router.post("/admin/framework-docs/:id/delete", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const doc = await loadDoc(req, res);
+    if (!doc) return;
+    await FrameworkDoc.deleteOne({ _id: doc._id });
+    invalidateFrameworkIndex();
+    return res.redirect("/admin/framework-docs?msg=" + encodeURIComponent(`Removed "${doc.title}"`));
+  } catch (err) {
+    console.error("[framework-docs delete] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to delete document");
+  }
+});
+
+export default router;
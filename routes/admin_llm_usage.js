@@ -0,0 +1,151 @@
+// routes/admin_llm_usage.js
+// Admin: model token / cost report and monthly budget caps.
+import { Router } from "express";
+import mongoose from "mongoose";
+import Audit from "../models/audit.js";
+import LlmUsage from "../models/llmUsage.js";
+import Organization from "../models/organization.js";
+import User from "../models/user.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { getGlobalBudget, monthStart, monthlySpend } from "../utils/llmUsage.js";
+
+function ensureAdminEmails(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !req.user.email) {
+    return res.status(403).send("Admins only");
+  }
+  if (!adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).send("Admins only");
+  }
+  next();
+}
+
+const router = Router();
+const TOP_USERS = 10;
+const KIND_LABELS = {
+  audit_stream: "Streamed audits",
+  audit_structured: "Structured audits",
+  followup: "Follow-up questions",
+  explain: "Framework explainer",
+};
+
+function usd(n) {
+  return `$${(n || 0).toFixed(n && n < 1 ? 4 : 2)}`;
+}
+
+const totals = {
+  calls: { $sum: 1 },
+  tokens: { $sum: "$totalTokens" },
+  cost: { $sum: "$costUsd" },
+};
+
+function row(r) {
+  return { calls: r.calls, tokens: r.tokens, cost: usd(r.cost) };
+}
+
+/**
+ * GET /admin/llm-usage?days=30
+ */
+router.get("/admin/llm-usage", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days || "30", 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { $match: { createdAt: { $gte: since } } };
+
+    const [overall, daily, byKind, byUser, byOrg, perAudit, monthToDate] = await Promise.all([
+      LlmUsage.aggregate([match, { $group: { _id: null, ...totals } }]),
+      LlmUsage.aggregate([
+        match,
+        { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, ...totals } },
+        { $sort: { _id: -1 } },
+      ]),
+      LlmUsage.aggregate([match, { $group: { _id: "$kind", ...totals } }, { $sort: { cost: -1 } }]),
+      LlmUsage.aggregate([
+        { $match: { createdAt: { $gte: since }, user: { $ne: null } } },
+        { $group: { _id: "$user", ...totals } },
+        { $sort: { cost: -1 } },
+        { $limit: TOP_USERS },
+      ]),
+      LlmUsage.aggregate([
+        { $match: { createdAt: { $gte: monthStart() }, organization: { $ne: null } } },
+        { $group: { _id: "$organization", cost: { $sum: "$costUsd" } } },
+      ]),
+      Audit.aggregate([
+        { $match: { createdAt: { $gte: since }, "llm.costUsd": { $ne: null } } },
+        { $group: { _id: "$mode", audits: { $sum: 1 }, avg: { $avg: "$llm.costUsd" }, tokens: { $avg: "$llm.usage.totalTokens" } } },
+      ]),
+      monthlySpend(),
+    ]);
+
+    const users = await User.find({ _id: { $in: byUser.map((u) => u._id) } }).select("email").lean();
+    const emails = Object.fromEntries(users.map((u) => [String(u._id), u.email]));
+
+    // organizations with a cap or with spend this month
+    const orgSpend = Object.fromEntries(byOrg.map((o) => [String(o._id), o.cost]));
+    const allOrgs = await Organization.find().select("name llmMonthlyBudgetUsd").sort({ name: 1 }).lean();
+    const orgs = allOrgs.filter((o) => orgSpend[String(o._id)] || o.llmMonthlyBudgetUsd > 0);
+
+    const globalBudget = getGlobalBudget();
+    return res.render("admin/llm_usage", {
+      title: "Admin · AI Spend",
+      days,
+      total: overall[0] ? row(overall[0]) : { calls: 0, tokens: 0, cost: usd(0) },
+      month: {
+        spent: usd(monthToDate),
+        budget: globalBudget ? usd(globalBudget) : null,
+        percent: globalBudget ? Math.min(100, Math.round((monthToDate / globalBudget) * 100)) : null,
+        over: !!globalBudget && monthToDate >= globalBudget,
+      },
+      daily: daily.map((d) => ({ day: d._id, ...row(d) })),
+      byKind: byKind.map((k) => ({ label: KIND_LABELS[k._id] || k._id, ...row(k) })),
+      topUsers: byUser.map((u) => ({ email: emails[String(u._id)] || String(u._id), ...row(u) })),
+      perAudit: perAudit.map((a) => ({
+        mode: a._id,
+        audits: a.audits,
+        avg: usd(a.avg),
+        tokens: a.tokens == null ? "-" : Math.round(a.tokens),
+      })),
+      orgs: orgs.map((o) => {
+        const spent = orgSpend[String(o._id)] || 0;
+        const budget = o.llmMonthlyBudgetUsd || null;
+        return { _id: o._id, name: o.name, spent: usd(spent), budget, over: !!budget && spent >= budget };
+      }),
+      allOrgs,
+      saved: req.query.saved || null,
+    });
+  } catch (err) {
+    console.error("[admin llm-usage] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load AI spend report");
+  }
+});
+
+/**
+ * POST /admin/llm-usage/budget   form: organization, budgetUsd (blank = no cap)
+ */
+router.post("/admin/llm-usage/budget", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const id = String(req.body.organization || "");
+    if (!mongoose.isValidObjectId(id)) return res.status(400).send("invalid id");
+
+    const raw = String(req.body.budgetUsd ?? "").trim();
+    const budget = raw === "" ? null : Number(raw);
+    if (budget !== null && (!Number.isFinite(budget) || budget < 0)) {
+      return res.status(400).send("Budget must be a positive amount in USD, or blank for no cap");
+    }
+
+    const org = await Organization.findByIdAndUpdate(id, { $set: { llmMonthlyBudgetUsd: budget || null } }, { new: true });
+    if (!org) return res.status(404).send("organization not found");
+    console.log(`[admin llm-usage] ${org.name} monthly budget ${budget ? `$${budget}` : "removed"} by ${req.user.email}`);
+
+    return res.redirect("/admin/llm-usage?saved=" + encodeURIComponent(org.name));
+  } catch (err) {
+    console.error("[admin llm-usage budget] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to update budget");
+  }
+});
+
+export default router;
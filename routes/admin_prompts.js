@@ -0,0 +1,218 @@
+// routes/admin_prompts.js
+// Admin: versioned audit prompt templates, activation and A/B splits.
+import { Router } from "express";
+import Audit from "../models/audit.js";
+import PromptTemplate from "../models/promptTemplate.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import {
+  DEFAULT_TEMPLATES,
+  PROMPT_KINDS,
+  VARIABLES,
+  getPromptTemplates,
+  invalidatePromptTemplates,
+  promptVersionLabel,
+  validateTemplate,
+} from "../utils/promptTemplates.js";
+
+function ensureAdminEmails(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !req.user.email) {
+    return res.status(403).send("Admins only");
+  }
+  if (!adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).send("Admins only");
+  }
+  next();
+}
+
+const router = Router();
+
+const KIND_LABELS = { stream: "Streamed audit (chat)", structured: "Structured audit (JSON)" };
+const STATS_DAYS = 30;
+
+function readKind(value) {
+  return PROMPT_KINDS.includes(value) ? value : null;
+}
+
+// saved version, or the built-in default stored on first use (so it can be an A/B arm)
+async function storedVersion(kind, version) {
+  const doc = await PromptTemplate.findOne({ kind, version });
+  if (doc || version !== DEFAULT_TEMPLATES[kind].version) return doc;
+  return PromptTemplate.create({ ...DEFAULT_TEMPLATES[kind], note: "Built-in default" });
+}
+
+// per promptVersion outcomes over the last STATS_DAYS days
+async function versionStats(kind) {
+  const since = new Date(Date.now() - STATS_DAYS * 24 * 60 * 60 * 1000);
+  const rows = await Audit.aggregate([
+    { $match: { createdAt: { $gte: since }, "llm.promptVersion": { $regex: `^${kind}@` } } },
+    {
+      $group: {
+        _id: "$llm.promptVersion",
+        runs: { $sum: 1 },
+        failed: { $sum: { $cond: [{ $ifNull: ["$error", false] }, 1, 0] } },
+        inconsistent: { $sum: { $cond: [{ $eq: ["$verification.consistent", false] }, 1, 0] } },
+        avgAdjusted: { $avg: "$adjustedSCOI" },
+        avgDurationMs: { $avg: "$llm.durationMs" },
+      },
+    },
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id, {
+    runs: r.runs,
+    failed: r.failed,
+    inconsistent: r.inconsistent,
+    avgAdjusted: r.avgAdjusted == null ? null : +r.avgAdjusted.toFixed(3),
+    avgDurationSec: r.avgDurationMs == null ? null : +(r.avgDurationMs / 1000).toFixed(1),
+  }]));
+}
+
+async function renderPage(req, res, kind, { draft = null, errors = null, status = 200 } = {}) {
+  invalidatePromptTemplates();
+  const { active, challenger } = await getPromptTemplates(kind);
+  const [versions, stats] = await Promise.all([
+    PromptTemplate.find({ kind }).sort({ version: -1 }).lean(),
+    versionStats(kind),
+  ]);
+  if (!versions.some((v) => v.version === DEFAULT_TEMPLATES[kind].version)) {
+    versions.push({ ...DEFAULT_TEMPLATES[kind], builtIn: true, note: "Built-in default" });
+  }
+
+  // ?from=<version> starts the form from an older version
+  const from = Number(req.query.from);
+  const base = draft || versions.find((v) => v.version === from) || active;
+
+  return res.status(status).render("admin/prompts", {
+    title: "Admin · Prompt Templates",
+    kind,
+    kindLabel: KIND_LABELS[kind],
+    tabs: PROMPT_KINDS.map((k) => ({ kind: k, label: KIND_LABELS[k], current: k === kind })),
+    active,
+    challenger,
+    form: { system: base.system, user: base.user, note: draft ? draft.note : "", from: draft ? null : base.version },
+    variables: Object.entries(VARIABLES).map(([name, description]) => ({ token: `{{${name}}}`, description })),
+    versions: versions.map((v) => ({
+      ...v,
+      label: promptVersionLabel(v),
+      isActive: v.version === active.version,
+      isChallenger: !!challenger && v.version === challenger.version,
+      stats: stats[promptVersionLabel(v)] || null,
+    })),
+    statsDays: STATS_DAYS,
+    errors,
+    saved: req.query.saved || null,
+  });
+}
+
+/**
+ * GET /admin/prompts?kind=structured&from=3
+ */
+router.get("/admin/prompts", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    return await renderPage(req, res, readKind(req.query.kind) || "structured");
+  } catch (err) {
+    console.error("[admin prompts] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load prompt templates");
+  }
+});
+
+/**
+ * POST /admin/prompts/:kind   form: system, user, note, activate?
+ * Saves a new version; it only goes live when `activate` is checked.
+ */
+router.post("/admin/prompts/:kind", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const kind = readKind(req.params.kind);
+    if (!kind) return res.status(404).send("unknown prompt kind");
+
+    const draft = {
+      system: String(req.body.system || "").replace(/\r\n/g, "\n"),
+      user: String(req.body.user || "").replace(/\r\n/g, "\n"),
+      note: String(req.body.note || "").trim(),
+    };
+    const errors = validateTemplate(draft);
+    if (errors.length) return await renderPage(req, res, kind, { draft, errors, status: 400 });
+
+    const latest = await PromptTemplate.findOne({ kind }).sort({ version: -1 }).select("version").lean();
+    const version = Math.max(latest ? latest.version : 0, DEFAULT_TEMPLATES[kind].version) + 1;
+    const activate = !!req.body.activate;
+
+    if (activate) await PromptTemplate.updateMany({ kind, active: true }, { $set: { active: false } });
+    await PromptTemplate.create({ ...draft, kind, version, active: activate, createdBy: req.user._id });
+    invalidatePromptTemplates();
+    console.log(`[admin prompts] ${kind}@${version} saved${activate ? " and activated" : ""} by ${req.user.email}`);
+
+    return res.redirect(`/admin/prompts?kind=${kind}&saved=${version}`);
+  } catch (err) {
+    console.error("[admin prompts save] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to save prompt template");
+  }
+});
+
+/**
+ * POST /admin/prompts/:kind/:version/activate — make a version the live prompt
+ */
+router.post("/admin/prompts/:kind/:version/activate", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const kind = readKind(req.params.kind);
+    if (!kind) return res.status(404).send("unknown prompt kind");
+    const version = Number(req.params.version);
+    const target = await PromptTemplate.findOne({ kind, version }).select("_id").lean();
+    if (!target && version !== DEFAULT_TEMPLATES[kind].version) return res.status(404).send("prompt version not found");
+
+    await PromptTemplate.updateMany({ kind, active: true }, { $set: { active: false } });
+    // with nothing active the built-in default applies; the new live version
+    // stops being a challenger
+    if (target) await PromptTemplate.updateOne({ _id: target._id }, { $set: { active: true, trafficPercent: 0 } });
+    invalidatePromptTemplates();
+    console.log(`[admin prompts] ${kind}@${version} activated by ${req.user.email}`);
+
+    return res.redirect(`/admin/prompts?kind=${kind}&saved=${version}`);
+  } catch (err) {
+    console.error("[admin prompts activate] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to activate prompt template");
+  }
+});
+
+/**
+ * POST /admin/prompts/:kind/experiment   form: version, percent (1-99; 0 stops the test)
+ * Sends `percent` of runs to `version`; the rest use the active version.
+ */
+router.post("/admin/prompts/:kind/experiment", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const kind = readKind(req.params.kind);
+    if (!kind) return res.status(404).send("unknown prompt kind");
+    const percent = Number(req.body.percent);
+    const version = Number(req.body.version);
+
+    if (!Number.isInteger(percent) || percent < 0 || percent > 99) {
+      return await renderPage(req, res, kind, { errors: ["Traffic share must be a whole number from 0 to 99"], status: 400 });
+    }
+
+    let target = null;
+    if (percent > 0) {
+      invalidatePromptTemplates();
+      const { active } = await getPromptTemplates(kind);
+      if (version === active.version) {
+        return await renderPage(req, res, kind, { errors: ["Pick a version other than the active one to test against it"], status: 400 });
+      }
+      target = await storedVersion(kind, version);
+      if (!target) return res.status(404).send("prompt version not found");
+    }
+
+    await PromptTemplate.updateMany({ kind, trafficPercent: { $gt: 0 } }, { $set: { trafficPercent: 0 } });
+    if (target) await PromptTemplate.updateOne({ _id: target._id }, { $set: { trafficPercent: percent } });
+    invalidatePromptTemplates();
+    console.log(`[admin prompts] ${kind} A/B ${percent > 0 ? `${percent}% to @${version}` : "stopped"} by ${req.user.email}`);
+
+    return res.redirect(`/admin/prompts?kind=${kind}`);
+  } catch (err) {
+    console.error("[admin prompts experiment] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to update A/B test");
+  }
+});
+
+export default router;
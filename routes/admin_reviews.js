@@ -0,0 +1,238 @@
+// routes/admin_reviews.js
+// Analyst review queue: check audits, override scores with a justification
+// and move them through draft -> in review -> approved -> published.
+import { Router } from "express";
+import mongoose from "mongoose";
+import Audit from "../models/audit.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { getActivePolicy } from "../utils/scoringPolicy.js";
+import { auditRationales } from "../utils/compareAudits.js";
+import { footnotes } from "../utils/citations.js";
+import { SECTORS } from "../utils/sectors.js";
+import { benchmarkFor, invalidateSectorStats } from "../utils/sectorStats.js";
+import {
+  EDITABLE_STATUSES,
+  STATUSES,
+  TRANSITIONS,
+  applyOverride,
+  applySector,
+  applyStatus,
+  readOverride,
+} from "../utils/auditReview.js";
+
+function isPlatformAdmin(req) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return !!(req.user && req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+}
+
+// platform admins, super admins and analysts
+function ensureAnalyst(req, res, next) {
+  if (isPlatformAdmin(req)) return next();
+  if (req.user && ["analyst", "super_admin"].includes(req.user.role)) return next();
+  return res.status(403).send("Analysts only");
+}
+
+const router = Router();
+const PAGE_SIZE = 30;
+
+const STATUS_LABELS = { draft: "Draft", in_review: "In review", approved: "Approved", published: "Published" };
+const ACTION_LABELS = {
+  "draft>in_review": "Submit for review",
+  "in_review>draft": "Send back to draft",
+  "in_review>approved": "Approve",
+  "approved>in_review": "Reopen review",
+  "approved>published": "Publish",
+  "published>approved": "Unpublish",
+};
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+async function loadAudit(req, res) {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).send("invalid id");
+    return null;
+  }
+  const audit = await Audit.findById(id).populate("user", "email firstName lastName");
+  if (!audit) {
+    res.status(404).send("audit not found");
+    return null;
+  }
+  return audit;
+}
+
+async function renderReview(res, audit, { errors = [], saved = null, form = {} } = {}) {
+  const policy = await getActivePolicy();
+  const status = audit.status || "draft";
+  const a = audit.toObject();
+  const benchmark = await benchmarkFor(a);
+  return res.render("admin/review", {
+    title: `Review · ${audit.entity}`,
+    audit: { ...a, statusLabel: STATUS_LABELS[status] },
+    rationales: auditRationales(a),
+    sources: footnotes(a.sources, a.citations).map((src) => ({ ...src, link: /^https?:\/\//i.test(src.url || "") })),
+    owner: a.user || null,
+    editable: EDITABLE_STATUSES.includes(status),
+    actions: (TRANSITIONS[status] || []).map((to) => ({ to, label: ACTION_LABELS[`${status}>${to}`] })),
+    changeLog: [...(a.changeLog || [])].reverse(),
+    sectors: SECTORS.map((s) => ({ ...s, selected: s.key === a.sector })),
+    benchmark,
+    erfMin: policy.erfMin,
+    erfMax: policy.erfMax,
+    errors,
+    saved,
+    form,
+  });
+}
+
+/**
+ * GET /admin/reviews?status=in_review&q=&page=1 — review queue
+ */
+router.get("/admin/reviews", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const status = STATUSES.includes(req.query.status) ? req.query.status : "in_review";
+    const q = String(req.query.q || "").trim();
+    const page = Math.max(parseInt(req.query.page || "1", 10) || 1, 1);
+
+    const filter = { status, completedAt: { $ne: null } };
+    // audits saved before the workflow existed have no status and count as drafts
+    if (status === "draft") {
+      delete filter.status;
+      filter.$or = [{ status: "draft" }, { status: { $exists: false } }];
+    }
+    if (q) filter.entity = { $regex: escapeRegex(q), $options: "i" };
+
+    const [audits, total, counts] = await Promise.all([
+      Audit.find(filter)
+        .select("entity mode adjustedSCOI placementLevel overridden status user updatedAt createdAt")
+        .populate("user", "email")
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE)
+        .lean(),
+      Audit.countDocuments(filter),
+      Audit.aggregate([
+        { $match: { completedAt: { $ne: null } } },
+        { $group: { _id: { $ifNull: ["$status", "draft"] }, n: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const byStatus = Object.fromEntries(counts.map((c) => [c._id, c.n]));
+    const pages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+    return res.render("admin/reviews", {
+      title: "Audit Reviews",
+      tabs: STATUSES.map((s) => ({ status: s, label: STATUS_LABELS[s], count: byStatus[s] || 0, current: s === status })),
+      status,
+      q,
+      audits,
+      total,
+      page,
+      pages,
+      prev: page > 1 ? page - 1 : null,
+      next: page < pages ? page + 1 : null,
+    });
+  } catch (err) {
+    console.error("[reviews] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load review queue");
+  }
+});
+
+/**
+ * GET /admin/reviews/:id — scores, rationales, override form and change log
+ */
+router.get("/admin/reviews/:id", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const audit = await loadAudit(req, res);
+    if (!audit) return;
+    return renderReview(res, audit, { saved: req.query.saved || null });
+  } catch (err) {
+    console.error("[reviews view] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load audit");
+  }
+});
+
+/**
+ * POST /admin/reviews/:id/override   form: visibility?, contribution?, ERF?, justification
+ */
+router.post("/admin/reviews/:id/override", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const audit = await loadAudit(req, res);
+    if (!audit) return;
+
+    const policy = await getActivePolicy();
+    const { values, errors } = readOverride(req.body, policy);
+    if (!Object.keys(values).length) errors.push("Enter at least one new score");
+    if (errors.length) return renderReview(res.status(400), audit, { errors, form: req.body });
+
+    try {
+      applyOverride(audit, values, { user: req.user, justification: req.body.justification, policy });
+    } catch (e) {
+      if (!e.status) throw e;
+      return renderReview(res.status(e.status), audit, { errors: [e.message], form: req.body });
+    }
+    await audit.save();
+    console.log(`[reviews] ${req.user.email} overrode ${audit._id} (${Object.keys(values).join(", ")})`);
+    return res.redirect(`/admin/reviews/${audit._id}?saved=override`);
+  } catch (err) {
+    console.error("[reviews override] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to override scores");
+  }
+});
+
+/**
+ * POST /admin/reviews/:id/status   form: status, note?
+ */
+router.post("/admin/reviews/:id/status", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const audit = await loadAudit(req, res);
+    if (!audit) return;
+
+    try {
+      applyStatus(audit, String(req.body.status || ""), { user: req.user, note: req.body.note });
+    } catch (e) {
+      if (!e.status) throw e;
+      return renderReview(res.status(e.status), audit, { errors: [e.message] });
+    }
+    await audit.save();
+    return res.redirect(`/admin/reviews/${audit._id}?saved=status`);
+  } catch (err) {
+    console.error("[reviews status] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to change status");
+  }
+});
+
+/**
+ * POST /admin/reviews/:id/sector   form: sector (blank clears it)
+ * The sector belongs to the entity, so every audit with the same key gets it.
+ */
+router.post("/admin/reviews/:id/sector", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const audit = await loadAudit(req, res);
+    if (!audit) return;
+
+    try {
+      applySector(audit, req.body.sector, { user: req.user });
+    } catch (e) {
+      if (!e.status) throw e;
+      return renderReview(res.status(e.status), audit, { errors: [e.message] });
+    }
+    await audit.save();
+    await Audit.updateMany(
+      { key: audit.key, _id: { $ne: audit._id } },
+      { $set: { sector: audit.sector, sectorSource: audit.sectorSource } }
+    );
+    invalidateSectorStats();
+    console.log(`[reviews] ${req.user.email} set sector of "${audit.key}" to ${audit.sector || "none"}`);
+    return res.redirect(`/admin/reviews/${audit._id}?saved=sector`);
+  } catch (err) {
+    console.error("[reviews sector] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to change sector");
+  }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+// routes/admin_scoring_policy.js
+// Admin: view, publish and roll back SCOI scoring policies.
+import { Router } from "express";
+import ScoringPolicy from "../models/scoringPolicy.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import {
+  DEFAULT_POLICY,
+  getActivePolicy,
+  invalidatePolicy,
+  validatePolicy,
+} from "../utils/scoringPolicy.js";
+
+function ensureAdminEmails(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !req.user.email) {
+    return res.status(403).send("Admins only");
+  }
+  if (!adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).send("Admins only");
+  }
+  next();
+}
+
+const router = Router();
+
+// spare empty band rows offered on the form
+const EXTRA_BAND_ROWS = 2;
+
+// form body -> policy draft; rows without a label are dropped
+function readForm(body = {}) {
+  const rows = Array.isArray(body.bands) ? body.bands : Object.values(body.bands || {});
+  const bands = rows
+    .map((b) => ({
+      label: String((b && b.label) || "").trim(),
+      min: b && String(b.min ?? "").trim() !== "" ? Number(b.min) : null,
+      inclusive: !!(b && b.inclusive),
+    }))
+    .filter((b) => b.label);
+  return {
+    bands,
+    erfMin: Number(body.erfMin),
+    erfMax: Number(body.erfMax),
+    precision: Number(body.precision),
+    note: String(body.note || "").trim(),
+  };
+}
+
+async function renderPage(req, res, { draft = null, errors = null, status = 200 } = {}) {
+  invalidatePolicy();
+  const active = await getActivePolicy();
+  const versions = await ScoringPolicy.find().sort({ version: -1 }).lean();
+  if (!versions.some((v) => v.version === DEFAULT_POLICY.version)) {
+    versions.push({ ...DEFAULT_POLICY, builtIn: true, note: "Built-in default" });
+  }
+
+  const form = draft || active;
+  const bands = form.bands.map((b, i) => ({ ...b, i }));
+  for (let n = 0; n < EXTRA_BAND_ROWS; n++) bands.push({ i: bands.length, label: "", min: null, inclusive: true });
+
+  return res.status(status).render("admin/scoring_policy", {
+    title: "Admin · Scoring Policy",
+    active,
+    form: { ...form, bands },
+    versions: versions.map((v) => ({ ...v, isActive: v.version === active.version })),
+    errors,
+    saved: req.query.saved || null,
+  });
+}
+
+/**
+ * GET /admin/scoring-policy
+ */
+router.get("/admin/scoring-policy", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    return await renderPage(req, res);
+  } catch (err) {
+    console.error("[admin scoring-policy] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load scoring policy");
+  }
+});
+
+/**
+ * POST /admin/scoring-policy — publish a new version and make it active
+ */
+router.post("/admin/scoring-policy", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const draft = readForm(req.body);
+    const errors = validatePolicy(draft);
+    if (errors.length) return await renderPage(req, res, { draft, errors, status: 400 });
+
+    const latest = await ScoringPolicy.findOne().sort({ version: -1 }).select("version").lean();
+    const version = Math.max(latest ? latest.version : 0, DEFAULT_POLICY.version) + 1;
+
+    await ScoringPolicy.updateMany({ active: true }, { $set: { active: false } });
+    await ScoringPolicy.create({ ...draft, version, active: true, createdBy: req.user._id });
+    invalidatePolicy();
+    console.log(`[admin scoring-policy] v${version} published by ${req.user.email}`);
+
+    return res.redirect("/admin/scoring-policy?saved=" + version);
+  } catch (err) {
+    console.error("[admin scoring-policy save] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to save scoring policy");
+  }
+});
+
+/**
+ * POST /admin/scoring-policy/:version/activate — roll forward/back to a saved version
+ */
+router.post("/admin/scoring-policy/:version/activate", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    const target = await ScoringPolicy.findOne({ version }).select("_id").lean();
+    if (!target && version !== DEFAULT_POLICY.version) return res.status(404).send("policy version not found");
+
+    await ScoringPolicy.updateMany({ active: true }, { $set: { active: false } });
+    // with nothing active the built-in default applies
+    if (target) await ScoringPolicy.updateOne({ _id: target._id }, { $set: { active: true } });
+    invalidatePolicy();
+    console.log(`[admin scoring-policy] v${version} activated by ${req.user.email}`);
+
+    return res.redirect("/admin/scoring-policy?saved=" + version);
+  } catch (err) {
+    console.error("[admin scoring-policy activate] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to activate scoring policy");
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+// routes/admin_sectors.js
+// Analysts: per-sector benchmarks (mean / median adjusted SCOI, placements).
+import { Router } from "express";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { sectorSummaries } from "../utils/sectorStats.js";
+
+function isPlatformAdmin(req) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return !!(req.user && req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+}
+
+// platform admins, super admins and analysts
+function ensureAnalyst(req, res, next) {
+  if (isPlatformAdmin(req)) return next();
+  if (req.user && ["analyst", "super_admin"].includes(req.user.role)) return next();
+  return res.status(403).send("Analysts only");
+}
+
+const router = Router();
+
+/**
+ * GET /admin/sectors
+ */
+router.get("/admin/sectors", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const { overall, sectors } = await sectorSummaries();
+    const classified = sectors.reduce((n, s) => n + s.count, 0);
+    return res.render("admin/sectors", {
+      title: "Sector Benchmarks",
+      overall,
+      sectors,
+      unclassified: overall.count - classified,
+    });
+  } catch (err) {
+    console.error("[admin sectors] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load sector statistics");
+  }
+});
+
+export default router;
@@ -0,0 +1,140 @@
+// routes/admin_self_audit.js
+// Admin: view, publish and roll back the organizational self-audit questionnaire.
+import { Router } from "express";
+import SelfAuditQuestionnaire from "../models/selfAuditQuestionnaire.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import {
+  DEFAULT_QUESTIONNAIRE,
+  DIMENSIONS,
+  getActiveQuestionnaire,
+  invalidateQuestionnaire,
+  validateQuestionnaire,
+} from "../utils/selfAudit.js";
+
+function ensureAdminEmails(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !req.user.email) {
+    return res.status(403).send("Admins only");
+  }
+  if (!adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).send("Admins only");
+  }
+  next();
+}
+
+const router = Router();
+
+// spare empty indicator rows offered on the form
+const EXTRA_INDICATOR_ROWS = 3;
+
+// form body -> questionnaire draft; rows without a question are dropped
+function readForm(body = {}) {
+  const rows = Array.isArray(body.indicators) ? body.indicators : Object.values(body.indicators || {});
+  const indicators = rows
+    .map((r) => ({
+      key: String((r && r.key) || "").trim().toLowerCase(),
+      dimension: String((r && r.dimension) || "").trim(),
+      text: String((r && r.text) || "").trim(),
+      guidance: String((r && r.guidance) || "").trim(),
+      weight: r && String(r.weight ?? "").trim() !== "" ? Number(r.weight) : 1,
+      evidenceRequired: !!(r && r.evidenceRequired),
+    }))
+    .filter((r) => r.text);
+  return { indicators, note: String(body.note || "").trim() };
+}
+
+async function renderPage(req, res, { draft = null, errors = null, status = 200 } = {}) {
+  invalidateQuestionnaire();
+  const active = await getActiveQuestionnaire();
+  const versions = await SelfAuditQuestionnaire.find().sort({ version: -1 }).lean();
+  if (!versions.some((v) => v.version === DEFAULT_QUESTIONNAIRE.version)) {
+    versions.push({ ...DEFAULT_QUESTIONNAIRE, builtIn: true, note: "Built-in default" });
+  }
+
+  const form = draft || active;
+  const indicators = form.indicators.map((ind, i) => ({ ...ind, i }));
+  for (let n = 0; n < EXTRA_INDICATOR_ROWS; n++) {
+    indicators.push({ i: indicators.length, key: "", dimension: "", text: "", guidance: "", weight: 1, evidenceRequired: false });
+  }
+
+  return res.status(status).render("admin/self_audit", {
+    title: "Admin · Self-Audit Questionnaire",
+    active,
+    dimensions: DIMENSIONS,
+    form: { ...form, indicators },
+    versions: versions.map((v) => ({
+      ...v,
+      isActive: v.version === active.version,
+      counts: DIMENSIONS.map((d) => ({
+        label: d.label,
+        count: v.indicators.filter((ind) => ind.dimension === d.key).length,
+      })),
+    })),
+    errors,
+    saved: req.query.saved || null,
+  });
+}
+
+/**
+ * GET /admin/self-audit
+ */
+router.get("/admin/self-audit", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    return await renderPage(req, res);
+  } catch (err) {
+    console.error("[admin self-audit] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load self-audit questionnaire");
+  }
+});
+
+/**
+ * POST /admin/self-audit — publish a new questionnaire version and make it active
+ */
+router.post("/admin/self-audit", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const draft = readForm(req.body);
+    const errors = validateQuestionnaire(draft);
+    if (errors.length) return await renderPage(req, res, { draft, errors, status: 400 });
+
+    const latest = await SelfAuditQuestionnaire.findOne().sort({ version: -1 }).select("version").lean();
+    const version = Math.max(latest ? latest.version : 0, DEFAULT_QUESTIONNAIRE.version) + 1;
+
+    await SelfAuditQuestionnaire.updateMany({ active: true }, { $set: { active: false } });
+    await SelfAuditQuestionnaire.create({ ...draft, version, active: true, createdBy: req.user._id });
+    invalidateQuestionnaire();
+    console.log(`[admin self-audit] questionnaire v${version} published by ${req.user.email}`);
+
+    return res.redirect("/admin/self-audit?saved=" + version);
+  } catch (err) {
+    console.error("[admin self-audit save] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to save self-audit questionnaire");
+  }
+});
+
+/**
+ * POST /admin/self-audit/:version/activate — roll forward/back to a saved version
+ */
+router.post("/admin/self-audit/:version/activate", ensureAuth, ensureAdminEmails, async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    const target = await SelfAuditQuestionnaire.findOne({ version }).select("_id").lean();
+    if (!target && version !== DEFAULT_QUESTIONNAIRE.version) return res.status(404).send("questionnaire version not found");
+
+    await SelfAuditQuestionnaire.updateMany({ active: true }, { $set: { active: false } });
+    // with nothing active the built-in default applies
+    if (target) await SelfAuditQuestionnaire.updateOne({ _id: target._id }, { $set: { active: true } });
+    invalidateQuestionnaire();
+    console.log(`[admin self-audit] questionnaire v${version} activated by ${req.user.email}`);
+
+    return res.redirect("/admin/self-audit?saved=" + version);
+  } catch (err) {
+    console.error("[admin self-audit activate] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to activate self-audit questionnaire");
+  }
+});
+
+export default router;
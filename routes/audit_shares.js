@@ -0,0 +1,246 @@
+// routes/audit_shares.js
+// Public share links for saved audits: owners create / list / revoke links,
+// anyone with a live link gets a read-only page (no login, no chat UI).
+import { Router } from "express";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Audit from "../models/audit.js";
+import AuditShare from "../models/auditShare.js";
+import { auditRationales } from "../utils/compareAudits.js";
+import { renderAuditPdf } from "../utils/auditPdf.js";
+import { getActivePolicy } from "../utils/scoringPolicy.js";
+import { benchmarkFor } from "../utils/sectorStats.js";
+
+const router = Router();
+
+function isPlatformAdmin(req) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return !!(req.user && req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+}
+
+function requireLogin(req, res, next) {
+  if (req.isAuthenticated && req.isAuthenticated()) return next();
+  return res.status(401).json({ error: "Authentication required" });
+}
+
+// platform admins can share any audit, everyone else only their own
+function ownerFilter(req) {
+  return isPlatformAdmin(req) ? {} : { user: req.user._id };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHAREABLE_STATUSES = ["approved", "published"];
+const MAX_EXPIRY_DAYS = 365;
+
+function shareUrl(req, token) {
+  const base = (process.env.BASE_URL || `${req.get("x-forwarded-proto") || req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+  return `${base}/s/${token}`;
+}
+
+function shareJson(req, share) {
+  const now = Date.now();
+  const status = share.revokedAt
+    ? "revoked"
+    : share.expiresAt && new Date(share.expiresAt).getTime() <= now
+      ? "expired"
+      : "active";
+  return { ...share, status, url: shareUrl(req, share.token) };
+}
+
+async function loadOwnedAudit(req, res) {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: "invalid id" });
+    return null;
+  }
+  const audit = await Audit.findOne({ _id: id, ...ownerFilter(req) }).select("_id entity adjustedSCOI completedAt status").lean();
+  if (!audit) {
+    res.status(404).json({ error: "Audit not found" });
+    return null;
+  }
+  return audit;
+}
+
+/**
+ * POST /api/audits/:id/shares   body: { expiresInDays?, label? }
+ * Creates a new public link (no expiry when expiresInDays is empty).
+ */
+router.post("/api/audits/:id/shares", requireLogin, async (req, res) => {
+  try {
+    const audit = await loadOwnedAudit(req, res);
+    if (!audit) return;
+    if (!audit.completedAt) return res.status(409).json({ error: "Only finished audits can be shared" });
+    // clients only ever see reviewed audits (utils/auditReview.js)
+    if (!SHAREABLE_STATUSES.includes(audit.status)) {
+      return res.status(409).json({ error: "Only approved or published audits can be shared; submit it for review first" });
+    }
+
+    let expiresAt = null;
+    const raw = req.body && req.body.expiresInDays;
+    if (raw !== undefined && raw !== null && raw !== "") {
+      const days = Number(raw);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * DAY_MS);
+    }
+
+    const share = await AuditShare.create({
+      token: crypto.randomBytes(24).toString("base64url"),
+      audit: audit._id,
+      createdBy: req.user._id,
+      label: String((req.body && req.body.label) || "").trim().slice(0, 120),
+      expiresAt,
+    });
+    return res.status(201).json({ share: shareJson(req, share.toObject()) });
+  } catch (err) {
+    console.error("[audit shares create] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to create share link" });
+  }
+});
+
+/**
+ * GET /api/audits/:id/shares — links for one audit with their view counts
+ */
+router.get("/api/audits/:id/shares", requireLogin, async (req, res) => {
+  try {
+    const audit = await loadOwnedAudit(req, res);
+    if (!audit) return;
+    const shares = await AuditShare.find({ audit: audit._id }).sort({ createdAt: -1 }).lean();
+    return res.json({ shares: shares.map((s) => shareJson(req, s)) });
+  } catch (err) {
+    console.error("[audit shares list] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load share links" });
+  }
+});
+
+/**
+ * POST /api/shares/:shareId/revoke
+ */
+router.post("/api/shares/:shareId/revoke", requireLogin, async (req, res) => {
+  try {
+    const id = String(req.params.shareId || "");
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: "invalid id" });
+
+    const share = await AuditShare.findById(id);
+    if (!share) return res.status(404).json({ error: "Share link not found" });
+    // the link's audit must belong to the caller
+    if (!(await Audit.exists({ _id: share.audit, ...ownerFilter(req) }))) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      await share.save();
+    }
+    return res.json({ share: shareJson(req, share.toObject()) });
+  } catch (err) {
+    console.error("[audit shares revoke] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to revoke share link" });
+  }
+});
+
+// live link for `token` (counting a view when `count` is set), or { status } for the error page
+async function resolveShare(token, { count = false } = {}) {
+  const now = new Date();
+  const live = { token, revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+  const share = count
+    ? await AuditShare.findOneAndUpdate(live, { $inc: { views: 1 }, $set: { lastViewedAt: now } }, { new: true }).lean()
+    : await AuditShare.findOne(live).lean();
+  if (share) return { share };
+  return { status: (await AuditShare.exists({ token })) ? 410 : 404 };
+}
+
+function renderUnavailable(res, status) {
+  return res.status(status).render("shared_audit", {
+    title: "Audit unavailable",
+    unavailable: status === 410 ? "This link has expired or was revoked." : "This link does not exist.",
+  });
+}
+
+function num(v, digits) {
+  return typeof v === "number" && Number.isFinite(v) ? v.toFixed(digits) : "N/A";
+}
+
+/**
+ * GET /s/:token — public read-only audit page
+ */
+router.get("/s/:token", async (req, res) => {
+  try {
+    const token = String(req.params.token || "");
+    const { share, status } = await resolveShare(token, { count: true });
+    if (!share) return renderUnavailable(res, status);
+
+    const audit = await Audit.findById(share.audit).lean();
+    if (!audit) return renderUnavailable(res, 404);
+    if (!SHAREABLE_STATUSES.includes(audit.status)) return renderUnavailable(res, 410);
+
+    const { precision } = await getActivePolicy();
+    const r = auditRationales(audit);
+    const sections = [
+      { title: "1. Visibility", figure: `Score: ${num(audit.visibility, 1)} / 10`, body: r.visibility },
+      { title: "2. Contribution", figure: `Score: ${num(audit.contribution, 1)} / 10`, body: r.contribution },
+      {
+        title: "3. SCOI Calculation",
+        figure: `SCOI = Contribution ÷ Visibility = ${num(audit.contribution, 1)} ÷ ${num(audit.visibility, 1)} = ${num(audit.rawSCOI, precision)}`,
+        body: r.rawSCOI,
+      },
+      { title: "4. Environmental Resilience Factor (ERF)", figure: `Factor: ${num(audit.ERF, 2)}`, body: r.ERF },
+      {
+        title: "5. Adjusted SCOI",
+        figure: `Adjusted SCOI = SCOI × ERF = ${num(audit.rawSCOI, precision)} × ${num(audit.ERF, 2)} = ${num(audit.adjustedSCOI, precision)}`,
+        body: audit.placementLevel ? `Placement: ${audit.placementLevel}` : "",
+      },
+      { title: "6. Final CRIPFCnt Commentary", figure: null, body: r.commentary },
+    ];
+
+    const benchmark = await benchmarkFor(audit);
+
+    res.setHeader("X-Robots-Tag", "noindex");
+    return res.render("shared_audit", {
+      title: `SCOI Audit — ${audit.entity}`,
+      entity: audit.entity,
+      createdAt: new Date(audit.createdAt).toUTCString(),
+      placementLevel: audit.placementLevel,
+      adjustedSCOI: num(audit.adjustedSCOI, precision),
+      policyVersion: audit.policyVersion,
+      benchmark,
+      sections,
+      sources: (audit.sources && audit.sources.length
+        ? audit.sources
+        : (audit.urls || []).map((url, i) => ({ n: i + 1, title: url, url, snippet: "" })))
+        .map((src) => ({ ...src, url: /^https?:\/\//i.test(src.url || "") ? src.url : null })),
+      pdfUrl: `/s/${encodeURIComponent(token)}/pdf`,
+    });
+  } catch (err) {
+    console.error("[shared audit] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load audit");
+  }
+});
+
+/**
+ * GET /s/:token/pdf — PDF of a shared audit (not counted as a view)
+ */
+router.get("/s/:token/pdf", async (req, res) => {
+  try {
+    const { share, status } = await resolveShare(String(req.params.token || ""));
+    if (!share) return renderUnavailable(res, status);
+    const audit = await Audit.findById(share.audit).lean();
+    if (!audit) return renderUnavailable(res, 404);
+    if (!SHAREABLE_STATUSES.includes(audit.status)) return renderUnavailable(res, 410);
+
+    const policy = await getActivePolicy();
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="scoi_audit_${audit._id}.pdf"`);
+    renderAuditPdf(audit, res, { policy });
+  } catch (err) {
+    console.error("[shared audit pdf] error:", err && (err.stack || err));
+    if (!res.headersSent) return res.status(500).send("Failed to export audit");
+    res.end();
+  }
+});
+
+export default router;
@@ -0,0 +1,344 @@
+// routes/audits.js
+// Saved SCOI audits: structured runs, per-entity history + reopening a single audit.
+import { Router } from "express";
+import mongoose from "mongoose";
+import Audit from "../models/audit.js";
+import { runStructuredAudit } from "../utils/structuredAudit.js";
+import { normalizeEntityKey } from "../utils/normalizeEntity.js";
+import { consumeSearchCredit, refundSearchCredit } from "../utils/searchCredits.js";
+import { buildComparison } from "../utils/compareAudits.js";
+import { renderAuditPdf } from "../utils/auditPdf.js";
+import { getActivePolicy } from "../utils/scoringPolicy.js";
+import { applyStatus } from "../utils/auditReview.js";
+import { parseRegistryQuery, queryRegistry } from "../utils/auditRegistry.js";
+import { benchmarkFor, sectorSummaries } from "../utils/sectorStats.js";
+import { SECTORS } from "../utils/sectors.js";
+import { resolveLanguage } from "../utils/languages.js";
+
+const router = Router();
+
+function isPlatformAdmin(req) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return !!(req.user && req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+}
+
+function requireLogin(req, res, next) {
+  if (req.isAuthenticated && req.isAuthenticated()) return next();
+  return res.status(401).json({ error: "Authentication required" });
+}
+
+// platform admins see every audit, everyone else only their own
+function ownerFilter(req) {
+  return isPlatformAdmin(req) ? {} : { user: req.user._id };
+}
+
+// fields returned in history listings (the full text is fetched on reopen)
+const SUMMARY_FIELDS =
+  "entity key mode visibility contribution ERF rawSCOI adjustedSCOI placementLevel sector status overridden error createdAt";
+
+/**
+ * GET /api/audits?sector=&placement=&minScore=&maxScore=&q=&sort=-adjustedSCOI&page=1&limit=20
+ * Public SCOI registry: the latest published audit of every entity, in the
+ * framework / formula envelope this endpoint has always used, plus paging.
+ */
+router.get("/", async (req, res) => {
+  const query = parseRegistryQuery(req.query);
+  if (query.errors.length) return res.status(400).json({ error: "Invalid registry query", details: query.errors });
+
+  try {
+    const { data, ...meta } = await queryRegistry(query);
+    return res.json({
+      framework: "CRIPFCnt SCOI Audit System",
+      author: "Donald Mataranyika",
+      description:
+        "Civilization-level audit system measuring organizational Visibility, Contribution, and Placement under global volatility.",
+      formula: "Adjusted SCOI = Raw SCOI × Environmental Resilience Factor (ERF)",
+      data,
+      meta,
+    });
+  } catch (err) {
+    console.error("[audits registry] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load registry" });
+  }
+});
+
+/**
+ * GET /api/audits/sectors
+ * Sector taxonomy with per-sector benchmarks: entity count, mean / median
+ * adjusted SCOI and placement distribution (utils/sectorStats.js).
+ */
+router.get("/sectors", async (req, res) => {
+  try {
+    const { overall, sectors } = await sectorSummaries();
+    const stats = Object.fromEntries(sectors.map((s) => [s.key, s]));
+    return res.json({
+      overall,
+      sectors: SECTORS.map((s) => stats[s.key] || { ...s, count: 0, mean: null, median: null, placements: [] }),
+    });
+  } catch (err) {
+    console.error("[audits sectors] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load sector statistics" });
+  }
+});
+
+/**
+ * POST /api/audits/run   body: { entity, refresh?, language? }
+ * Structured (schema-locked JSON) audit via autoFetchAndScore. Charges the
+ * same daily credit as /api/chat-stream and saves the run as an Audit; the
+ * credit is given back when the run fails or comes from the cache or an
+ * exemplar.
+ * `refresh: true` bypasses the audit cache; `language` (en, sn, nd, fr, pt)
+ * defaults to the user's locale.
+ */
+router.post("/run", requireLogin, async (req, res) => {
+  const entity = String((req.body && req.body.entity) || "").trim();
+  if (!entity) return res.status(400).json({ error: "entity is required" });
+  if (entity.length > 800) return res.status(400).json({ error: "entity must be under 800 characters" });
+  const { language, error } = resolveLanguage(req.body.language, req.user);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const credit = await consumeSearchCredit(req.user);
+    if (!credit.ok) return res.status(credit.status).json(credit.body);
+
+    const forceRefresh = [true, "1", "true", "yes"].includes(req.body.refresh);
+    let run;
+    try {
+      run = await runStructuredAudit(entity, { user: req.user, forceRefresh, language });
+    } catch (err) {
+      await refundSearchCredit(req.user, credit);
+      throw err;
+    }
+
+    // cache and exemplar hits made no model call, so they are free
+    const { audit, result } = run;
+    if (result.cached || !result.usage) await refundSearchCredit(req.user, credit);
+    return res.json({ auditId: audit._id, ...result });
+  } catch (err) {
+    console.error("[audits run] error:", err && (err.stack || err));
+    return res.status(err.status || 500).json({
+      error: err.status === 502 ? "Invalid model output" : "Audit failed",
+      detail: String(err.message || err),
+    });
+  }
+});
+
+/**
+ * GET /api/audits/history?entity=...&limit=20
+ * Lists past audits for an entity (matched on its normalized key).
+ * Without `entity`, lists the caller's most recent audits.
+ */
+router.get("/history", requireLogin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), 100);
+    const filter = ownerFilter(req);
+
+    const entity = String(req.query.entity || "").trim();
+    if (entity) filter.key = normalizeEntityKey(entity);
+
+    const audits = await Audit.find(filter)
+      .select(SUMMARY_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return res.json({ key: filter.key || null, count: audits.length, audits });
+  } catch (err) {
+    console.error("[audits history] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load audit history" });
+  }
+});
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 6;
+
+// "a,b,c", ["a", "b"] or repeated ?entities= -> unique names in order
+function readCompareEntities(raw) {
+  const parts = (Array.isArray(raw) ? raw : [raw])
+    .flatMap((v) => String(v || "").split(","))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const seen = new Set();
+  return parts.filter((entity) => {
+    const key = normalizeEntityKey(entity);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// 400 message for an invalid entity list, or null
+function compareEntitiesError(entities) {
+  if (entities.length < MIN_COMPARE || entities.length > MAX_COMPARE) {
+    return `Provide between ${MIN_COMPARE} and ${MAX_COMPARE} distinct entities`;
+  }
+  if (entities.some((e) => e.length > 800)) return "entity must be under 800 characters";
+  return null;
+}
+
+function latestSavedAudit(req, entity) {
+  return Audit.findOne({ key: normalizeEntityKey(entity), adjustedSCOI: { $ne: null }, ...ownerFilter(req) })
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * GET /api/audits/compare?entities=a,b,c
+ * Side-by-side comparison of 2-6 entities from their latest scored audits.
+ * Read-only: an entity without a saved audit gets a `missing` column; POST
+ * runs the audits.
+ */
+router.get("/compare", requireLogin, async (req, res) => {
+  const entities = readCompareEntities(req.query.entities);
+  const invalid = compareEntitiesError(entities);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const columns = [];
+    for (const entity of entities) {
+      const saved = await latestSavedAudit(req, entity);
+      columns.push(saved
+        ? { entity, audit: saved, source: "saved" }
+        : { entity, audit: null, missing: true, error: "No saved audit yet" });
+    }
+    return res.json(buildComparison(columns));
+  } catch (err) {
+    console.error("[audits compare] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to compare audits" });
+  }
+});
+
+/**
+ * POST /api/audits/compare   body: { entities, fresh?, language? }
+ * Like GET, but entities without a saved audit (or all of them with
+ * `fresh`) get a new structured audit, charged like /run. A failed entity
+ * only blanks its own column.
+ */
+router.post("/compare", requireLogin, async (req, res) => {
+  const entities = readCompareEntities(req.body && req.body.entities);
+  const invalid = compareEntitiesError(entities);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const fresh = [true, "1", "true", "yes"].includes(req.body.fresh);
+  const { language, error } = resolveLanguage(req.body.language, req.user);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const columns = [];
+    for (const entity of entities) {
+      const saved = fresh ? null : await latestSavedAudit(req, entity);
+      if (saved) {
+        columns.push({ entity, audit: saved, source: "saved" });
+        continue;
+      }
+
+      const credit = await consumeSearchCredit(req.user);
+      if (!credit.ok) {
+        columns.push({ entity, audit: null, error: credit.body.friendly || credit.body.error });
+        continue;
+      }
+      try {
+        const { audit } = await runStructuredAudit(entity, { user: req.user, forceRefresh: fresh, language });
+        columns.push({ entity, audit: audit.toObject(), source: "fresh" });
+      } catch (err) {
+        console.error(`[audits compare] "${entity}" failed:`, err && (err.stack || err));
+        columns.push({ entity, audit: null, error: String(err.message || err) });
+      }
+    }
+
+    return res.json(buildComparison(columns));
+  } catch (err) {
+    console.error("[audits compare] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to compare audits" });
+  }
+});
+
+/**
+ * GET /api/audits/:id/pdf
+ * Branded PDF download of a saved audit (see utils/auditPdf.js).
+ */
+router.get("/:id/pdf", requireLogin, async (req, res) => {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: "invalid id" });
+
+  try {
+    const audit = await Audit.findOne({ _id: id, ...ownerFilter(req) }).lean();
+    if (!audit) return res.status(404).json({ error: "Audit not found" });
+    const policy = await getActivePolicy();
+
+    const slug = audit.key.replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "audit";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="scoi_${slug}_${audit._id}.pdf"`);
+    renderAuditPdf(audit, res, { policy });
+  } catch (err) {
+    console.error("[audits pdf] error:", err && (err.stack || err));
+    if (!res.headersSent) return res.status(500).json({ error: "Failed to export audit" });
+    res.end();
+  }
+});
+
+/**
+ * GET /api/audits/:id/benchmark
+ * The audit's percentile within its sector and across all audited entities.
+ */
+router.get("/:id/benchmark", requireLogin, async (req, res) => {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: "invalid id" });
+
+  try {
+    const audit = await Audit.findOne({ _id: id, ...ownerFilter(req) })
+      .select("adjustedSCOI sector sectorSource")
+      .lean();
+    if (!audit) return res.status(404).json({ error: "Audit not found" });
+    return res.json({ benchmark: await benchmarkFor(audit) });
+  } catch (err) {
+    console.error("[audits benchmark] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load benchmark" });
+  }
+});
+
+/**
+ * POST /api/audits/:id/submit — send a finished draft to the analyst review queue
+ */
+router.post("/:id/submit", requireLogin, async (req, res) => {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: "invalid id" });
+
+  try {
+    const audit = await Audit.findOne({ _id: id, ...ownerFilter(req) });
+    if (!audit) return res.status(404).json({ error: "Audit not found" });
+    try {
+      applyStatus(audit, "in_review", { user: req.user, note: req.body && req.body.note });
+    } catch (e) {
+      if (!e.status) throw e;
+      return res.status(e.status).json({ error: e.message });
+    }
+    await audit.save();
+    return res.json({ ok: true, status: audit.status });
+  } catch (err) {
+    console.error("[audits submit] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to submit audit for review" });
+  }
+});
+
+/**
+ * GET /api/audits/:id
+ * Reopen a saved audit (full document including text).
+ */
+router.get("/:id", requireLogin, async (req, res, next) => {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) return next();
+
+  try {
+    const audit = await Audit.findOne({ _id: id, ...ownerFilter(req) }).lean();
+    if (!audit) return res.status(404).json({ error: "Audit not found" });
+    return res.json(audit);
+  } catch (err) {
+    console.error("[audits get] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load audit" });
+  }
+});
+
+export default router;
@@ -0,0 +1,229 @@
+// routes/batch_audits.js
+// Admin/analyst: queue structured SCOI audits for an uploaded entity list,
+// follow their progress and download the results.
+import { Router } from "express";
+import mongoose from "mongoose";
+import multer from "multer";
+import { stringify } from "csv-stringify/sync";
+import AuditBatch from "../models/auditBatch.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { enqueueBatch, getBatchConcurrency, getBatchMaxEntities, parseEntityList } from "../utils/batchRunner.js";
+
+function isPlatformAdmin(req) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return !!(req.user && req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+}
+
+// platform admins, super admins and analysts
+function ensureAnalyst(req, res, next) {
+  if (isPlatformAdmin(req)) return next();
+  if (req.user && ["analyst", "super_admin"].includes(req.user.role)) return next();
+  return res.status(403).send("Analysts only");
+}
+
+// admins see every batch, analysts only their own
+function batchFilter(req) {
+  return isPlatformAdmin(req) ? {} : { createdBy: req.user._id };
+}
+
+const router = Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+const RESULT_FIELDS = [
+  "entity", "status", "visibility", "contribution", "ERF", "rawSCOI",
+  "adjustedSCOI", "placementLevel", "cached", "audit", "error",
+];
+
+function resultRows(batch) {
+  return batch.items.map((i) => ({
+    entity: i.entity,
+    status: i.status,
+    visibility: i.visibility,
+    contribution: i.contribution,
+    ERF: i.ERF,
+    rawSCOI: i.rawSCOI,
+    adjustedSCOI: i.adjustedSCOI,
+    placementLevel: i.placementLevel,
+    cached: i.cached,
+    audit: i.audit ? String(i.audit) : null,
+    error: i.error,
+  }));
+}
+
+function progress(batch) {
+  const finished = batch.done + batch.failed;
+  return {
+    id: batch._id,
+    name: batch.name,
+    status: batch.status,
+    total: batch.total,
+    done: batch.done,
+    failed: batch.failed,
+    percent: batch.total ? Math.round((finished / batch.total) * 100) : 0,
+  };
+}
+
+async function loadBatch(req, res) {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).send("invalid id");
+    return null;
+  }
+  const batch = await AuditBatch.findOne({ _id: id, ...batchFilter(req) }).lean();
+  if (!batch) {
+    res.status(404).send("batch not found");
+    return null;
+  }
+  return batch;
+}
+
+/**
+ * GET /admin/batch-audits — upload form + recent batches
+ */
+router.get("/admin/batch-audits", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const batches = await AuditBatch.find(batchFilter(req))
+      .select("-items")
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    return res.render("admin/batch_audits", {
+      title: "Batch Audits",
+      batches: batches.map((b) => ({ ...progress(b), createdAt: b.createdAt })),
+      maxEntities: getBatchMaxEntities(),
+      concurrency: getBatchConcurrency(),
+      error: req.query.error || null,
+    });
+  } catch (err) {
+    console.error("[batch-audits] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load batch audits");
+  }
+});
+
+/**
+ * POST /admin/batch-audits   multipart: file (CSV / .txt) and/or entities (textarea), name, refresh
+ */
+router.post("/admin/batch-audits", ensureAuth, ensureAnalyst, upload.single("file"), async (req, res) => {
+  try {
+    const file = req.file;
+    const text = [file ? file.buffer.toString("utf8") : "", String(req.body.entities || "")]
+      .filter((t) => t.trim())
+      .join("\n");
+    const csv = !!(file && /\.csv$/i.test(file.originalname || ""));
+    const { entities, duplicates, truncated } = parseEntityList(text, { csv });
+
+    if (!entities.length) {
+      return res.redirect("/admin/batch-audits?error=" + encodeURIComponent("No entities found in the upload"));
+    }
+
+    const batch = await AuditBatch.create({
+      name: String(req.body.name || "").trim() || (file && file.originalname) || `${entities.length} entities`,
+      forceRefresh: ["1", "true", "on", "yes"].includes(String(req.body.refresh || "")),
+      items: entities,
+      total: entities.length,
+      createdBy: req.user._id,
+    });
+    console.log(
+      `[batch-audits] queued ${batch._id}: ${entities.length} entities` +
+        ` (${duplicates} duplicates dropped, ${truncated} over the limit) by ${req.user.email}`
+    );
+    enqueueBatch(batch._id);
+
+    return res.redirect("/admin/batch-audits/" + batch._id);
+  } catch (err) {
+    console.error("[batch-audits create] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to queue batch");
+  }
+});
+
+/**
+ * GET /admin/batch-audits/:id — progress page
+ */
+router.get("/admin/batch-audits/:id", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    return res.render("admin/batch_audit", {
+      title: `Batch · ${batch.name}`,
+      batch: progress(batch),
+      items: batch.items,
+      active: ["queued", "running"].includes(batch.status),
+    });
+  } catch (err) {
+    console.error("[batch-audits view] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to load batch");
+  }
+});
+
+/**
+ * GET /admin/batch-audits/:id/progress — JSON progress for polling
+ */
+router.get("/admin/batch-audits/:id/progress", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    return res.json({
+      ...progress(batch),
+      items: batch.items.map((i) => ({
+        _id: i._id,
+        status: i.status,
+        adjustedSCOI: i.adjustedSCOI,
+        placementLevel: i.placementLevel,
+        audit: i.audit,
+        error: i.error,
+      })),
+    });
+  } catch (err) {
+    console.error("[batch-audits progress] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load batch" });
+  }
+});
+
+/**
+ * GET /admin/batch-audits/:id/results.csv | results.json
+ */
+router.get("/admin/batch-audits/:id/results.:format(csv|json)", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const rows = resultRows(batch);
+    const filename = `batch_${batch._id}.${req.params.format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (req.params.format === "json") {
+      return res.json({ ...progress(batch), results: rows });
+    }
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    return res.send(stringify(rows, { header: true, columns: RESULT_FIELDS }));
+  } catch (err) {
+    console.error("[batch-audits results] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to export results");
+  }
+});
+
+/**
+ * POST /admin/batch-audits/:id/cancel — stop before the next entity
+ */
+router.post("/admin/batch-audits/:id/cancel", ensureAuth, ensureAnalyst, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    await AuditBatch.updateOne(
+      { _id: batch._id, status: { $in: ["queued", "running"] } },
+      { $set: { status: "cancelled", finishedAt: new Date() } }
+    );
+    return res.redirect("/admin/batch-audits/" + batch._id);
+  } catch (err) {
+    console.error("[batch-audits cancel] error:", err && (err.stack || err));
+    return res.status(500).send("Failed to cancel batch");
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+// routes/framework.js
+// CRIPFCnt framework explainer: BM25 passage search and cited answers.
+import { Router } from "express";
+import { searchFramework } from "../utils/frameworkIndex.js";
+import { explainFramework } from "../utils/frameworkExplainer.js";
+import { recordUsage } from "../utils/llmUsage.js";
+import { consumeFollowupCredit } from "../utils/searchCredits.js";
+
+const router = Router();
+
+function requireLogin(req, res, next) {
+  if (req.isAuthenticated && req.isAuthenticated()) return next();
+  return res.status(401).json({ error: "Authentication required" });
+}
+
+const MAX_QUESTION_LENGTH = 1000;
+
+function readLimit(value) {
+  return Math.min(Math.max(parseInt(value || "6", 10) || 6, 1), 12);
+}
+
+/**
+ * GET /api/framework/search?q=...&limit=6 — matching passages, best first
+ */
+router.get("/search", requireLogin, async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ error: "q is required" });
+    const passages = await searchFramework(q.slice(0, MAX_QUESTION_LENGTH), { limit: readLimit(req.query.limit) });
+    return res.json({ q, passages });
+  } catch (err) {
+    console.error("[framework search] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Search failed" });
+  }
+});
+
+/**
+ * POST /api/framework/explain   body: { question, limit? }
+ * -> { question, answer, citations: [{ n, source, title, heading, text, cited, ... }] }
+ * Each answered question uses one of the caller's daily follow-up questions;
+ * questions no passage matches get the canned answer for free.
+ */
+router.post("/explain", requireLogin, async (req, res) => {
+  const question = String((req.body && req.body.question) || "").trim();
+  if (!question) return res.status(400).json({ error: "question is required" });
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return res.status(400).json({ error: `question must be under ${MAX_QUESTION_LENGTH} characters` });
+  }
+
+  try {
+    const passages = await searchFramework(question, { limit: readLimit(req.body.limit) });
+    if (passages.length) {
+      const credit = await consumeFollowupCredit(req.user);
+      if (!credit.ok) return res.status(credit.status).json(credit.body);
+    }
+
+    const result = await explainFramework(question, { passages });
+    if (result.usage) await recordUsage({ kind: "explain", usage: result.usage, model: result.model, user: req.user });
+    return res.json({ question, ...result });
+  } catch (err) {
+    console.error("[framework explain] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to answer", detail: String(err.message || err) });
+  }
+});
+
+export default router;
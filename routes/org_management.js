@@ -14,6 +14,7 @@ import QuizQuestion from "../models/question.js";
 import Question from "../models/question.js";
 import Attempt from "../models/attempt.js";
 import { ensureAuth } from "../middleware/authGuard.js";
+import { profileHistory, teamProfileSummary } from "../utils/responsibilityProfile.js";
 
 const router = Router();
 
@@ -619,6 +620,12 @@ quizzesByModule[key].push({
     const isAdmin = !!(platformAdmin || isOrgManager);
     const hasAssignedQuizzes = Object.keys(quizzesByModule).length > 0;
 
+    // personal responsibility profile (latest + recent trend); team view for managers
+    const [profileTrend, teamProfile] = await Promise.all([
+      profileHistory(req.user._id, org._id, 6),
+      isAdmin ? teamProfileSummary(org._id) : null,
+    ]);
+
     return res.render("org/dashboard", {
       org,
       membership,
@@ -626,7 +633,10 @@ quizzesByModule[key].push({
       user: req.user,
       quizzesByModule,
         hasAssignedQuizzes,
-      isAdmin
+      isAdmin,
+      profile: profileTrend[0] || null,
+      profileTrend,
+      teamProfile
     });
   } catch (err) {
     console.error("[org dashboard] error:", err && (err.stack || err));
@@ -0,0 +1,284 @@
+// routes/org_self_audit.js
+// Org managers: evidence-based self-audit questionnaire, producing a
+// self-reported SCOI compared against the AI audit of the organization.
+import { Router } from "express";
+import mongoose from "mongoose";
+import multer from "multer";
+import path from "path";
+
+import Organization from "../models/organization.js";
+import OrgMembership from "../models/orgMembership.js";
+import SelfAudit from "../models/selfAudit.js";
+import SelfAuditAttachment from "../models/selfAuditAttachment.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { getActivePolicy } from "../utils/scoringPolicy.js";
+import {
+  DIMENSIONS,
+  compareWithAudit,
+  getActiveQuestionnaire,
+  getQuestionnaire,
+  latestAiAudit,
+  readAnswers,
+  scoreSelfAudit,
+  submissionProblems,
+} from "../utils/selfAudit.js";
+
+const router = Router();
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_FILES_PER_AUDIT = 30;
+const ALLOWED_EXTENSIONS = [".pdf", ".png", ".jpg", ".jpeg", ".gif", ".webp", ".doc", ".docx", ".xls", ".xlsx", ".ppt", ".pptx", ".csv", ".txt"];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_BYTES, files: 10 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || "").toLowerCase();
+    if (ALLOWED_EXTENSIONS.includes(ext)) return cb(null, true);
+    return cb(new Error(`${file.originalname}: only ${ALLOWED_EXTENSIONS.join(" ")} files can be attached`));
+  },
+});
+
+// helper: check platform admin boolean
+function isPlatformAdmin(req) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return !!(req.user && req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+}
+
+// org for :slug when the user is a platform admin or an org manager/admin;
+// otherwise sends the error and resolves to null
+async function loadManagedOrg(req, res) {
+  const org = await Organization.findOne({ slug: String(req.params.slug || "").trim() }).lean();
+  if (!org) {
+    res.status(404).send("org not found");
+    return null;
+  }
+  if (isPlatformAdmin(req)) return org;
+
+  const membership = await OrgMembership.findOne({ org: org._id, user: req.user._id }).lean();
+  const role = String((membership && membership.role) || "").toLowerCase();
+  if (role === "manager" || role === "admin") return org;
+
+  res.status(403).send("Managers only");
+  return null;
+}
+
+function selfAuditUrl(org, suffix = "") {
+  return `/org/${encodeURIComponent(org.slug)}/self-audit${suffix}`;
+}
+
+async function attachmentsFor(selfAuditId) {
+  return SelfAuditAttachment.find({ selfAudit: selfAuditId })
+    .select("indicator filename mimeType size createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
+// indicators grouped by dimension, each with its answer and attachments
+function questionnaireSections(questionnaire, answers = [], attachments = []) {
+  const byKey = Object.fromEntries(answers.map((a) => [a.key, a]));
+  return DIMENSIONS.map((d) => ({
+    ...d,
+    indicators: questionnaire.indicators
+      .filter((ind) => ind.dimension === d.key)
+      .map((ind) => ({
+        ...ind,
+        rating: byKey[ind.key] ? byKey[ind.key].rating : null,
+        evidence: byKey[ind.key] ? byKey[ind.key].evidence : "",
+        attachments: attachments
+          .filter((f) => f.indicator === ind.key)
+          .map((f) => ({ ...f, kb: Math.max(1, Math.round(f.size / 1024)) })),
+      })),
+  }));
+}
+
+function readAttachmentId(value) {
+  return mongoose.isValidObjectId(String(value || "")) ? String(value) : null;
+}
+
+/**
+ * GET /org/:slug/self-audit — current draft, latest result and history
+ */
+router.get("/org/:slug/self-audit", ensureAuth, async (req, res) => {
+  try {
+    const org = await loadManagedOrg(req, res);
+    if (!org) return;
+
+    const [draft, submitted, aiAudit] = await Promise.all([
+      SelfAudit.findOne({ org: org._id, status: "draft" }).lean(),
+      SelfAudit.find({ org: org._id, status: "submitted" }).sort({ submittedAt: -1 }).limit(20).lean(),
+      latestAiAudit(org),
+    ]);
+    const questionnaire = draft
+      ? (await getQuestionnaire(draft.questionnaireVersion)) || (await getActiveQuestionnaire())
+      : await getActiveQuestionnaire();
+    const attachments = draft ? await attachmentsFor(draft._id) : [];
+
+    const latest = submitted[0] || null;
+    return res.render("org/self_audit", {
+      title: `${org.name} | Self-audit`,
+      org,
+      user: req.user,
+      questionnaireVersion: questionnaire.version,
+      sections: questionnaireSections(questionnaire, draft ? draft.answers : [], attachments),
+      draft,
+      latest,
+      comparison: latest ? compareWithAudit(latest.scores, aiAudit) : null,
+      aiAudit,
+      history: submitted,
+      maxFileMb: MAX_FILE_BYTES / (1024 * 1024),
+      allowedExtensions: ALLOWED_EXTENSIONS.join(" "),
+      errors: req.query.error ? [String(req.query.error)] : null,
+      saved: req.query.saved || null,
+    });
+  } catch (err) {
+    console.error("[org self-audit] error:", err && (err.stack || err));
+    return res.status(500).send("failed");
+  }
+});
+
+/**
+ * POST /org/:slug/self-audit   multipart: rating_<key>, evidence_<key>,
+ * files_<key> (attachments), remove (attachment ids), action = save | submit
+ */
+router.post("/org/:slug/self-audit", ensureAuth, async (req, res) => {
+  try {
+    const org = await loadManagedOrg(req, res);
+    if (!org) return;
+
+    try {
+      await new Promise((resolve, reject) => upload.any()(req, res, (e) => (e ? reject(e) : resolve())));
+    } catch (e) {
+      const message = e.code === "LIMIT_FILE_SIZE"
+        ? `Attachments must be under ${MAX_FILE_BYTES / (1024 * 1024)} MB`
+        : e.code === "LIMIT_FILE_COUNT" ? "Attach at most 10 files at a time" : String(e.message || e);
+      return res.redirect(selfAuditUrl(org, `?error=${encodeURIComponent(message)}`));
+    }
+
+    let draft = await SelfAudit.findOne({ org: org._id, status: "draft" });
+    const questionnaire = draft
+      ? (await getQuestionnaire(draft.questionnaireVersion)) || (await getActiveQuestionnaire())
+      : await getActiveQuestionnaire();
+    if (!draft) {
+      draft = new SelfAudit({ org: org._id, questionnaireVersion: questionnaire.version, createdBy: req.user._id });
+    }
+
+    // out-of-range ratings are dropped (reported below); the rest is saved
+    const { answers, errors } = readAnswers(questionnaire, req.body);
+    draft.answers = answers;
+    await draft.save();
+
+    // attachments: removals first, then new uploads
+    const remove = [].concat(req.body.remove || []).map(readAttachmentId).filter(Boolean);
+    if (remove.length) await SelfAuditAttachment.deleteMany({ _id: { $in: remove }, selfAudit: draft._id });
+
+    const keys = new Set(questionnaire.indicators.map((ind) => ind.key));
+    const files = (req.files || []).filter((f) => keys.has(String(f.fieldname).replace(/^files_/, "")) && f.size > 0);
+    if (files.length) {
+      const existing = await SelfAuditAttachment.countDocuments({ selfAudit: draft._id });
+      if (existing + files.length > MAX_FILES_PER_AUDIT) {
+        return res.redirect(selfAuditUrl(org, `?error=${encodeURIComponent(`A self-audit can have at most ${MAX_FILES_PER_AUDIT} attachments`)}`));
+      }
+      await SelfAuditAttachment.insertMany(files.map((f) => ({
+        selfAudit: draft._id,
+        org: org._id,
+        indicator: String(f.fieldname).replace(/^files_/, ""),
+        filename: path.basename(f.originalname || "attachment").slice(0, 200),
+        mimeType: f.mimetype || "application/octet-stream",
+        size: f.size,
+        data: f.buffer,
+        uploadedBy: req.user._id,
+      })));
+    }
+
+    if (errors.length) return res.redirect(selfAuditUrl(org, `?error=${encodeURIComponent(errors.join("; "))}`));
+    if (req.body.action !== "submit") return res.redirect(selfAuditUrl(org, "?saved=draft"));
+
+    const counts = {};
+    for (const f of await attachmentsFor(draft._id)) counts[f.indicator] = (counts[f.indicator] || 0) + 1;
+    const problems = submissionProblems(questionnaire, draft.answers, counts);
+    if (problems.length) return res.redirect(selfAuditUrl(org, `?error=${encodeURIComponent(problems.join("; "))}`));
+
+    try {
+      draft.scores = scoreSelfAudit(questionnaire, draft.answers, await getActivePolicy());
+    } catch (e) {
+      if (!e.status) throw e;
+      return res.redirect(selfAuditUrl(org, `?error=${encodeURIComponent(e.message)}`));
+    }
+    draft.status = "submitted";
+    draft.submittedBy = req.user._id;
+    draft.submittedAt = new Date();
+    await draft.save();
+    console.log(`[org self-audit] ${org.slug} submitted by ${req.user.email}: adjusted SCOI ${draft.scores.adjustedSCOI}`);
+
+    return res.redirect(selfAuditUrl(org, `/${draft._id}`));
+  } catch (err) {
+    console.error("[org self-audit save] error:", err && (err.stack || err));
+    return res.status(500).send("failed");
+  }
+});
+
+/**
+ * GET /org/:slug/self-audit/attachments/:id — download an evidence file
+ */
+router.get("/org/:slug/self-audit/attachments/:id", ensureAuth, async (req, res) => {
+  try {
+    const org = await loadManagedOrg(req, res);
+    if (!org) return;
+    const id = readAttachmentId(req.params.id);
+    if (!id) return res.status(400).send("invalid id");
+
+    const file = await SelfAuditAttachment.findOne({ _id: id, org: org._id }).lean();
+    if (!file) return res.status(404).send("attachment not found");
+
+    res.setHeader("Content-Type", file.mimeType || "application/octet-stream");
+    res.setHeader("Content-Disposition", `attachment; filename="${file.filename.replace(/["\\\r\n]/g, "_")}"`);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    return res.send(file.data.buffer ? Buffer.from(file.data.buffer) : file.data);
+  } catch (err) {
+    console.error("[org self-audit attachment] error:", err && (err.stack || err));
+    return res.status(500).send("failed");
+  }
+});
+
+/**
+ * GET /org/:slug/self-audit/:id — submitted self-audit vs. the AI audit
+ */
+router.get("/org/:slug/self-audit/:id", ensureAuth, async (req, res) => {
+  try {
+    const org = await loadManagedOrg(req, res);
+    if (!org) return;
+    const id = String(req.params.id || "");
+    if (!mongoose.isValidObjectId(id)) return res.status(400).send("invalid id");
+
+    const selfAudit = await SelfAudit.findOne({ _id: id, org: org._id, status: "submitted" })
+      .populate("submittedBy", "email firstName lastName")
+      .lean();
+    if (!selfAudit) return res.status(404).send("self-audit not found");
+
+    const [questionnaire, attachments, aiAudit] = await Promise.all([
+      getQuestionnaire(selfAudit.questionnaireVersion),
+      attachmentsFor(selfAudit._id),
+      latestAiAudit(org),
+    ]);
+    if (!questionnaire) return res.status(404).send("questionnaire version not found");
+
+    return res.render("org/self_audit_result", {
+      title: `${org.name} | Self-audit result`,
+      org,
+      user: req.user,
+      selfAudit,
+      sections: questionnaireSections(questionnaire, selfAudit.answers, attachments),
+      comparison: compareWithAudit(selfAudit.scores, aiAudit),
+      aiAudit,
+    });
+  } catch (err) {
+    console.error("[org self-audit view] error:", err && (err.stack || err));
+    return res.status(500).send("failed");
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+// routes/responsibility_profile.js
+// Org members: personal responsibility profile (individual SCOI) from a
+// Likert self-assessment plus quiz signals, tracked over time.
+import { Router } from "express";
+
+import Organization from "../models/organization.js";
+import OrgMembership from "../models/orgMembership.js";
+import ResponsibilityProfile from "../models/responsibilityProfile.js";
+import { ensureAuth } from "../middleware/authGuard.js";
+import { getActivePolicy } from "../utils/scoringPolicy.js";
+import {
+  INSTRUMENT,
+  LIKERT_SCALE,
+  PROFILE_DIMENSIONS,
+  computeProfile,
+  profileHistory,
+  quizSignals,
+  readLikert,
+} from "../utils/responsibilityProfile.js";
+
+const router = Router();
+
+// org for :slug when the user is a member; otherwise sends the error and
+// resolves to null
+async function loadMemberOrg(req, res) {
+  const org = await Organization.findOne({ slug: String(req.params.slug || "").trim() }).lean();
+  if (!org) {
+    res.status(404).send("org not found");
+    return null;
+  }
+  const membership = await OrgMembership.findOne({ org: org._id, user: req.user._id }).lean();
+  if (!membership) {
+    res.status(403).send("You are not a member of this organization");
+    return null;
+  }
+  return org;
+}
+
+// statements grouped by dimension, each with the Likert options (checked
+// where `values` has an answer)
+function instrumentSections(values = {}) {
+  return PROFILE_DIMENSIONS.map((d) => ({
+    ...d,
+    statements: INSTRUMENT.statements
+      .filter((s) => s.dimension === d.key)
+      .map((s) => ({
+        ...s,
+        options: LIKERT_SCALE.map((o) => ({ ...o, checked: Number(values[s.key]) === o.value })),
+      })),
+  }));
+}
+
+async function renderPage(req, res, org, { values = {}, errors = null, status = 200 } = {}) {
+  const [history, signals] = await Promise.all([
+    profileHistory(req.user._id, org._id),
+    quizSignals(req.user._id, org._id),
+  ]);
+
+  // prefill with the latest answers so retaking only needs the changes
+  if (!Object.keys(values).length && history.length) {
+    const last = await ResponsibilityProfile.findById(history[0]._id).select("answers").lean();
+    if (last) values = Object.fromEntries(last.answers.map((a) => [a.key, a.value]));
+  }
+
+  return res.status(status).render("org/profile", {
+    title: `${org.name} | Responsibility profile`,
+    org,
+    user: req.user,
+    sections: instrumentSections(values),
+    latest: history[0] || null,
+    history,
+    signals: {
+      ...signals,
+      masteryPercent: signals.mastery === null ? null : Math.round(signals.mastery * 100),
+      passPercent: signals.passRate === null ? null : Math.round(signals.passRate * 100),
+    },
+    errors,
+    saved: req.query.saved || null,
+  });
+}
+
+/**
+ * GET /org/:slug/profile — self-assessment form, current quiz signals and history
+ */
+router.get("/org/:slug/profile", ensureAuth, async (req, res) => {
+  try {
+    const org = await loadMemberOrg(req, res);
+    if (!org) return;
+    return await renderPage(req, res, org);
+  } catch (err) {
+    console.error("[org profile] error:", err && (err.stack || err));
+    return res.status(500).send("failed");
+  }
+});
+
+/**
+ * POST /org/:slug/profile — store a new profile from the answers and the
+ * learner's quiz signals at this moment
+ */
+router.post("/org/:slug/profile", ensureAuth, async (req, res) => {
+  try {
+    const org = await loadMemberOrg(req, res);
+    if (!org) return;
+
+    const { answers, errors } = readLikert(req.body);
+    if (errors.length) {
+      const values = Object.fromEntries(answers.map((a) => [a.key, a.value]));
+      return await renderPage(req, res, org, { values, errors, status: 400 });
+    }
+
+    const signals = await quizSignals(req.user._id, org._id);
+    const scores = computeProfile(answers, signals, await getActivePolicy());
+    await ResponsibilityProfile.create({
+      user: req.user._id,
+      org: org._id,
+      instrumentVersion: INSTRUMENT.version,
+      answers,
+      signals,
+      scores,
+    });
+
+    return res.redirect(`/org/${encodeURIComponent(org.slug)}/profile?saved=1`);
+  } catch (err) {
+    console.error("[org profile save] error:", err && (err.stack || err));
+    return res.status(500).send("failed");
+  }
+});
+
+export default router;
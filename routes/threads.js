@@ -0,0 +1,184 @@
+// routes/threads.js
+// Follow-up question threads on saved audits (one user, one audit per thread).
+import { Router } from "express";
+import mongoose from "mongoose";
+import Audit from "../models/audit.js";
+import AuditThread from "../models/auditThread.js";
+import { askFollowUp } from "../utils/auditThreads.js";
+import { getActivePolicy } from "../utils/scoringPolicy.js";
+import { recordUsage } from "../utils/llmUsage.js";
+import { consumeFollowupCredit } from "../utils/searchCredits.js";
+
+const router = Router();
+
+function isPlatformAdmin(req) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return !!(req.user && req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+}
+
+function requireLogin(req, res, next) {
+  if (req.isAuthenticated && req.isAuthenticated()) return next();
+  return res.status(401).json({ error: "Authentication required" });
+}
+
+// platform admins can ask about any audit, everyone else only their own
+function ownerFilter(req) {
+  return isPlatformAdmin(req) ? {} : { user: req.user._id };
+}
+
+const MAX_QUESTION_LENGTH = 2000;
+// questions per thread; start a new thread after that
+const MAX_QUESTIONS = 25;
+
+function readQuestion(req, res) {
+  const question = String((req.body && req.body.question) || "").trim();
+  if (!question) {
+    res.status(400).json({ error: "question is required" });
+    return null;
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    res.status(400).json({ error: `question must be under ${MAX_QUESTION_LENGTH} characters` });
+    return null;
+  }
+  return question;
+}
+
+async function loadThread(req, res) {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: "invalid id" });
+    return null;
+  }
+  const thread = await AuditThread.findOne({ _id: id, user: req.user._id });
+  if (!thread) {
+    res.status(404).json({ error: "Thread not found" });
+    return null;
+  }
+  return thread;
+}
+
+async function answer(thread, audit, question, user) {
+  const policy = await getActivePolicy();
+  const reply = await askFollowUp(thread, audit, question, { policy });
+  await thread.save();
+  await recordUsage({ kind: "followup", usage: reply.usage, model: reply.model, audit: audit._id, user });
+  return thread;
+}
+
+/**
+ * GET /api/threads?audit=<id> — the caller's threads (optionally for one audit), newest first
+ */
+router.get("/", requireLogin, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    const auditId = String(req.query.audit || "");
+    if (auditId) {
+      if (!mongoose.isValidObjectId(auditId)) return res.status(400).json({ error: "invalid audit id" });
+      filter.audit = auditId;
+    }
+    const threads = await AuditThread.find(filter)
+      .select("audit entity title createdAt updatedAt")
+      .sort({ updatedAt: -1 })
+      .limit(50)
+      .lean();
+    return res.json({ threads });
+  } catch (err) {
+    console.error("[threads list] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load threads" });
+  }
+});
+
+/**
+ * POST /api/threads   body: { auditId, question }
+ * Starts a thread on a finished audit and answers its first question.
+ * Every question uses one of the caller's daily follow-up questions.
+ */
+router.post("/", requireLogin, async (req, res) => {
+  try {
+    const auditId = String((req.body && req.body.auditId) || "");
+    if (!mongoose.isValidObjectId(auditId)) return res.status(400).json({ error: "invalid audit id" });
+    const question = readQuestion(req, res);
+    if (!question) return;
+
+    const audit = await Audit.findOne({ _id: auditId, ...ownerFilter(req) }).lean();
+    if (!audit) return res.status(404).json({ error: "Audit not found" });
+    if (!audit.completedAt) return res.status(409).json({ error: "The audit has not finished" });
+
+    const credit = await consumeFollowupCredit(req.user);
+    if (!credit.ok) return res.status(credit.status).json(credit.body);
+
+    const thread = new AuditThread({
+      audit: audit._id,
+      user: req.user._id,
+      entity: audit.entity,
+      title: question.length > 80 ? question.slice(0, 77) + "…" : question,
+    });
+    await answer(thread, audit, question, req.user);
+    return res.status(201).json({ thread });
+  } catch (err) {
+    console.error("[threads create] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to answer", detail: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /api/threads/:id — full thread
+ */
+router.get("/:id", requireLogin, async (req, res) => {
+  try {
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+    return res.json({ thread });
+  } catch (err) {
+    console.error("[threads get] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load thread" });
+  }
+});
+
+/**
+ * POST /api/threads/:id/messages   body: { question }
+ */
+router.post("/:id/messages", requireLogin, async (req, res) => {
+  try {
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+    const question = readQuestion(req, res);
+    if (!question) return;
+
+    if (thread.messages.filter((m) => m.role === "user").length >= MAX_QUESTIONS) {
+      return res.status(429).json({ error: `A thread holds at most ${MAX_QUESTIONS} questions; start a new one` });
+    }
+
+    const audit = await Audit.findById(thread.audit).lean();
+    if (!audit) return res.status(410).json({ error: "The audit for this thread was deleted" });
+
+    const credit = await consumeFollowupCredit(req.user);
+    if (!credit.ok) return res.status(credit.status).json(credit.body);
+
+    await answer(thread, audit, question, req.user);
+    return res.json({ thread });
+  } catch (err) {
+    console.error("[threads ask] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to answer", detail: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /api/threads/:id
+ */
+router.delete("/:id", requireLogin, async (req, res) => {
+  try {
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+    await AuditThread.deleteOne({ _id: thread._id });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("[threads delete] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to delete thread" });
+  }
+});
+
+export default router;
@@ -0,0 +1,272 @@
+// routes/watches.js
+// Watched entities: scheduled re-audits, SCOI trend series and drift alerts.
+import { Router } from "express";
+import mongoose from "mongoose";
+import Audit from "../models/audit.js";
+import AuditWatch from "../models/auditWatch.js";
+import AuditAlert from "../models/auditAlert.js";
+import { normalizeEntityKey } from "../utils/normalizeEntity.js";
+import { runDueWatches } from "../utils/watchScheduler.js";
+import { consumeSearchCredit } from "../utils/searchCredits.js";
+
+const router = Router();
+
+function isPlatformAdmin(req) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return !!(req.user && req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+}
+
+function requireLogin(req, res, next) {
+  if (req.isAuthenticated && req.isAuthenticated()) return next();
+  return res.status(401).json({ error: "Authentication required" });
+}
+
+function getMaxWatches() {
+  const n = parseInt(process.env.WATCH_MAX_PER_USER || "10", 10);
+  return Number.isFinite(n) && n > 0 ? n : 10;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+// daily .. quarterly
+const MIN_CADENCE_HOURS = 24;
+const MAX_CADENCE_HOURS = 24 * 90;
+
+// body -> { cadenceHours?, alertDelta?, active? } or { error }
+function readSettings(body = {}) {
+  const out = {};
+  if (body.cadenceHours !== undefined) {
+    const h = Number(body.cadenceHours);
+    if (!Number.isFinite(h) || h < MIN_CADENCE_HOURS || h > MAX_CADENCE_HOURS) {
+      return { error: `cadenceHours must be between ${MIN_CADENCE_HOURS} and ${MAX_CADENCE_HOURS}` };
+    }
+    out.cadenceHours = h;
+  }
+  if (body.alertDelta !== undefined) {
+    const d = Number(body.alertDelta);
+    if (!Number.isFinite(d) || d < 0 || d > 10) return { error: "alertDelta must be between 0 and 10" };
+    out.alertDelta = d;
+  }
+  if (body.active !== undefined) out.active = [true, "1", "true", "yes"].includes(body.active);
+  return out;
+}
+
+async function loadWatch(req, res) {
+  const id = String(req.params.id || "");
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: "invalid id" });
+    return null;
+  }
+  const watch = await AuditWatch.findOne({ _id: id, user: req.user._id });
+  if (!watch) {
+    res.status(404).json({ error: "Watch not found" });
+    return null;
+  }
+  return watch;
+}
+
+/**
+ * GET /api/watches — the caller's watches and unread alert count
+ */
+router.get("/", requireLogin, async (req, res) => {
+  try {
+    const [watches, unread] = await Promise.all([
+      AuditWatch.find({ user: req.user._id }).sort({ entity: 1 }).lean(),
+      AuditAlert.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+    return res.json({ watches, unread, maxWatches: getMaxWatches() });
+  } catch (err) {
+    console.error("[watches list] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load watches" });
+  }
+});
+
+/**
+ * POST /api/watches   body: { entity, cadenceHours?, alertDelta? }
+ * The latest existing audit of the entity becomes the baseline; with no
+ * baseline the first re-audit runs on the next scheduler tick and is charged
+ * a daily credit now.
+ */
+router.post("/", requireLogin, async (req, res) => {
+  try {
+    const entity = String((req.body && req.body.entity) || "").trim();
+    if (!entity) return res.status(400).json({ error: "entity is required" });
+    if (entity.length > 800) return res.status(400).json({ error: "entity must be under 800 characters" });
+    const settings = readSettings(req.body);
+    if (settings.error) return res.status(400).json({ error: settings.error });
+
+    const key = normalizeEntityKey(entity);
+    const existing = await AuditWatch.findOne({ user: req.user._id, key }).lean();
+    if (existing) return res.status(409).json({ error: "Already watching this entity", watch: existing });
+
+    if (!isPlatformAdmin(req) && (await AuditWatch.countDocuments({ user: req.user._id })) >= getMaxWatches()) {
+      return res.status(429).json({ error: `You can watch at most ${getMaxWatches()} entities` });
+    }
+
+    const baseline = await Audit.findOne({
+      key,
+      adjustedSCOI: { $ne: null },
+      ...(isPlatformAdmin(req) ? {} : { user: req.user._id }),
+    })
+      .sort({ createdAt: -1 })
+      .select("_id adjustedSCOI placementLevel createdAt")
+      .lean();
+
+    if (!baseline) {
+      const credit = await consumeSearchCredit(req.user);
+      if (!credit.ok) return res.status(credit.status).json(credit.body);
+    }
+
+    const cadenceHours = settings.cadenceHours || 168;
+    const watch = await AuditWatch.create({
+      entity,
+      key,
+      user: req.user._id,
+      cadenceHours,
+      alertDelta: settings.alertDelta ?? 0.05,
+      baselineAudit: baseline ? baseline._id : null,
+      lastAudit: baseline ? baseline._id : null,
+      lastAdjustedSCOI: baseline ? baseline.adjustedSCOI : null,
+      lastPlacementLevel: baseline ? baseline.placementLevel : null,
+      nextRunAt: baseline ? new Date(new Date(baseline.createdAt).getTime() + cadenceHours * HOUR_MS) : new Date(),
+      prepaidRun: !baseline,
+    });
+    return res.status(201).json({ watch });
+  } catch (err) {
+    console.error("[watches create] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to create watch" });
+  }
+});
+
+/**
+ * GET /api/watches/alerts?unread=1&limit=50
+ */
+router.get("/alerts", requireLogin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "50", 10) || 50, 1), 200);
+    const filter = { user: req.user._id };
+    if (req.query.unread === "1") filter.readAt = null;
+    const alerts = await AuditAlert.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    return res.json({ alerts });
+  } catch (err) {
+    console.error("[watches alerts] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load alerts" });
+  }
+});
+
+/**
+ * POST /api/watches/alerts/read   body: { ids? } — marks the given (or all) alerts read
+ */
+router.post("/alerts/read", requireLogin, async (req, res) => {
+  try {
+    const filter = { user: req.user._id, readAt: null };
+    const ids = Array.isArray(req.body && req.body.ids) ? req.body.ids.filter((id) => mongoose.isValidObjectId(id)) : null;
+    if (ids) filter._id = { $in: ids };
+    const result = await AuditAlert.updateMany(filter, { $set: { readAt: new Date() } });
+    return res.json({ ok: true, updated: result.modifiedCount });
+  } catch (err) {
+    console.error("[watches alerts read] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to update alerts" });
+  }
+});
+
+/**
+ * GET /api/watches/:id/series — trend points, oldest first
+ */
+router.get("/:id/series", requireLogin, async (req, res) => {
+  try {
+    const watch = await loadWatch(req, res);
+    if (!watch) return;
+
+    const or = [{ watch: watch._id }];
+    if (watch.baselineAudit) or.push({ _id: watch.baselineAudit });
+    const audits = await Audit.find({ $or: or, adjustedSCOI: { $ne: null } })
+      .sort({ createdAt: 1 })
+      .select("visibility contribution ERF rawSCOI adjustedSCOI placementLevel policyVersion createdAt")
+      .lean();
+
+    return res.json({
+      watch,
+      points: audits.map((a) => ({
+        auditId: a._id,
+        at: a.createdAt,
+        visibility: a.visibility,
+        contribution: a.contribution,
+        ERF: a.ERF,
+        rawSCOI: a.rawSCOI,
+        adjustedSCOI: a.adjustedSCOI,
+        placementLevel: a.placementLevel,
+        policyVersion: a.policyVersion,
+      })),
+    });
+  } catch (err) {
+    console.error("[watches series] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to load series" });
+  }
+});
+
+/**
+ * POST /api/watches/:id   body: { cadenceHours?, alertDelta?, active? }
+ */
+router.post("/:id", requireLogin, async (req, res) => {
+  try {
+    const watch = await loadWatch(req, res);
+    if (!watch) return;
+    const settings = readSettings(req.body);
+    if (settings.error) return res.status(400).json({ error: settings.error });
+
+    if (settings.cadenceHours && settings.cadenceHours !== watch.cadenceHours) {
+      const from = watch.lastRunAt || watch.createdAt;
+      watch.nextRunAt = new Date(from.getTime() + settings.cadenceHours * HOUR_MS);
+    }
+    Object.assign(watch, settings);
+    await watch.save();
+    return res.json({ watch });
+  } catch (err) {
+    console.error("[watches update] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to update watch" });
+  }
+});
+
+/**
+ * POST /api/watches/:id/run — queue an immediate re-audit (charges a daily credit)
+ */
+router.post("/:id/run", requireLogin, async (req, res) => {
+  try {
+    const watch = await loadWatch(req, res);
+    if (!watch) return;
+    const credit = await consumeSearchCredit(req.user);
+    if (!credit.ok) return res.status(credit.status).json(credit.body);
+    watch.nextRunAt = new Date();
+    watch.prepaidRun = true;
+    watch.active = true;
+    await watch.save();
+    runDueWatches();
+    return res.status(202).json({ ok: true });
+  } catch (err) {
+    console.error("[watches run] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to queue re-audit" });
+  }
+});
+
+/**
+ * DELETE /api/watches/:id — stop watching (past audits are kept)
+ */
+router.delete("/:id", requireLogin, async (req, res) => {
+  try {
+    const watch = await loadWatch(req, res);
+    if (!watch) return;
+    await Promise.all([
+      AuditWatch.deleteOne({ _id: watch._id }),
+      AuditAlert.deleteMany({ watch: watch._id }),
+    ]);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("[watches delete] error:", err && (err.stack || err));
+    return res.status(500).json({ error: "Failed to delete watch" });
+  }
+});
+
+export default router;
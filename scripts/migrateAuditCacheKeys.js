@@ -0,0 +1,55 @@
+// scripts/migrateAuditCacheKeys.js
+// Moves audit cache entries from "<key>@<language>" keys to plain entity keys
+// with the unique (key, language) index, and marks entries without a
+// language as English.
+// Usage: NODE_ENV=development node scripts/migrateAuditCacheKeys.js
+// Safe to run more than once.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+import AuditCache from "../models/auditCache.js";
+import { DEFAULT_LANGUAGE } from "../utils/languages.js";
+
+const MONGO = process.env.MONGODB_URI;
+if (!MONGO) {
+  console.error("MONGODB_URI missing in env");
+  process.exit(1);
+}
+
+async function run() {
+  await mongoose.connect(MONGO, { useNewUrlParser: true, useUnifiedTopology: true });
+  console.log("Connected to mongo for migration");
+
+  // drops the old unique index on `key` alone before keys can repeat across languages
+  const dropped = await AuditCache.syncIndexes();
+  if (dropped.length) console.log(`Dropped indexes: ${dropped.join(", ")}`);
+
+  const unset = await AuditCache.updateMany({ language: { $exists: false } }, { $set: { language: DEFAULT_LANGUAGE } });
+  console.log(`Marked ${unset.modifiedCount} entries as ${DEFAULT_LANGUAGE}`);
+
+  let moved = 0;
+  let removed = 0;
+  const suffixed = await AuditCache.find({ language: { $ne: DEFAULT_LANGUAGE } }).select("key language").lean();
+  for (const entry of suffixed) {
+    const suffix = `@${entry.language}`;
+    if (!entry.key.endsWith(suffix)) continue;
+    const key = entry.key.slice(0, -suffix.length);
+    if (await AuditCache.exists({ key, language: entry.language })) {
+      await AuditCache.deleteOne({ _id: entry._id });
+      removed += 1;
+    } else {
+      await AuditCache.updateOne({ _id: entry._id }, { $set: { key } });
+      moved += 1;
+    }
+  }
+  console.log(`Re-keyed ${moved} entries, removed ${removed} duplicates`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error("Migration error:", err && (err.stack || err));
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+// scripts/seedExemplars.js
+// Seeds the canonical calibration exemplars from data/cripfcnt.txt.
+// Usage: NODE_ENV=development node scripts/seedExemplars.js
+// Existing exemplars (matched by normalized entity) are left untouched.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+import Exemplar from "../models/exemplar.js";
+import { normalizeEntityKey } from "../utils/normalizeEntity.js";
+
+const MONGO = process.env.MONGODB_URI;
+if (!MONGO) {
+  console.error("MONGODB_URI missing in env");
+  process.exit(1);
+}
+
+const EXEMPLARS = [
+  {
+    entity: "Marketing",
+    visibility: 9,
+    contribution: 5,
+    ERF: 1.1,
+    interpretation: "A SCOI of 0.55 indicates a severe imbalance — marketing’s visibility vastly exceeds its contribution. It is one of civilization’s most over-amplified yet under-aligned functions. Marketing does not lack intelligence — it lacks placement.",
+    commentary: "Marketing was meant to communicate purpose; instead, it has become civilization’s dopamine distributor. The discipline can redeem itself only by migrating from Grid persuasion to Placement interpretation — guiding individuals and systems toward structural truth, not emotional compliance.",
+  },
+  {
+    entity: "Law",
+    visibility: 7,
+    contribution: 6,
+    ERF: 0.9,
+    interpretation: "A SCOI below 1 reveals that law’s influence outweighs its structural contribution. In short: it looks stronger than it really is. Justice as performance ≠ Justice as placement.",
+    commentary: "Law was meant to be civilization’s conscience, but became its compliance manual. A recalibrated Law must measure not just legality, but placement of intent — a justice that restores balance, not merely order.",
+  },
+  {
+    entity: "Corporate Governance",
+    visibility: 9,
+    contribution: 6,
+    ERF: 1.2,
+    interpretation: "Corporate Governance is visibility-heavy but contribution-light — classic Grid dominance. It maintains order without recalibrating purpose.",
+    commentary: "Corporate Governance remains a guardian of systemic order — the Grid’s police. It maintains safety through compliance but cannot advance civilization through placement. Until governance frameworks evolve to include Responsibility, Interpretation, and Purpose (CRIP pillars), their SCOI will remain below unity.",
+  },
+];
+
+async function run() {
+  await mongoose.connect(MONGO, { useNewUrlParser: true, useUnifiedTopology: true });
+  console.log("Connected to mongo for seeding");
+
+  for (const ex of EXEMPLARS) {
+    const key = normalizeEntityKey(ex.entity);
+    if (await Exemplar.exists({ key })) {
+      console.log(`Exemplar "${ex.entity}" already exists — skipped`);
+      continue;
+    }
+    await Exemplar.create({ ...ex, key, note: "Seeded from data/cripfcnt.txt" });
+    console.log(`Seeded exemplar "${ex.entity}"`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error("Seed error:", err && (err.stack || err));
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import AuditCache from "../models/auditCache.js";
+import { getCachedAudit, setCachedAudit } from "../utils/auditCache.js";
+
+// AuditCache over in-memory entries, matching on key and language
+function mockEntries(t, entries) {
+  t.mock.method(AuditCache, "findOneAndUpdate", (filter, update) => {
+    let entry = entries.find((e) => e.key === filter.key && e.language === filter.language);
+    if (update.$set && update.$set.result) {
+      if (!entry) entries.push((entry = { key: filter.key, language: filter.language }));
+      Object.assign(entry, update.$set);
+    }
+    return { lean: async () => entry || null };
+  });
+}
+
+test("entries are looked up by entity key and language", async (t) => {
+  mockEntries(t, [
+    { key: "acme", language: "fr", result: { entity: "Acme", language: "fr" } },
+    { key: "acme", language: "en", result: { entity: "Acme", language: "en" } },
+  ]);
+  assert.equal((await getCachedAudit("acme", "fr")).language, "fr");
+  assert.equal((await getCachedAudit("acme")).language, "en");
+  assert.equal(await getCachedAudit("acme", "pt"), null);
+});
+
+test("an English entity named like a language suffix does not hit another entity's entry", async (t) => {
+  const entries = [];
+  mockEntries(t, entries);
+  await setCachedAudit("acme", "Acme", { entity: "Acme" }, "fr");
+  await setCachedAudit("acme@fr", "Acme@fr", { entity: "Acme@fr" }, "en");
+
+  assert.equal(entries.length, 2);
+  assert.equal((await getCachedAudit("acme@fr")).entity, "Acme@fr");
+  assert.equal((await getCachedAudit("acme", "fr")).entity, "Acme");
+});
+
+test("the cache is unique per key and language", () => {
+  const [fields, options] = AuditCache.schema.indexes().find(([f]) => f.key === 1);
+  assert.deepEqual(fields, { key: 1, language: 1 });
+  assert.equal(options.unique, true);
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import Audit from "../models/audit.js";
+import { DEFAULT_POLICY } from "../utils/scoringPolicy.js";
+import {
+  TRANSITIONS,
+  applyOverride,
+  applySector,
+  applyStatus,
+  readOverride,
+  withOverrideNotice,
+} from "../utils/auditReview.js";
+
+const policy = DEFAULT_POLICY;
+const analyst = { _id: "64b000000000000000000001", email: "analyst@example.com" };
+
+const STREAM_TEXT = `1️⃣ Visibility — 8 / 10
+2️⃣ Contribution — 6 / 10
+3️⃣ SCOI = 6 ÷ 8 = 0.75
+4️⃣ ERF = 1.1
+5️⃣ Adjusted SCOI = 0.75 × 1.1 ≈ 0.825
+6️⃣ Commentary
+`;
+
+function streamedAudit(extra = {}) {
+  return new Audit({
+    entity: "Acme",
+    key: "acme",
+    mode: "stream",
+    text: STREAM_TEXT,
+    visibility: 8,
+    contribution: 6,
+    ERF: 1.1,
+    rawSCOI: 0.75,
+    adjustedSCOI: 0.825,
+    placementLevel: "Grid Performer",
+    completedAt: new Date(),
+    ...extra,
+  });
+}
+
+test("the review flow moves one step at a time", () => {
+  const audit = streamedAudit();
+  applyStatus(audit, "in_review", { user: analyst });
+  applyStatus(audit, "approved", { user: analyst });
+  applyStatus(audit, "published", { user: analyst });
+  assert.equal(audit.status, "published");
+  assert.ok(audit.publishedAt);
+  assert.deepEqual(audit.changeLog.map((e) => e.changes[0].to), ["in_review", "approved", "published"]);
+
+  applyStatus(audit, "approved", { user: analyst });
+  assert.equal(audit.publishedAt, null);
+});
+
+test("skipping a step or an unknown status is refused", () => {
+  const audit = streamedAudit();
+  assert.throws(() => applyStatus(audit, "published", { user: analyst }), (err) => err.status === 409);
+  assert.throws(() => applyStatus(audit, "archived", { user: analyst }), (err) => err.status === 400);
+  assert.deepEqual(TRANSITIONS.draft, ["in_review"]);
+});
+
+test("an unfinished audit cannot enter review", () => {
+  const audit = streamedAudit({ completedAt: null });
+  assert.throws(() => applyStatus(audit, "in_review", { user: analyst }), /has not finished/);
+});
+
+test("readOverride keeps blank fields and checks ranges", () => {
+  assert.deepEqual(readOverride({ visibility: "", contribution: "7" }, policy), { values: { contribution: 7 }, errors: [] });
+  assert.equal(readOverride({ visibility: "0", ERF: "3" }, policy).errors.length, 2);
+});
+
+test("an override recomputes SCOI, keeps the original and logs the change", () => {
+  const audit = streamedAudit();
+  const changes = applyOverride(audit, { contribution: 8 }, { user: analyst, justification: "Audited reports", policy });
+  assert.equal(audit.rawSCOI, 1);
+  assert.equal(audit.adjustedSCOI, 1.1);
+  assert.equal(audit.placementLevel, "Silent Over-Contributor");
+  assert.equal(audit.original.adjustedSCOI, 0.825);
+  assert.ok(audit.overridden);
+  assert.deepEqual(changes.map((c) => c.field), ["contribution", "rawSCOI", "adjustedSCOI", "placementLevel"]);
+  assert.equal(audit.changeLog.at(-1).justification, "Audited reports");
+});
+
+test("a streamed audit's text is headed by the reviewed scores", () => {
+  const audit = streamedAudit();
+  applyOverride(audit, { contribution: 8 }, { user: analyst, justification: "Audited reports", policy });
+  assert.match(audit.text, /^> ⚖️ Analyst override/);
+  assert.match(audit.text, /Contribution 8\.0 \/ 10/);
+  assert.match(audit.text, /Adjusted SCOI 1\.100 · Placement: Silent Over-Contributor/);
+  assert.ok(audit.text.endsWith(STREAM_TEXT));
+
+  // a second override replaces the notice instead of stacking another
+  applyOverride(audit, { ERF: 0.9 }, { user: analyst, justification: "Calmer market", policy });
+  assert.equal(audit.text.match(/Analyst override/g).length, 1);
+  assert.match(audit.text, /ERF 0\.90/);
+  assert.ok(audit.text.endsWith(STREAM_TEXT));
+});
+
+test("withOverrideNotice leaves the numbered sections intact", () => {
+  const text = withOverrideNotice(STREAM_TEXT, { visibility: 8, contribution: 6, ERF: 1.1, rawSCOI: 0.75, adjustedSCOI: 0.825 });
+  assert.equal(text.split("\n\n")[1], STREAM_TEXT);
+});
+
+test("overrides need a justification, a change and an editable status", () => {
+  const audit = streamedAudit();
+  assert.throws(() => applyOverride(audit, { contribution: 8 }, { user: analyst, justification: " ", policy }), /justification/);
+  assert.throws(() => applyOverride(audit, { contribution: 6 }, { user: analyst, justification: "x", policy }), /does not change/);
+  audit.status = "approved";
+  assert.throws(() => applyOverride(audit, { contribution: 8 }, { user: analyst, justification: "x", policy }), (err) => err.status === 409);
+});
+
+test("sectors are normalized and marked as analyst-assigned", () => {
+  const audit = streamedAudit({ sector: "banking", sectorSource: "model" });
+  applySector(audit, "Telecommunications & ICT", { user: analyst });
+  assert.equal(audit.sector, "telecommunications");
+  assert.equal(audit.sectorSource, "analyst");
+  assert.throws(() => applySector(audit, "telecommunications", { user: analyst }), /unchanged/);
+  assert.throws(() => applySector(audit, "space", { user: analyst }), /Unknown sector/);
+});
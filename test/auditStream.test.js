@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { eventsFromAudit } from "../utils/auditStream.js";
+import { withOverrideNotice } from "../utils/auditReview.js";
+
+const MODEL_TEXT = `1️⃣ Visibility — 8 / 10
+Widely covered [1].
+
+2️⃣ Contribution — 6 / 10
+Documented programmes.
+
+3️⃣ SCOI = Contribution / Visibility
+SCOI = 6 ÷ 8 = 0.75
+
+4️⃣ Global Environment Adjustment
+ERF = 1.1
+
+5️⃣ Adjusted SCOI = SCOI × ERF
+Adjusted SCOI = 0.75 × 1.1 = 0.825
+
+6️⃣ Final CRIPFCnt Commentary
+Grid Performer for now.`;
+
+const MODEL_SCORES = {
+  visibility: 8,
+  contribution: 6,
+  ERF: 1.1,
+  rawSCOI: 0.75,
+  adjustedSCOI: 0.825,
+  placementLevel: "Grid Performer",
+};
+
+const AUDIT = {
+  _id: "65f0c0ffee65f0c0ffee0001",
+  mode: "stream",
+  text: MODEL_TEXT,
+  completedAt: new Date("2026-05-01"),
+  error: null,
+  sources: [],
+  ...MODEL_SCORES,
+};
+
+function scoreData(audit) {
+  return eventsFromAudit(audit).find((e) => e.event === "score").data;
+}
+
+test("a replayed audit ends with its score and done events", () => {
+  const events = eventsFromAudit(AUDIT);
+  assert.deepEqual(events.slice(-2).map((e) => e.event), ["score", "done"]);
+  assert.ok(events.every((e, seq) => e.id === `${AUDIT._id}:${seq}`));
+
+  const score = scoreData(AUDIT);
+  for (const [field, value] of Object.entries(MODEL_SCORES)) assert.equal(score[field], value, field);
+  assert.equal(score.overridden, false);
+  assert.equal(score.consistent, true);
+});
+
+test("an overridden audit replays the reviewed scores, not the model's", () => {
+  const reviewed = { visibility: 8, contribution: 8, ERF: 1.1, rawSCOI: 1, adjustedSCOI: 1.1, placementLevel: "Silent Over-Contributor" };
+  const audit = {
+    ...AUDIT,
+    ...reviewed,
+    overridden: true,
+    original: MODEL_SCORES,
+    text: withOverrideNotice(MODEL_TEXT, reviewed),
+  };
+
+  const score = scoreData(audit);
+  for (const [field, value] of Object.entries(reviewed)) assert.equal(score[field], value, field);
+  assert.equal(score.overridden, true);
+});
+
+test("an interrupted audit replays an error instead of a score", () => {
+  const events = eventsFromAudit({ ...AUDIT, completedAt: null });
+  assert.deepEqual(events.slice(-2).map((e) => e.event), ["error", "done"]);
+});
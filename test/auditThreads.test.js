@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import FrameworkDoc from "../models/frameworkDoc.js";
+import { askFollowUp, threadSystemPrompt } from "../utils/auditThreads.js";
+import { DEFAULT_POLICY } from "../utils/scoringPolicy.js";
+
+const AUDIT = {
+  entity: "Acme",
+  mode: "structured",
+  visibility: 9,
+  contribution: 5,
+  rawSCOI: 0.556,
+  ERF: 1.1,
+  adjustedSCOI: 0.611,
+  placementLevel: "Grid Performer",
+  policyVersion: 1,
+  result: { visibilityRationale: "Everywhere.", contributionRationale: "Little documented value." },
+  urls: ["https://example.com"],
+};
+
+function fakeLLM() {
+  const calls = [];
+  return {
+    calls,
+    defaultModel: "fake",
+    complete: async (req) => {
+      calls.push(req);
+      return { text: " Raise documented contribution. ", model: "fake-1", usage: { promptTokens: 10, completionTokens: 4 } };
+    },
+  };
+}
+
+function mockUploads(t) {
+  t.mock.method(console, "log", () => {});
+  const chain = { select: () => chain, sort: () => chain, lean: async () => [] };
+  t.mock.method(FrameworkDoc, "find", () => chain);
+}
+
+test("follow-up questions are grounded in matching framework passages", async (t) => {
+  mockUploads(t);
+  const llm = fakeLLM();
+  const thread = { messages: [] };
+
+  await askFollowUp(thread, AUDIT, "What would raise contribution for marketing?", { policy: DEFAULT_POLICY, llm });
+  const { system } = llm.calls[0];
+  const framework = system.split("CRIPFCnt framework passages relevant to the question:\n")[1].split("The audit (JSON):")[0];
+  assert.match(framework, /^### /);
+  assert.match(framework, /marketing/i);
+  assert.match(framework, /contribution/i);
+  assert.match(system, /"adjustedSCOI": 0\.611/);
+  assert.match(system, /- Balanced Axis: Adjusted SCOI ≥ 0\.95/);
+});
+
+test("answers are appended to the thread after the question", async (t) => {
+  mockUploads(t);
+  const llm = fakeLLM();
+  const thread = {
+    messages: Array.from({ length: 25 }, (_, i) => ({ role: i % 2 ? "assistant" : "user", content: `m${i}` })),
+  };
+
+  const reply = await askFollowUp(thread, AUDIT, "Why is ERF 1.1?", { policy: DEFAULT_POLICY, llm });
+  const { messages } = llm.calls[0];
+  assert.equal(messages.length, 21, "20 earlier messages plus the question");
+  assert.equal(messages[0].content, "m5");
+  assert.deepEqual(messages[20], { role: "user", content: "Why is ERF 1.1?" });
+
+  assert.equal(thread.messages.length, 27);
+  assert.equal(thread.messages[25].content, "Why is ERF 1.1?");
+  assert.equal(reply, thread.messages[26]);
+  assert.equal(reply.content, "Raise documented contribution.");
+  assert.equal(reply.model, "fake-1");
+  assert.deepEqual(reply.usage, { promptTokens: 10, completionTokens: 4 });
+});
+
+test("the framework section is left out when nothing matches", () => {
+  const system = threadSystemPrompt(AUDIT, DEFAULT_POLICY);
+  assert.doesNotMatch(system, /framework passages relevant/);
+  assert.match(system, /SCOI = Contribution ÷ Visibility, rounded to 3 decimals/);
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "stream";
+
+import Audit from "../models/audit.js";
+import AuditCache from "../models/auditCache.js";
+import Exemplar from "../models/exemplar.js";
+import FrameworkDoc from "../models/frameworkDoc.js";
+import LlmUsage from "../models/llmUsage.js";
+import PromptTemplate from "../models/promptTemplate.js";
+import ScoringPolicy from "../models/scoringPolicy.js";
+import User from "../models/user.js";
+import router from "../routes/audits.js";
+import { DEFAULT_POLICY, invalidatePolicy } from "../utils/scoringPolicy.js";
+
+// offline fixture replay and no web context
+process.env.LLM_PROVIDER = "stub";
+process.env.CONTEXT_PROVIDER = "none";
+
+const USER = { _id: "65f0c0ffee65f0c0ffee0001", email: "analyst@example.com" };
+const CACHED = { entity: "Acme", visibility: 8, contribution: 6, ERF: 1.1, rawSCOI: 0.75, adjustedSCOI: 0.825, placementLevel: "Grid Performer", usage: { totalTokens: 900 } };
+
+// handler for `method path`, past requireLogin
+function handlerFor(method, path) {
+  const layer = router.stack.find((l) => l.route && l.route.path === path && l.route.methods[method]);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// stores behind a run; `cached` is the audit cache entry (null for a fresh run)
+function mockRun(t, { cached = null, createError = null } = {}) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  t.mock.method(ScoringPolicy, "findOne", () => ({ lean: async () => null }));
+  t.mock.method(PromptTemplate, "findOne", () => ({ lean: async () => null }));
+  t.mock.method(Exemplar, "find", () => ({ sort: () => ({ lean: async () => [] }) }));
+  const docs = { select: () => docs, sort: () => docs, lean: async () => [] };
+  t.mock.method(FrameworkDoc, "find", () => docs);
+  t.mock.method(AuditCache, "findOneAndUpdate", () => ({ lean: async () => (cached ? { result: cached } : null) }));
+  const lookup = { sort: () => lookup, select: () => lookup, lean: async () => null };
+  t.mock.method(Audit, "findOne", () => lookup);
+  t.mock.method(Audit, "create", async (doc) => {
+    if (createError) throw createError;
+    return { _id: "65f0c0ffee65f0c0ffee0002", ...doc };
+  });
+  t.mock.method(LlmUsage, "create", async () => ({}));
+
+  const charged = t.mock.method(User, "findOneAndUpdate", async () => ({ _id: USER._id }));
+  const refunded = t.mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+  return { charged, refunded };
+}
+
+async function run(entity) {
+  const res = fakeRes();
+  await handlerFor("post", "/run")({ user: USER, body: { entity } }, res);
+  return res;
+}
+
+test("a fresh audit keeps the credit it used", async (t) => {
+  const { charged, refunded } = mockRun(t);
+  const res = await run("Acme");
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.auditId, "65f0c0ffee65f0c0ffee0002");
+  assert.equal(charged.mock.callCount(), 1);
+  assert.equal(refunded.mock.callCount(), 0);
+});
+
+test("a cache hit gives the credit back", async (t) => {
+  const { charged, refunded } = mockRun(t, { cached: CACHED });
+  const res = await run("Acme");
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.cached, true);
+  assert.equal(charged.mock.callCount(), 1);
+  assert.equal(refunded.mock.callCount(), 1);
+
+  const [filter, update] = refunded.mock.calls[0].arguments;
+  assert.equal(filter.searchCountDay, new Date().toISOString().slice(0, 10));
+  assert.deepEqual(update, { $inc: { searchCount: -1 } });
+});
+
+test("a failed audit gives the credit back", async (t) => {
+  const err = Object.assign(new Error("Model output failed validation"), { status: 502 });
+  const { refunded } = mockRun(t, { createError: err });
+  const res = await run("Acme");
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body.error, "Invalid model output");
+  assert.equal(refunded.mock.callCount(), 1);
+});
+
+test("the PDF export renders with the active policy it loads", async (t) => {
+  invalidatePolicy();
+  const policyLookup = t.mock.method(ScoringPolicy, "findOne", () => ({ lean: async () => ({ ...DEFAULT_POLICY, version: 7, precision: 2 }) }));
+  t.mock.method(Audit, "findOne", () => ({ lean: async () => ({ _id: "65f0c0ffee65f0c0ffee0002", key: "acme", mode: "structured", user: USER._id, ...CACHED, policyVersion: 7, createdAt: new Date() }) }));
+
+  const res = Object.assign(new PassThrough(), { headers: {}, setHeader(k, v) { this.headers[k] = v; } });
+  const chunks = [];
+  res.on("data", (c) => chunks.push(c));
+  const ended = new Promise((resolve) => res.on("end", resolve));
+
+  await handlerFor("get", "/:id/pdf")({ user: USER, params: { id: "65f0c0ffee65f0c0ffee0002" }, query: {} }, res);
+  await ended;
+  assert.equal(policyLookup.mock.callCount(), 1);
+  assert.equal(res.headers["Content-Type"], "application/pdf");
+  assert.equal(Buffer.concat(chunks).subarray(0, 5).toString(), "%PDF-");
+  invalidatePolicy();
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import AuditCache from "../models/auditCache.js";
+import Exemplar from "../models/exemplar.js";
+import ScoringPolicy from "../models/scoringPolicy.js";
+import autoFetchAndScore from "../utils/autoFetchAndScore.js";
+
+// Both paths return before the model is called.
+const llm = {
+  name: "unused",
+  complete: async () => assert.fail("the model should not be called"),
+};
+
+const EXEMPLAR = { entity: "Acme", key: "acme", visibility: 9, contribution: 5, ERF: 1.1, commentary: "Curated.", version: 2 };
+
+function mockStore(t, cachedResult) {
+  t.mock.method(ScoringPolicy, "findOne", () => ({ lean: async () => null }));
+  t.mock.method(Exemplar, "find", () => ({ sort: () => ({ lean: async () => [EXEMPLAR] }) }));
+  const cache = t.mock.method(AuditCache, "findOneAndUpdate", (filter) => ({
+    lean: async () => ({ key: filter.key, result: cachedResult }),
+  }));
+  return cache;
+}
+
+test("English audits of an exemplar return its curated values", async (t) => {
+  const cache = mockStore(t, { entity: "Acme", adjustedSCOI: 0.7 });
+  const result = await autoFetchAndScore("Acme", { llm, language: "en" });
+  assert.equal(result.source, "CRIPFCnt exemplar");
+  assert.equal(result.language, "en");
+  assert.equal(result.exemplarVersion, 2);
+  assert.equal(cache.mock.callCount(), 0);
+});
+
+test("other languages skip the English-only exemplar", async (t) => {
+  const cache = mockStore(t, { entity: "Acme", adjustedSCOI: 0.7, language: "fr" });
+  const result = await autoFetchAndScore("Acme", { llm, language: "fr" });
+  assert.notEqual(result.source, "CRIPFCnt exemplar");
+  assert.equal(result.language, "fr");
+  assert.equal(result.cached, true);
+  assert.equal(cache.mock.callCount(), 1);
+});
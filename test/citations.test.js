@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { checkCitations, citationMarkers, payloadCitations, streamCitations } from "../utils/citations.js";
+import { validateScoiPayload } from "../utils/autoFetchAndScore.js";
+
+const PAYLOAD = {
+  visibility: 8,
+  visibilityRationale: "Widely covered.",
+  contribution: 6,
+  contributionRationale: "Documented programmes.",
+  erf: 1.1,
+  erfRationale: "Currency volatility.",
+  scoiInterpretation: "Visibility outpaces contribution.",
+  commentary: "Placement holds.",
+  visibilitySources: [1, 2],
+  contributionSources: [2],
+  erfSources: [],
+  commentarySources: [3],
+  sector: "banking",
+};
+
+test("citationMarkers reads [n] and [n, m] markers once each", () => {
+  assert.deepEqual(citationMarkers("Known [1]. Growing [2, 1] and [3]."), [1, 2, 3]);
+});
+
+test("out-of-range indices are dropped and reported", () => {
+  const { citations, invalid, uncited } = checkCitations({ visibility: [1, 7], contribution: [2] }, 2);
+  assert.deepEqual(citations.visibility, [1]);
+  assert.deepEqual(citations.contribution, [2]);
+  assert.equal(invalid.length, 1);
+  assert.match(invalid[0], /Visibility cites \[7\], but only 2 sources were retrieved/);
+  assert.deepEqual(uncited, ["ERF cites no source", "Commentary cites no source"]);
+});
+
+test("with no sources every citation is invalid and nothing counts as uncited", () => {
+  const { citations, invalid, uncited } = payloadCitations(PAYLOAD, 0);
+  assert.deepEqual(citations, { visibility: [], contribution: [], ERF: [], commentary: [] });
+  assert.equal(invalid.length, 3);
+  assert.deepEqual(uncited, []);
+});
+
+test("streamed sections are cited by their markers", () => {
+  const text = "1️⃣ Visibility — 8 / 10 [1]\n2️⃣ Contribution — 6 / 10 [2][9]\n4️⃣ ERF = 1.1 [1]\n6️⃣ Commentary [3]\n";
+  const { citations, invalid } = streamCitations(text, 3);
+  assert.deepEqual(citations, { visibility: [1], contribution: [2], ERF: [1], commentary: [3] });
+  assert.equal(invalid.length, 1);
+});
+
+test("a structurally valid payload passes regardless of citation range", () => {
+  assert.doesNotThrow(() => validateScoiPayload({ ...PAYLOAD, visibilitySources: [42] }));
+  assert.doesNotThrow(() => validateScoiPayload({ ...PAYLOAD, commentarySources: [99] }));
+});
+
+test("schema violations still throw a 502", () => {
+  assert.throws(() => validateScoiPayload({ ...PAYLOAD, visibility: 12 }), (err) => err.status === 502);
+  assert.throws(() => validateScoiPayload({ ...PAYLOAD, visibility: 0 }), /visibility must be greater than 0/);
+  assert.throws(() => validateScoiPayload({ ...PAYLOAD, erfSources: ["one"] }), /erfSources must be a list/);
+  assert.throws(() => validateScoiPayload({ ...PAYLOAD, sector: "space" }), /sector must be one of/);
+});
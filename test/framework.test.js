@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import FrameworkDoc from "../models/frameworkDoc.js";
+import LlmUsage from "../models/llmUsage.js";
+import User from "../models/user.js";
+import router from "../routes/framework.js";
+import { explainFramework } from "../utils/frameworkExplainer.js";
+
+// offline fixture replay instead of the OpenAI API
+process.env.LLM_PROVIDER = "stub";
+
+const USER = { _id: "u1", email: "reader@example.com" };
+
+function mockStore(t) {
+  const chain = { select: () => chain, sort: () => chain, lean: async () => [] };
+  t.mock.method(FrameworkDoc, "find", () => chain);
+  t.mock.method(LlmUsage, "create", async () => ({}));
+  return t.mock.method(User, "findOneAndUpdate", async () => ({ _id: USER._id }));
+}
+
+// runs POST /explain past requireLogin with a minimal req / res
+async function explain(question) {
+  const layer = router.stack.find((l) => l.route && l.route.path === "/explain" && l.route.methods.post);
+  const handler = layer.route.stack[layer.route.stack.length - 1].handle;
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler({ user: USER, body: { question } }, res);
+  return res;
+}
+
+test("questions no passage matches are answered without using a credit", async (t) => {
+  const charge = mockStore(t);
+  const res = await explain("qwertyuiop zxcvbnm");
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.answer, "The CRIPFCnt framework documents do not cover this question.");
+  assert.equal(charge.mock.callCount(), 0);
+});
+
+test("answered questions use one follow-up credit", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const charge = mockStore(t);
+
+  const res = await explain("How does CRIPFCnt score contribution?");
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.citations.length > 0);
+  assert.equal(charge.mock.callCount(), 1);
+  assert.match(JSON.stringify(charge.mock.calls[0].arguments[1]), /followupCount/);
+});
+
+test("explainFramework answers from the passages it is given", async () => {
+  const passages = [{ id: "doc#p1", n: 4, source: "doc", title: "doc", heading: null, text: "Contribution is weighed first.", score: 1 }];
+  let system = "";
+  const llm = {
+    complete: async (req) => {
+      system = req.system;
+      return { text: "Contribution comes first [1].", model: "m", usage: { totalTokens: 5 } };
+    },
+  };
+
+  const result = await explainFramework("What comes first?", { passages, llm });
+  assert.match(system, /\[1\] doc\nContribution is weighed first\./);
+  assert.deepEqual(result.citations.map((c) => [c.n, c.passage, c.cited]), [[1, 4, true]]);
+
+  const none = await explainFramework("What comes first?", { passages: [], llm: { complete: () => assert.fail("no call") } });
+  assert.deepEqual(none, { answer: "The CRIPFCnt framework documents do not cover this question.", citations: [], model: null, usage: null });
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import createLocalCorpusProvider from "../utils/context/localCorpusProvider.js";
+import { buildIndex, chunkDocument, searchIndex, tokenize } from "../utils/passageIndex.js";
+
+const FRAMEWORK = `Intro to the Axis.
+
+CRIPFCnt SCOI Audit — Marketing (Global Civilization Sector)
+Visibility 9, contribution 5.
+
+⸻
+
+Marketing amplifies visibility far beyond contribution.
+
+CRIPFCnt SCOI Audit — Law (Global Civilization Sector)
+Law holds the grid together; contribution is structural.`;
+
+test("tokenize lowercases, keeps letters and digits and drops stopwords", () => {
+  assert.deepEqual(tokenize("The SCOI of Ndebele-speaking firms is 0.82!"), ["scoi", "ndebele", "speaking", "firms", "82"]);
+});
+
+test("chunkDocument splits on blank lines and ⸻ rules without crossing sections", () => {
+  const chunks = chunkDocument(FRAMEWORK);
+  assert.deepEqual(
+    chunks.map((c) => c.heading),
+    [null, "CRIPFCnt SCOI Audit — Marketing (Global Civilization Sector)", "CRIPFCnt SCOI Audit — Law (Global Civilization Sector)"]
+  );
+  assert.equal(chunks[0].text, "Intro to the Axis.");
+  assert.match(chunks[1].text, /^CRIPFCnt SCOI Audit — Marketing[\s\S]*Marketing amplifies visibility/);
+  assert.doesNotMatch(chunks[1].text, /⸻/);
+});
+
+test("chunkDocument starts a new passage once maxChars is exceeded", () => {
+  const text = ["a".repeat(40), "b".repeat(40), "c".repeat(40)].join("\n\n");
+  assert.deepEqual(chunkDocument(text, { maxChars: 90 }).map((c) => c.text.length), [82, 40]);
+  assert.equal(chunkDocument(text, { maxChars: 50 }).length, 3);
+  assert.deepEqual(chunkDocument("## Method\r\n\r\nBody"), [{ heading: "Method", text: "## Method\n\nBody" }]);
+});
+
+test("buildIndex numbers passages per document and indexes duplicates once", () => {
+  const index = buildIndex([
+    { source: "data/a.txt", title: "a.txt", text: FRAMEWORK },
+    { source: "data/copy.txt", title: "copy.txt", text: `${FRAMEWORK}\n\nOnly in the copy.` },
+  ]);
+  assert.deepEqual(
+    index.passages.map((p) => p.id),
+    ["data/a.txt#p1", "data/a.txt#p2", "data/a.txt#p3", "data/copy.txt#p3"]
+  );
+  assert.match(index.passages[3].text, /Only in the copy/);
+});
+
+test("searchIndex ranks the passage that uses the query terms most", () => {
+  const index = buildIndex([
+    { source: "s", title: "s", text: FRAMEWORK },
+    { source: "t", title: "t", text: "Contribution audits weigh documented contribution over visibility." },
+  ]);
+
+  const hits = searchIndex(index, "law contribution");
+  assert.equal(hits[0].passage.heading, "CRIPFCnt SCOI Audit — Law (Global Civilization Sector)");
+  assert.ok(hits.every((h, i) => i === 0 || hits[i - 1].score >= h.score));
+  assert.ok(hits.every((h) => h.score > 0));
+
+  assert.equal(searchIndex(index, "contribution", { limit: 2 })[0].passage.source, "t");
+  assert.equal(searchIndex(index, "contribution", { limit: 1 }).length, 1);
+});
+
+test("passages without any query term are left out", () => {
+  const index = buildIndex([{ source: "s", title: "s", text: FRAMEWORK }]);
+  const hits = searchIndex(index, "marketing visibility");
+  assert.equal(hits.length, 1);
+  assert.match(hits[0].passage.text, /Marketing amplifies/);
+  assert.deepEqual(searchIndex(index, "zimbabwe"), []);
+  assert.deepEqual(searchIndex(buildIndex([]), "marketing"), []);
+});
+
+test("the local context corpus ranks its files with the same index", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "corpus-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "sectors.md"), FRAMEWORK);
+  fs.writeFileSync(path.join(dir, "notes.png"), "Law law law");
+
+  const results = await createLocalCorpusProvider({ dir }).search("law", { maxResults: 3 });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].title, "sectors.md (passage 3)");
+  assert.match(results[0].url, /sectors\.md#p3$/);
+  assert.match(results[0].snippet, /^CRIPFCnt SCOI Audit — Law/);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+
+import Exemplar from "../models/exemplar.js";
+import FrameworkDoc from "../models/frameworkDoc.js";
+import PromptTemplate from "../models/promptTemplate.js";
+import { DEFAULT_TEMPLATES, buildAuditPrompt, renderPrompt } from "../utils/promptTemplates.js";
+
+function mockStore(t) {
+  t.mock.method(PromptTemplate, "findOne", () => ({ lean: async () => null }));
+  t.mock.method(Exemplar, "find", () => ({ sort: () => ({ lean: async () => [] }) }));
+  const chain = { select: () => chain, sort: () => chain, lean: async () => [] };
+  t.mock.method(FrameworkDoc, "find", () => chain);
+}
+
+test("the structured prompt carries retrieved framework passages, not the whole file", async (t) => {
+  mockStore(t);
+  const { system, promptVersion } = await buildAuditPrompt("structured", { entity: "Marketing agency", context: "" });
+
+  assert.equal(promptVersion, "structured@3");
+  assert.match(system, /--- CRIPFCnt FRAMEWORK PASSAGES ---\n### CRIPFCnt SCOI Audit — Marketing/);
+  assert.ok(system.length < fs.readFileSync("data/cripfcnt.txt", "utf8").length);
+});
+
+test("the framework block is left out when nothing is retrieved", () => {
+  const { system } = renderPrompt(DEFAULT_TEMPLATES.structured, { entity: "Acme" });
+  assert.doesNotMatch(system, /FRAMEWORK PASSAGES/);
+  assert.match(system, /Guardrails:/);
+});
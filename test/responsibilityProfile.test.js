@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import Attempt from "../models/attempt.js";
+import { DEFAULT_POLICY } from "../utils/scoringPolicy.js";
+import {
+  INSTRUMENT,
+  computeProfile,
+  quizSignals,
+  readLikert,
+  signalsFromAttempts,
+} from "../utils/responsibilityProfile.js";
+
+const policy = DEFAULT_POLICY;
+
+function answersAll(value) {
+  return INSTRUMENT.statements.map((s) => ({ key: s.key, value }));
+}
+
+test("readLikert requires a 1-5 answer for every statement", () => {
+  const body = Object.fromEntries(INSTRUMENT.statements.map((s) => [`likert_${s.key}`, "4"]));
+  assert.equal(readLikert(body).answers.length, INSTRUMENT.statements.length);
+  assert.deepEqual(readLikert(body).errors, []);
+
+  body[`likert_${INSTRUMENT.statements[0].key}`] = "6";
+  delete body[`likert_${INSTRUMENT.statements[1].key}`];
+  assert.equal(readLikert(body).errors.length, 2);
+});
+
+test("submitted org quizzes count as completed without a status", () => {
+  // as routes/api_org_quiz.js leaves them: finishedAt set, status untouched
+  const signals = signalsFromAttempts([
+    { status: "in_progress", finishedAt: new Date("2026-10-01"), score: 8, maxScore: 10, passed: true },
+    { status: "in_progress", finishedAt: new Date("2026-10-02"), score: 4, maxScore: 10, passed: false },
+    { status: "in_progress", finishedAt: null, score: 0, maxScore: 10, passed: false },
+  ]);
+  assert.deepEqual(signals, { attempts: 2, mastery: 0.6, passRate: 0.5, assigned: 3, completed: 2 });
+});
+
+test("no finished attempts leaves mastery and pass rate empty", () => {
+  assert.deepEqual(signalsFromAttempts([{ finishedAt: null, score: 0, maxScore: 5 }]), {
+    attempts: 0,
+    mastery: null,
+    passRate: null,
+    assigned: 1,
+    completed: 0,
+  });
+});
+
+test("quizSignals only filters on Attempt schema paths", async (t) => {
+  let filter = null;
+  t.mock.method(Attempt, "find", (f) => {
+    filter = f;
+    return { select: () => ({ lean: async () => [] }) };
+  });
+  await quizSignals("u1", "o1");
+  // strictQuery drops unknown paths, which would silently widen the query
+  for (const path of Object.keys(filter)) {
+    assert.ok(Attempt.schema.path(path), `Attempt has no "${path}" path`);
+  }
+  assert.deepEqual(filter, { userId: "u1", organization: "o1" });
+});
+
+test("neutral answers without quiz data give a balanced profile", () => {
+  const scores = computeProfile(answersAll(3), {}, policy);
+  assert.equal(scores.visibility, 5.5);
+  assert.equal(scores.contribution, 5.5);
+  assert.equal(scores.rawSCOI, 1);
+  assert.equal(scores.ERF, +(policy.erfMin + 0.55 * (policy.erfMax - policy.erfMin)).toFixed(2));
+  assert.equal(scores.policyVersion, policy.version);
+});
+
+test("reverse-scored statements count against the dimension", () => {
+  const answers = answersAll(5);
+  const agreeAll = computeProfile(answers, {}, policy);
+  // "overcommits" is reverse-scored: agreeing lowers contribution
+  const byKey = Object.fromEntries(answers.map((a) => [a.key, a]));
+  byKey.overcommits.value = 1;
+  assert.ok(computeProfile(answers, {}, policy).contribution > agreeAll.contribution);
+});
+
+test("lowest answers still give a positive visibility", () => {
+  const scores = computeProfile(answersAll(1), { assigned: 4, completed: 0, mastery: 0 }, policy);
+  assert.ok(scores.visibility > 0);
+  assert.ok(Number.isFinite(scores.rawSCOI));
+});
+
+test("quiz signals blend into visibility and contribution", () => {
+  const base = computeProfile(answersAll(3), {}, policy);
+  const strong = computeProfile(answersAll(3), { assigned: 2, completed: 2, mastery: 1 }, policy);
+  assert.equal(strong.visibility, +(0.7 * 5.5 + 0.3 * 10).toFixed(2));
+  assert.equal(strong.contribution, +(0.7 * 5.5 + 0.3 * 10).toFixed(2));
+  assert.ok(strong.contribution > base.contribution);
+});
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_POLICY } from "../utils/scoringPolicy.js";
+import { parseStreamedScores, splitSections, verifyStreamedScores } from "../utils/scoiVerify.js";
+
+const policy = DEFAULT_POLICY;
+
+// streamed audit as the model writes it, results given with "≈"
+const APPROX_AUDIT = `
+1️⃣ Visibility — 8.5 / 10
+Widely covered in national and regional media [1].
+
+2️⃣ Contribution — 7 / 10
+Documented programmes with measurable reach [2].
+
+3️⃣ SCOI = Contribution / Visibility
+Raw SCOI = 7 ÷ 8.5 ≈ 0.82
+Contribution trails visibility slightly.
+
+4️⃣ Global Environment Adjustment
+ERF = 1.1 (currency volatility and energy constraints)
+
+5️⃣ Adjusted SCOI = SCOI × ERF
+Adjusted = 0.82 × 1.1 ≈ 0.90
+
+6️⃣ Final CRIPFCnt Commentary
+Placement: Stable Contributor.
+`;
+
+// the same audit with "=" and bold results
+const EQUALS_AUDIT = `
+### 1. Visibility
+Score: **8.5 / 10**
+
+### 2. Contribution
+Score: **7 / 10**
+
+### 3. SCOI
+SCOI = Contribution ÷ Visibility = 7 ÷ 8.5 = **0.82**.
+
+### 4. ERF
+ERF: 1.1
+
+### 5. Adjusted SCOI
+Adjusted SCOI = 0.82 × 1.1 = 0.902
+`;
+
+test("splitSections groups lines under numbered headings", () => {
+  const s = splitSections(APPROX_AUDIT);
+  assert.match(s[1], /Visibility/);
+  assert.match(s[3], /Raw SCOI/);
+  assert.match(s[6], /Commentary/);
+});
+
+test("parses results written with ≈ and skips formula operands", () => {
+  assert.deepEqual(parseStreamedScores(APPROX_AUDIT), {
+    visibility: 8.5,
+    contribution: 7,
+    rawSCOI: 0.82,
+    ERF: 1.1,
+    adjustedSCOI: 0.9,
+  });
+});
+
+test("parses results written with = and bold markup", () => {
+  const parsed = parseStreamedScores(EQUALS_AUDIT);
+  assert.equal(parsed.rawSCOI, 0.82);
+  assert.equal(parsed.adjustedSCOI, 0.902);
+  assert.equal(parsed.ERF, 1.1);
+});
+
+test("a sentence-ending period does not hide the result", () => {
+  const text = "3️⃣ SCOI\nSCOI = 7 / 8.5 = 0.82.\n5️⃣ Adjusted\nAdjusted SCOI = 0.82 x 1.1 = 0.90.\n";
+  const parsed = parseStreamedScores(text);
+  assert.equal(parsed.rawSCOI, 0.82);
+  assert.equal(parsed.adjustedSCOI, 0.9);
+});
+
+test("a block with only operands has no result", () => {
+  assert.equal(parseStreamedScores("3️⃣ SCOI\nSCOI = 7 ÷ 8.5\n").rawSCOI, null);
+});
+
+test("correct rounded arithmetic is consistent", () => {
+  const result = verifyStreamedScores(APPROX_AUDIT, { policy });
+  assert.equal(result.checked, true);
+  assert.equal(result.consistent, true);
+  assert.deepEqual(result.discrepancies, []);
+});
+
+test("wrong arithmetic is reported as a discrepancy", () => {
+  const result = verifyStreamedScores(APPROX_AUDIT.replace("≈ 0.90", "≈ 1.20"), { policy });
+  assert.equal(result.consistent, false);
+  assert.deepEqual(result.discrepancies.map((d) => d.field), ["adjustedSCOI"]);
+  assert.equal(result.discrepancies[0].reported, 1.2);
+});
+
+test("nothing is checked without visibility", () => {
+  const result = verifyStreamedScores("no scores here", { policy });
+  assert.equal(result.checked, false);
+  assert.equal(result.consistent, null);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import ScoringPolicy from "../models/scoringPolicy.js";
+import {
+  DEFAULT_POLICY,
+  clampERF,
+  computeSCOI,
+  getActivePolicy,
+  invalidatePolicy,
+  placementFor,
+  validatePolicy,
+} from "../utils/scoringPolicy.js";
+
+test("computeSCOI divides contribution by visibility and applies ERF", () => {
+  assert.deepEqual(computeSCOI(8, 6, 1.1, DEFAULT_POLICY), {
+    ERF: 1.1,
+    rawSCOI: 0.75,
+    adjustedSCOI: 0.825,
+    placementLevel: "Grid Performer",
+    policyVersion: 1,
+  });
+});
+
+test("rounding follows the policy precision", () => {
+  const { rawSCOI, adjustedSCOI } = computeSCOI(3, 2, 1.05, { ...DEFAULT_POLICY, precision: 2 });
+  assert.equal(rawSCOI, 0.67);
+  assert.equal(adjustedSCOI, 0.7);
+});
+
+test("ERF is clamped to the policy range before it is applied", () => {
+  assert.equal(clampERF(3, DEFAULT_POLICY), 1.5);
+  assert.equal(clampERF(0.1, DEFAULT_POLICY), 0.5);
+  assert.equal(clampERF(1.2, DEFAULT_POLICY), 1.2);
+
+  const scored = computeSCOI(5, 5, 2.4, DEFAULT_POLICY);
+  assert.equal(scored.ERF, 1.5);
+  assert.equal(scored.adjustedSCOI, 1.5);
+});
+
+test("band minimums honour inclusive and exclusive bounds", () => {
+  assert.equal(placementFor(1.0, DEFAULT_POLICY), "Balanced Axis");
+  assert.equal(placementFor(1.001, DEFAULT_POLICY), "Silent Over-Contributor");
+  assert.equal(placementFor(0.95, DEFAULT_POLICY), "Balanced Axis");
+  assert.equal(placementFor(0.949, DEFAULT_POLICY), "Grid Performer");
+  assert.equal(placementFor(0, DEFAULT_POLICY), "Grid Performer");
+});
+
+test("placementFor returns null when no band matches", () => {
+  assert.equal(placementFor(0.2, { bands: [{ label: "High", min: 1, inclusive: true }] }), null);
+});
+
+test("the default policy is valid", () => {
+  assert.deepEqual(validatePolicy(DEFAULT_POLICY), []);
+});
+
+test("validatePolicy reports range, precision and band problems", () => {
+  assert.deepEqual(validatePolicy({ ...DEFAULT_POLICY, erfMin: 1.6 }), ["ERF range must satisfy 0 < min ≤ max"]);
+  assert.deepEqual(validatePolicy({ ...DEFAULT_POLICY, erfMin: 0 }), ["ERF range must satisfy 0 < min ≤ max"]);
+  assert.deepEqual(validatePolicy({ ...DEFAULT_POLICY, precision: 7 }), ["Precision must be a whole number between 0 and 6"]);
+  assert.deepEqual(validatePolicy({ ...DEFAULT_POLICY, bands: [] }), ["At least one placement band is required"]);
+
+  assert.deepEqual(
+    validatePolicy({
+      ...DEFAULT_POLICY,
+      bands: [
+        { label: "Low", min: 0.5, inclusive: true },
+        { label: "", min: 0.9, inclusive: true },
+        { label: "Rest", min: 0.1, inclusive: true },
+      ],
+    }),
+    ["Band 2 needs a label", "Bands must be ordered from highest minimum to lowest", "The last band must be the catch-all (no minimum)"]
+  );
+  assert.deepEqual(
+    validatePolicy({ ...DEFAULT_POLICY, bands: [{ label: "Top", min: null }, { label: "Rest", min: null }] }),
+    ["Band 1 needs a numeric minimum"]
+  );
+});
+
+test("getActivePolicy keeps the last policy when the lookup fails", async (t) => {
+  const saved = { ...DEFAULT_POLICY, version: 4, erfMax: 1.4 };
+  t.mock.method(console, "error", () => {});
+  const findOne = t.mock.method(ScoringPolicy, "findOne", () => ({ lean: async () => saved }));
+
+  invalidatePolicy();
+  assert.equal((await getActivePolicy()).version, 4);
+  assert.equal((await getActivePolicy()).version, 4);
+  assert.equal(findOne.mock.callCount(), 1, "memoized between calls");
+
+  findOne.mock.mockImplementation(() => ({ lean: async () => { throw new Error("offline"); } }));
+  invalidatePolicy();
+  assert.equal((await getActivePolicy()).version, 4);
+  invalidatePolicy();
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import Audit from "../models/audit.js";
+import { compareWithAudit, latestAiAudit } from "../utils/selfAudit.js";
+
+const SCORED = { adjustedSCOI: 0.8, completedAt: new Date("2026-01-01"), error: null };
+
+// Audit.findOne over in-memory documents, honouring the filter fields latestAiAudit uses
+function mockAudits(t, docs) {
+  return t.mock.method(Audit, "findOne", (filter) => {
+    const matches = docs
+      .filter((d) => d.key === filter.key)
+      .filter((d) => !filter.status || filter.status.$in.includes(d.status))
+      .filter((d) => d.adjustedSCOI !== null && d.completedAt !== null && !d.error);
+    const chain = {
+      sort: () => chain,
+      select: () => chain,
+      lean: async () => matches.sort((a, b) => b.createdAt - a.createdAt)[0] || null,
+    };
+    return chain;
+  });
+}
+
+test("the comparison skips newer audits nobody has reviewed", async (t) => {
+  const findOne = mockAudits(t, [
+    { ...SCORED, key: "acme bank", status: "draft", placementLevel: "Unreviewed", createdAt: new Date("2026-03-01") },
+    { ...SCORED, key: "acme bank", status: "in_review", placementLevel: "In review", createdAt: new Date("2026-02-01") },
+    { ...SCORED, key: "acme bank", status: "published", placementLevel: "Grid Performer", createdAt: new Date("2026-01-01") },
+  ]);
+
+  const audit = await latestAiAudit({ name: "Acme Bank" });
+  assert.equal(audit.status, "published");
+  assert.deepEqual(findOne.mock.calls[0].arguments[0].status, { $in: ["approved", "published"] });
+});
+
+test("an organization with only a draft audit has nothing to compare", async (t) => {
+  mockAudits(t, [{ ...SCORED, key: "acme bank", status: "draft", createdAt: new Date("2026-03-01") }]);
+  const audit = await latestAiAudit({ name: "Acme Bank" });
+  assert.equal(audit, null);
+
+  const comparison = compareWithAudit({ visibility: 7, adjustedSCOI: 0.9, placementLevel: "Balanced Axis" }, audit);
+  assert.equal(comparison.aiPlacement, null);
+  assert.ok(comparison.rows.every((r) => r.ai === null && r.gap === null));
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import AuditWatch from "../models/auditWatch.js";
+import User from "../models/user.js";
+import { evaluateDrift, runWatch } from "../utils/watchScheduler.js";
+
+test("the first run raises no drift alerts", () => {
+  assert.deepEqual(evaluateDrift({ adjustedSCOI: null }, { adjustedSCOI: 0.9, placementLevel: "Balanced Axis" }, 0.05), []);
+});
+
+test("placement changes and large moves raise alerts", () => {
+  const alerts = evaluateDrift(
+    { adjustedSCOI: 0.9, placementLevel: "Grid Performer" },
+    { adjustedSCOI: 1.1, placementLevel: "Silent Over-Contributor" },
+    0.05
+  );
+  assert.deepEqual(alerts.map((a) => a.kind), ["placement_change", "scoi_delta"]);
+  assert.equal(alerts[1].delta, 0.2);
+});
+
+test("small moves within the band raise nothing", () => {
+  assert.deepEqual(
+    evaluateDrift({ adjustedSCOI: 0.9, placementLevel: "P" }, { adjustedSCOI: 0.93, placementLevel: "P" }, 0.05),
+    []
+  );
+});
+
+test("an owner out of daily credits is skipped until the quota resets", async (t) => {
+  const owner = { _id: "u1", email: "learner@example.com", searchCountDay: new Date().toISOString().slice(0, 10), searchCount: 3 };
+  t.mock.method(User, "findById", () => ({ lean: async () => owner, then: (ok) => ok(owner) }));
+  // both credit updates find nothing: the daily limit is used up
+  t.mock.method(User, "findOneAndUpdate", async () => null);
+  const updates = [];
+  t.mock.method(AuditWatch, "updateOne", async (filter, update) => updates.push(update));
+
+  await runWatch({ _id: "w1", user: "u1", entity: "Acme", cadenceHours: 168, prepaidRun: false });
+
+  assert.equal(updates.length, 1);
+  const { $set } = updates[0];
+  assert.equal($set.lastError, "Daily search limit reached");
+  assert.ok($set.nextRunAt > new Date());
+  assert.equal($set.nextRunAt.getUTCHours(), 0);
+  assert.equal(updates[0].$inc, undefined);
+});
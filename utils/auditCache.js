@@ -0,0 +1,36 @@
+/**
+ * auditCache.js
+ * Mongo-backed cache for structured audits (replaces data/cache.json).
+ * TTL is AUDIT_CACHE_TTL_HOURS (default 168 = one week; 0 = never expire).
+ * Entries are per output language: one entry per (normalized key, language).
+ */
+import AuditCache from "../models/auditCache.js";
+import { DEFAULT_LANGUAGE } from "./languages.js";
+
+export function getCacheTtlHours() {
+  const hours = Number(process.env.AUDIT_CACHE_TTL_HOURS ?? 168);
+  return Number.isFinite(hours) && hours >= 0 ? hours : 168;
+}
+
+/**
+ * Cached result for a normalized key and language, or null. Mongo's TTL monitor only runs
+ * once a minute, so expiry is also checked here.
+ */
+export async function getCachedAudit(key, language = DEFAULT_LANGUAGE) {
+  const entry = await AuditCache.findOneAndUpdate(
+    { key, language, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+    { new: true }
+  ).lean();
+  return entry ? entry.result : null;
+}
+
+export async function setCachedAudit(key, entity, result, language = DEFAULT_LANGUAGE) {
+  const ttlHours = getCacheTtlHours();
+  const expiresAt = ttlHours > 0 ? new Date(Date.now() + ttlHours * 3600 * 1000) : null;
+  await AuditCache.findOneAndUpdate(
+    { key, language },
+    { $set: { entity, result, expiresAt, hits: 0, lastHitAt: null } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+}
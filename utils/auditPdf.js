@@ -0,0 +1,208 @@
+/**
+ * auditPdf.js
+ * Branded PDF export of a saved SCOI audit (pdfkit): header band, score
+ * gauges, the six audit sections with the SCOI arithmetic worked out,
+ * numbered sources and a generated-on footer on every page. Colours follow the
+ * CRIPFCnt course palette (gold / black / charcoal / white).
+ */
+import PDFDocument from "pdfkit";
+import { auditRationales } from "./compareAudits.js";
+import { currentPolicy } from "./scoringPolicy.js";
+
+export const PALETTE = { gold: "#D4AF37", black: "#0A0A0A", charcoal: "#1B1B1B", white: "#F5F5F5" };
+
+const MARGIN = 48;
+const MUTED = "#6B6B6B";
+
+// The standard PDF fonts only cover WinAnsi: drop emoji / keycaps and markdown markers.
+function pdfText(s) {
+  return String(s || "")
+    .replace(/\*\*|__/g, "")
+    .replace(/^#+\s*/gm, "")
+    .replace(/[⸻―]/g, "—")
+    .replace(/[^\x09\x0A\x0D\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/g, "")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+}
+
+function num(v, digits) {
+  return typeof v === "number" && Number.isFinite(v) ? v.toFixed(digits) : "N/A";
+}
+
+// semicircular gauge; `fraction` is clamped to 0..1
+function drawGauge(doc, { x, y, r, fraction, value, label }) {
+  const f = Math.min(Math.max(fraction || 0, 0), 1);
+  const cx = x + r;
+  const cy = y + r;
+  const end = Math.PI * (1 - f);
+
+  doc.save();
+  doc.lineWidth(8).lineCap("round");
+  doc.path(`M ${cx - r} ${cy} A ${r} ${r} 0 0 1 ${cx + r} ${cy}`).stroke(PALETTE.charcoal);
+  if (f > 0) {
+    doc
+      .path(`M ${cx - r} ${cy} A ${r} ${r} 0 0 1 ${cx + r * Math.cos(end)} ${cy - r * Math.sin(end)}`)
+      .stroke(PALETTE.gold);
+  }
+  doc.restore();
+
+  doc.font("Helvetica-Bold").fontSize(13).fillColor(PALETTE.black)
+    .text(value, x, cy - 16, { width: 2 * r, align: "center" });
+  doc.font("Helvetica").fontSize(8.5).fillColor(MUTED)
+    .text(label, x - 10, cy + 10, { width: 2 * r + 20, align: "center" });
+}
+
+function sectionHeading(doc, title) {
+  if (doc.y > doc.page.height - MARGIN - 90) doc.addPage();
+  const width = doc.page.width - 2 * MARGIN;
+  const top = doc.y + 6;
+  doc.rect(MARGIN, top, width, 20).fill(PALETTE.charcoal);
+  doc.font("Helvetica-Bold").fontSize(11).fillColor(PALETTE.gold)
+    .text(title, MARGIN + 8, top + 5, { width: width - 16 });
+  doc.x = MARGIN;
+  doc.y = top + 28;
+}
+
+function labelled(doc, label, value) {
+  doc.font("Helvetica-Bold").fontSize(10).fillColor(PALETTE.black).text(`${label}: `, { continued: true });
+  doc.font("Helvetica").fillColor(PALETTE.charcoal).text(value);
+}
+
+function paragraph(doc, text, fallback) {
+  doc.font("Helvetica").fontSize(10).fillColor(PALETTE.charcoal)
+    .text(pdfText(text) || fallback, { align: "justify", lineGap: 2 });
+  doc.moveDown(0.8);
+}
+
+/**
+ * Writes the PDF for a lean Audit to `stream` (e.g. the Express response)
+ * and ends it. Figures are formatted with `policy` (callers pass the active
+ * one from getActivePolicy).
+ */
+export function renderAuditPdf(audit, stream, { policy = currentPolicy() } = {}) {
+  const { precision, erfMin, erfMax } = policy;
+  const rationales = auditRationales(audit);
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: `CRIPFCnt SCOI Audit — ${audit.entity}`, Author: "CRIPFCnt" },
+  });
+  doc.pipe(stream);
+
+  const pageWidth = doc.page.width;
+  const width = pageWidth - 2 * MARGIN;
+
+  // header band
+  doc.rect(0, 0, pageWidth, 110).fill(PALETTE.black);
+  doc.rect(0, 110, pageWidth, 3).fill(PALETTE.gold);
+  doc.font("Helvetica-Bold").fontSize(10).fillColor(PALETTE.gold)
+    .text("CRIPFCnt SCOI AUDIT", MARGIN, 30, { characterSpacing: 2 });
+  doc.font("Helvetica-Bold").fontSize(22).fillColor(PALETTE.white)
+    .text(pdfText(audit.entity), MARGIN, 46, { width, height: 30, ellipsis: true });
+  const meta = [
+    `Audited ${new Date(audit.createdAt).toUTCString()}`,
+    audit.mode === "structured" ? "structured run" : "live run",
+    audit.policyVersion ? `scoring policy v${audit.policyVersion}` : null,
+  ].filter(Boolean).join("  ·  ");
+  doc.font("Helvetica").fontSize(9).fillColor(PALETTE.white).text(meta, MARGIN, 82, { width });
+
+  // gauges
+  const gauges = [
+    { label: "Visibility (0–10)", value: num(audit.visibility, 1), fraction: audit.visibility / 10 },
+    { label: "Contribution (0–10)", value: num(audit.contribution, 1), fraction: audit.contribution / 10 },
+    { label: `ERF (${erfMin}–${erfMax})`, value: num(audit.ERF, 2), fraction: (audit.ERF - erfMin) / (erfMax - erfMin) },
+    { label: "Adjusted SCOI (0–2)", value: num(audit.adjustedSCOI, precision), fraction: audit.adjustedSCOI / 2 },
+  ];
+  const r = 38;
+  const slot = width / gauges.length;
+  gauges.forEach((g, i) => drawGauge(doc, { ...g, x: MARGIN + i * slot + (slot - 2 * r) / 2, y: 135, r }));
+
+  doc.x = MARGIN;
+  doc.y = 135 + r + 34;
+  if (audit.placementLevel) {
+    doc.font("Helvetica-Bold").fontSize(12).fillColor(PALETTE.black)
+      .text(`Placement: ${pdfText(audit.placementLevel)}`, { align: "center" });
+  }
+  if (audit.overridden) {
+    const o = audit.original || {};
+    const note = audit.mode === "structured"
+      ? "Scores reviewed and overridden by an analyst."
+      : "Scores reviewed and overridden by an analyst; the narrative below keeps the model's original figures.";
+    doc.moveDown(0.4).font("Helvetica-Oblique").fontSize(9).fillColor("#8A6D0B")
+      .text(
+        `${note} Model's original: Visibility ${num(o.visibility, 1)}, Contribution ${num(o.contribution, 1)}, ` +
+          `ERF ${num(o.ERF, 2)}, Adjusted SCOI ${num(o.adjustedSCOI, precision)}.`,
+        { align: "center" }
+      );
+  }
+  doc.moveDown(1);
+
+  // sections
+  sectionHeading(doc, "1. Visibility");
+  labelled(doc, "Score", `${num(audit.visibility, 1)} / 10`);
+  paragraph(doc, rationales.visibility, "No visibility rationale provided.");
+
+  sectionHeading(doc, "2. Contribution");
+  labelled(doc, "Score", `${num(audit.contribution, 1)} / 10`);
+  paragraph(doc, rationales.contribution, "No contribution rationale provided.");
+
+  sectionHeading(doc, "3. SCOI Calculation");
+  labelled(
+    doc,
+    "Formula",
+    `SCOI = Contribution ÷ Visibility = ${num(audit.contribution, 1)} ÷ ${num(audit.visibility, 1)} = ${num(audit.rawSCOI, precision)}`
+  );
+  paragraph(doc, rationales.rawSCOI, "No interpretation provided.");
+
+  sectionHeading(doc, "4. Environmental Resilience Factor (ERF)");
+  labelled(doc, "Factor", num(audit.ERF, 2));
+  paragraph(doc, rationales.ERF, "No ERF rationale provided.");
+
+  sectionHeading(doc, "5. Adjusted SCOI");
+  labelled(
+    doc,
+    "Formula",
+    `Adjusted SCOI = SCOI × ERF = ${num(audit.rawSCOI, precision)} × ${num(audit.ERF, 2)} = ${num(audit.adjustedSCOI, precision)}`
+  );
+  if (audit.placementLevel) labelled(doc, "Placement", pdfText(audit.placementLevel));
+  doc.moveDown(0.8);
+
+  sectionHeading(doc, "6. Final CRIPFCnt Commentary");
+  paragraph(doc, rationales.commentary, "No commentary available.");
+
+  // sources: numbered footnotes for the [n] citations (plain URLs for older audits)
+  sectionHeading(doc, "Sources");
+  const sources = audit.sources && audit.sources.length
+    ? audit.sources
+    : (audit.urls || []).map((url, i) => ({ n: i + 1, title: url, url, snippet: "" }));
+  if (!sources.length) {
+    doc.font("Helvetica-Oblique").fontSize(9.5).fillColor(MUTED).text("No external references found.");
+  }
+  sources.forEach((s) => {
+    const linkable = /^https?:\/\//i.test(s.url || "");
+    doc.font("Helvetica-Bold").fontSize(9).fillColor(PALETTE.charcoal).text(`[${s.n}] `, { continued: true });
+    doc.font("Helvetica").fillColor(linkable ? "#8A6D0B" : PALETTE.charcoal)
+      .text(pdfText(s.title || s.url), { link: linkable ? s.url : null, underline: false });
+    if (s.url && s.url !== s.title) doc.fontSize(8).fillColor(MUTED).text(pdfText(s.url));
+    if (s.snippet) doc.font("Helvetica-Oblique").fontSize(8.5).fillColor(MUTED).text(`“${pdfText(s.snippet)}”`);
+    doc.moveDown(0.4);
+  });
+
+  // footer on every page
+  const generated = `Generated on ${new Date().toUTCString()} · CRIPFCnt SCOI audit ${audit._id}`;
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - 30;
+    doc.moveTo(MARGIN, y - 6).lineTo(pageWidth - MARGIN, y - 6).lineWidth(0.5).stroke(PALETTE.gold);
+    doc.font("Helvetica").fontSize(7.5).fillColor(MUTED)
+      .text(generated, MARGIN, y, { width: width - 60, lineBreak: false });
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, pageWidth - MARGIN - 60, y, { width: 60, align: "right", lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+}
@@ -0,0 +1,166 @@
+/**
+ * auditRegistry.js
+ * The public SCOI registry behind GET /api/audits: the latest published
+ * audit of every entity (utils/auditReview.js), filterable by sector,
+ * placement and adjusted-SCOI range, searchable and paginated.
+ */
+import Audit from "../models/audit.js";
+import { normalizeSector, sectorLabel } from "./sectors.js";
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// ?sort= values -> registry field ("-" prefix = descending)
+export const SORT_FIELDS = {
+  adjustedSCOI: "adjustedSCOI",
+  rawSCOI: "rawSCOI",
+  visibility: "visibility",
+  contribution: "contribution",
+  entity: "entity",
+  sector: "sector",
+  publishedAt: "publishedAt",
+};
+const DEFAULT_SORT = "-publishedAt";
+
+const ENTRY_FIELDS = {
+  key: 1,
+  entity: 1,
+  sector: 1,
+  visibility: 1,
+  contribution: 1,
+  ERF: 1,
+  interpretation: 1,
+  rawSCOI: 1,
+  adjustedSCOI: 1,
+  placementLevel: 1,
+  policyVersion: 1,
+  overridden: 1,
+  publishedAt: 1,
+};
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function list(value) {
+  return String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// comma-separated list -> case-insensitive exact-match regexes
+function anyOf(value) {
+  return list(value).map((s) => new RegExp(`^${escapeRegex(s)}$`, "i"));
+}
+
+function readNumber(query, name, errors) {
+  const raw = query[name];
+  if (raw === undefined || String(raw).trim() === "") return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    errors.push(`${name} must be a number`);
+    return null;
+  }
+  return n;
+}
+
+/**
+ * Query string -> { match, sort, page, limit, errors }.
+ *   sector=telecommunications,banking  placement=Balanced Axis  minScore=0.9  maxScore=1.2
+ *   q=econet  sort=-adjustedSCOI  page=2  limit=20
+ */
+export function parseRegistryQuery(query = {}) {
+  const errors = [];
+  const match = {};
+
+  if (query.sector) {
+    const wanted = list(query.sector);
+    const sectors = wanted.map(normalizeSector);
+    const unknown = wanted.filter((s, i) => !sectors[i]);
+    if (unknown.length) errors.push(`Unknown sector: ${unknown.join(", ")} (see /api/audits/sectors)`);
+    match.sector = { $in: sectors.filter(Boolean) };
+  }
+  if (query.placement) match.placementLevel = { $in: anyOf(query.placement) };
+
+  const min = readNumber(query, "minScore", errors);
+  const max = readNumber(query, "maxScore", errors);
+  if (min !== null && max !== null && min > max) errors.push("minScore must not be greater than maxScore");
+  if (min !== null || max !== null) {
+    match.adjustedSCOI = {};
+    if (min !== null) match.adjustedSCOI.$gte = min;
+    if (max !== null) match.adjustedSCOI.$lte = max;
+  }
+
+  const q = String(query.q || "").trim();
+  if (q.length > 200) errors.push("q must be under 200 characters");
+  else if (q) {
+    const re = { $regex: escapeRegex(q), $options: "i" };
+    match.$or = [{ entity: re }, { sector: re }, { interpretation: re }];
+  }
+
+  const sortParam = String(query.sort || DEFAULT_SORT).trim();
+  const desc = sortParam.startsWith("-");
+  const field = SORT_FIELDS[sortParam.replace(/^-/, "")];
+  if (!field) errors.push(`sort must be one of ${Object.keys(SORT_FIELDS).join(", ")} (prefix "-" for descending)`);
+  // _id breaks ties so pages never overlap
+  const sort = { [field || "publishedAt"]: desc || !field ? -1 : 1, _id: 1 };
+
+  const page = Math.max(parseInt(query.page || "1", 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit || String(DEFAULT_LIMIT), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { match, sort, page, limit, errors };
+}
+
+/**
+ * Registry entry in the shape /api/audits has always returned, plus the
+ * registry fields.
+ */
+export function registryEntry(a) {
+  return {
+    id: a._id,
+    organization: a.entity,
+    sector: a.sector || null,
+    sectorLabel: sectorLabel(a.sector),
+    visibility: a.visibility,
+    contribution: a.contribution,
+    resilienceFactor: a.ERF,
+    interpretation: a.interpretation || "",
+    rawSCOI: a.rawSCOI,
+    adjustedSCOI: a.adjustedSCOI,
+    placementLevel: a.placementLevel,
+    policyVersion: a.policyVersion,
+    overridden: !!a.overridden,
+    publishedAt: a.publishedAt,
+  };
+}
+
+/**
+ * Runs a parsed query. Resolves to { data, total, page, limit, pages }.
+ */
+export async function queryRegistry({ match, sort, page, limit }) {
+  const [result] = await Audit.aggregate([
+    { $match: { status: "published" } },
+    { $project: ENTRY_FIELDS },
+    // one entry per entity: its most recent publication
+    { $sort: { key: 1, publishedAt: -1 } },
+    { $group: { _id: "$key", audit: { $first: "$$ROOT" } } },
+    { $replaceRoot: { newRoot: "$audit" } },
+    { $match: match },
+    {
+      $facet: {
+        data: [{ $sort: sort }, { $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "n" }],
+      },
+    },
+  ]);
+
+  const total = result.total.length ? result.total[0].n : 0;
+  return {
+    data: result.data.map(registryEntry),
+    total,
+    page,
+    limit,
+    pages: Math.max(Math.ceil(total / limit), 1),
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * auditReview.js
+ * Review workflow for saved audits. Audits start as drafts; analysts move
+ * them through review to approval and publication, and may override the
+ * visibility / contribution / ERF scores with a written justification.
+ * Every override recomputes SCOI and placement under the active scoring
+ * policy, and every change lands in the audit's changeLog.
+ */
+import { computeSCOI } from "./scoringPolicy.js";
+import { formatSCOI } from "./formatSCOI.js";
+import { normalizeSector } from "./sectors.js";
+
+export const STATUSES = ["draft", "in_review", "approved", "published"];
+
+// allowed moves: from -> [to]
+export const TRANSITIONS = {
+  draft: ["in_review"],
+  in_review: ["draft", "approved"],
+  approved: ["in_review", "published"],
+  published: ["approved"],
+};
+
+// scores can only change before approval
+export const EDITABLE_STATUSES = ["draft", "in_review"];
+
+export const OVERRIDE_FIELDS = ["visibility", "contribution", "ERF"];
+
+const SCORE_FIELDS = ["visibility", "contribution", "ERF", "rawSCOI", "adjustedSCOI", "placementLevel"];
+
+function reviewError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function logEntry(user, action, changes, justification) {
+  return {
+    at: new Date(),
+    by: user ? user._id : null,
+    byEmail: user ? user.email : null,
+    action,
+    changes,
+    justification: justification || "",
+  };
+}
+
+/**
+ * values: { visibility?, contribution?, ERF? } (numbers or numeric strings;
+ * blank = keep). Returns { values, errors } with only the given fields.
+ */
+export function readOverride(input = {}, policy) {
+  const values = {};
+  const errors = [];
+  for (const field of OVERRIDE_FIELDS) {
+    const raw = input[field];
+    if (raw === undefined || raw === null || String(raw).trim() === "") continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n)) {
+      errors.push(`${field} must be a number`);
+      continue;
+    }
+    values[field] = n;
+  }
+  if ("visibility" in values && (values.visibility <= 0 || values.visibility > 10)) {
+    errors.push("Visibility must be greater than 0 and at most 10");
+  }
+  if ("contribution" in values && (values.contribution < 0 || values.contribution > 10)) {
+    errors.push("Contribution must be between 0 and 10");
+  }
+  if ("ERF" in values && (values.ERF < policy.erfMin || values.ERF > policy.erfMax)) {
+    errors.push(`ERF must be between ${policy.erfMin} and ${policy.erfMax}`);
+  }
+  return { values, errors };
+}
+
+// notice block applyOverride puts at the top of a streamed audit's text
+const OVERRIDE_NOTICE_RE = /^> ⚖️ Analyst override[^\n]*\n(?:>[^\n]*\n)*\n/;
+
+function fixed(v, digits) {
+  return typeof v === "number" ? v.toFixed(digits) : "N/A";
+}
+
+/**
+ * Streamed audit text headed by the reviewed scores (replacing an earlier
+ * notice). The model's prose is kept as written, so the notice says its
+ * figures are superseded.
+ */
+export function withOverrideNotice(text, scores, precision = 3) {
+  const notice = [
+    "> ⚖️ Analyst override — these reviewed scores replace the model's figures in the audit below.",
+    `> Visibility ${fixed(scores.visibility, 1)} / 10 · Contribution ${fixed(scores.contribution, 1)} / 10 · ERF ${fixed(scores.ERF, 2)}`,
+    `> SCOI ${fixed(scores.rawSCOI, precision)} · Adjusted SCOI ${fixed(scores.adjustedSCOI, precision)}` +
+      (scores.placementLevel ? ` · Placement: ${scores.placementLevel}` : ""),
+  ].join("\n");
+  return `${notice}\n\n${String(text || "").replace(OVERRIDE_NOTICE_RE, "")}`;
+}
+
+/**
+ * Override scores on a hydrated Audit (the caller saves). Throws (err.status)
+ * when the audit is not editable, the justification is missing or nothing
+ * changes. Returns the logged change list.
+ */
+export function applyOverride(audit, values, { user, justification, policy }) {
+  if (!EDITABLE_STATUSES.includes(audit.status || "draft")) {
+    throw reviewError(`A ${audit.status} audit cannot be changed; move it back to review first`, 409);
+  }
+  const reason = String(justification || "").trim();
+  if (!reason) throw reviewError("A justification is required for every override");
+
+  const next = {
+    visibility: values.visibility ?? audit.visibility,
+    contribution: values.contribution ?? audit.contribution,
+    ERF: values.ERF ?? audit.ERF,
+  };
+  if ([next.visibility, next.contribution, next.ERF].some((v) => typeof v !== "number")) {
+    throw reviewError("Visibility, contribution and ERF are all needed to score the audit");
+  }
+
+  const scores = computeSCOI(next.visibility, next.contribution, next.ERF, policy);
+  const updated = {
+    visibility: next.visibility,
+    contribution: next.contribution,
+    ERF: scores.ERF,
+    rawSCOI: scores.rawSCOI,
+    adjustedSCOI: scores.adjustedSCOI,
+    placementLevel: scores.placementLevel,
+  };
+  const changes = SCORE_FIELDS
+    .filter((f) => updated[f] !== audit[f])
+    .map((f) => ({ field: f, from: audit[f] ?? null, to: updated[f] }));
+  if (!changes.length) throw reviewError("The override does not change any score");
+
+  if (!audit.overridden) {
+    audit.original = Object.fromEntries(SCORE_FIELDS.map((f) => [f, audit[f] ?? null]));
+    audit.overridden = true;
+  }
+  Object.assign(audit, updated);
+  audit.policyVersion = scores.policyVersion;
+  if (audit.mode === "structured") {
+    audit.text = formatSCOI({ ...audit.toObject(), scoiInterpretation: audit.interpretation }, audit.entity);
+  } else {
+    audit.text = withOverrideNotice(audit.text, updated, policy.precision);
+  }
+  audit.changeLog.push(logEntry(user, "override", changes, reason));
+  return changes;
+}
+
+/**
+ * Move a hydrated Audit to `to` (the caller saves). Throws (err.status) on a
+ * move TRANSITIONS does not allow.
+ */
+export function applyStatus(audit, to, { user, note }) {
+  const from = audit.status || "draft";
+  if (!STATUSES.includes(to)) throw reviewError(`Unknown status "${to}"`);
+  if (!(TRANSITIONS[from] || []).includes(to)) throw reviewError(`Cannot move an audit from ${from} to ${to}`, 409);
+  if (!audit.completedAt) throw reviewError("The audit has not finished", 409);
+
+  audit.status = to;
+  if (to === "published") audit.publishedAt = new Date();
+  if (from === "published") audit.publishedAt = null;
+  audit.changeLog.push(logEntry(user, "status", [{ field: "status", from, to }], String(note || "").trim()));
+}
+
+/**
+ * Assign a sector (utils/sectors.js key or label) to a hydrated Audit (the
+ * caller saves and applies it to the entity's other audits); blank clears
+ * it. Metadata only, so it can change at any status.
+ */
+export function applySector(audit, sector, { user }) {
+  const raw = String(sector || "").trim();
+  const next = raw ? normalizeSector(raw) : null;
+  if (raw && !next) throw reviewError(`Unknown sector "${raw}"`);
+  if (next === (audit.sector || null) && (!next || audit.sectorSource === "analyst")) {
+    throw reviewError("The sector is unchanged");
+  }
+
+  audit.changeLog.push(logEntry(user, "sector", [{ field: "sector", from: audit.sector || null, to: next }]));
+  audit.sector = next;
+  audit.sectorSource = next ? "analyst" : null;
+}
@@ -0,0 +1,199 @@
+/**
+ * auditStream.js
+ * Typed SSE events for /api/chat-stream and Last-Event-ID resume.
+ *
+ * Events (each with a JSON payload and an id "<auditId>:<seq>"):
+ *   sources    { sources: [{ n, title, url, snippet }] }
+ *                                           context the [n] markers cite
+ *                                           (first, only when there is any)
+ *   section    { section, heading, text }   one line of sections 0–5
+ *   commentary { text }                     one line of section 6
+ *   score      { visibility, contribution, ERF, rawSCOI, adjustedSCOI,
+ *                placementLevel, overridden, consistent, reported, discrepancies }
+ *   error      { message }
+ *   done       { auditId }
+ *
+ * Events are derived line-by-line from the model text, so the exact same
+ * sequence can be rebuilt from a saved Audit once the live buffer is gone.
+ * A rebuilt score event carries the saved scores, which are the analyst's
+ * after an override, not the ones re-read from the model text.
+ */
+import { SECTION_RE, verifyStreamedScores } from "./scoiVerify.js";
+
+// keep finished streams replayable from memory for this long
+const LIVE_RETENTION_MS = 10 * 60 * 1000;
+
+const COMMENTARY_SECTION = 6;
+
+// auditId -> { userId, events, done, listeners }
+const liveStreams = new Map();
+
+/* ------------------------------------------------------------------ */
+/*  SSE wire format                                                    */
+/* ------------------------------------------------------------------ */
+
+export function writeEvent(res, evt) {
+  res.write(`id: ${evt.id}\nevent: ${evt.event}\ndata: ${JSON.stringify(evt.data)}\n\n`);
+}
+
+/**
+ * SSE headers + a keep-alive comment every 15s until the response closes.
+ */
+export function startSSE(res) {
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+
+  const keepAlive = setInterval(() => {
+    try {
+      res.write(":\n\n");
+    } catch (e) {}
+  }, 15000);
+  res.on("close", () => clearInterval(keepAlive));
+  res.on("finish", () => clearInterval(keepAlive));
+}
+
+export function parseEventId(value) {
+  const m = /^([a-f0-9]{24}):(\d+)$/i.exec(String(value || "").trim());
+  return m ? { auditId: m[1], seq: Number(m[2]) } : null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Text -> events                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Stateful converter from streamed model deltas to section/commentary events.
+ * Only complete lines are emitted, so chunk boundaries never change the output.
+ */
+export function createLineEventBuilder() {
+  let pending = "";
+  let section = 0;
+
+  function lineEvent(line) {
+    const text = line.replace(/\r/g, "").trim();
+    if (!text) return null;
+    const m = SECTION_RE.exec(text);
+    if (m) section = Number(m[1]);
+    if (section === COMMENTARY_SECTION) return { event: "commentary", data: { text, heading: !!m } };
+    return { event: "section", data: { section, heading: !!m, text } };
+  }
+
+  return {
+    push(delta) {
+      pending += delta;
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      return lines.map(lineEvent).filter(Boolean);
+    },
+    flush() {
+      const last = pending;
+      pending = "";
+      return [lineEvent(last)].filter(Boolean);
+    },
+  };
+}
+
+/**
+ * `scores` defaults to the figures verified from the model text; replays pass
+ * the saved ones.
+ */
+export function scoreEvent(verification, { scores = verification.computed || {}, overridden = false } = {}) {
+  return {
+    event: "score",
+    data: {
+      visibility: scores.visibility ?? null,
+      contribution: scores.contribution ?? null,
+      ERF: scores.ERF ?? null,
+      rawSCOI: scores.rawSCOI ?? null,
+      adjustedSCOI: scores.adjustedSCOI ?? null,
+      placementLevel: scores.placementLevel || null,
+      overridden,
+      checked: verification.checked,
+      consistent: verification.consistent,
+      reported: verification.reported,
+      discrepancies: verification.discrepancies || [],
+    },
+  };
+}
+
+/**
+ * Rebuild the full event sequence of a finished (saved) audit.
+ */
+export function eventsFromAudit(audit) {
+  const auditId = String(audit._id);
+  const builder = createLineEventBuilder();
+  const raw = [
+    ...(audit.sources && audit.sources.length ? [{ event: "sources", data: { sources: audit.sources } }] : []),
+    ...builder.push(audit.text || ""),
+    ...builder.flush(),
+  ];
+
+  if (audit.error || !audit.completedAt) {
+    const message = audit.error || "The audit stream was interrupted before it completed.";
+    raw.push({ event: "error", data: { message } });
+  } else {
+    raw.push(scoreEvent(verifyStreamedScores(audit.text || ""), { scores: audit, overridden: !!audit.overridden }));
+  }
+  raw.push({ event: "done", data: { auditId } });
+
+  return raw.map((e, seq) => ({ id: `${auditId}:${seq}`, ...e }));
+}
+
+/* ------------------------------------------------------------------ */
+/*  Live buffer                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Register a live stream. Returns { emit(event, data), end() }; every emitted
+ * event is buffered and fanned out to all attached responses.
+ */
+export function openLiveStream(auditId, userId) {
+  const key = String(auditId);
+  const entry = { userId: String(userId || ""), events: [], done: false, listeners: new Set() };
+  liveStreams.set(key, entry);
+
+  return {
+    emit(event, data) {
+      const evt = { id: `${key}:${entry.events.length}`, event, data };
+      entry.events.push(evt);
+      for (const listener of entry.listeners) listener(evt);
+      return evt;
+    },
+    end() {
+      entry.done = true;
+      for (const listener of entry.listeners) listener(null);
+      entry.listeners.clear();
+      const t = setTimeout(() => liveStreams.delete(key), LIVE_RETENTION_MS);
+      if (typeof t.unref === "function") t.unref();
+    },
+  };
+}
+
+export function getLiveStream(auditId) {
+  return liveStreams.get(String(auditId)) || null;
+}
+
+/**
+ * Attach a response to a live stream: replays events after `afterSeq`, then
+ * forwards new ones until the stream ends (or the client goes away).
+ */
+export function attachResponse(entry, res, afterSeq = -1) {
+  for (const evt of entry.events.slice(afterSeq + 1)) writeEvent(res, evt);
+  if (entry.done) {
+    res.end();
+    return;
+  }
+
+  const listener = (evt) => {
+    if (!evt) return res.end();
+    try {
+      writeEvent(res, evt);
+    } catch (e) {
+      entry.listeners.delete(listener);
+    }
+  };
+  entry.listeners.add(listener);
+  res.on("close", () => entry.listeners.delete(listener));
+}
@@ -0,0 +1,112 @@
+/**
+ * auditThreads.js
+ * Answers follow-up questions about a saved audit. The model sees the
+ * CRIPFCnt scoring logic (from the active scoring policy), the framework
+ * passages that best match the question (utils/frameworkIndex.js), the audit
+ * as JSON and the thread so far; answers are appended to the AuditThread.
+ */
+import { getLLMProvider } from "./llm/index.js";
+import { auditRationales } from "./compareAudits.js";
+import { frameworkBlock, searchFramework } from "./frameworkIndex.js";
+
+// earlier messages beyond this are dropped from the prompt (not from the thread)
+const HISTORY_MESSAGES = 20;
+// framework passages retrieved for each question
+const FRAMEWORK_PASSAGES = 4;
+
+function bandLines(policy) {
+  return policy.bands
+    .map((b) =>
+      b.min === null || b.min === undefined
+        ? `- ${b.label}: any lower Adjusted SCOI`
+        : `- ${b.label}: Adjusted SCOI ${b.inclusive ? "≥" : ">"} ${b.min}`
+    )
+    .join("\n");
+}
+
+// the audit fields the model gets to see
+export function auditContext(audit) {
+  return {
+    entity: audit.entity,
+    auditedAt: audit.createdAt,
+    mode: audit.mode,
+    visibility: audit.visibility,
+    contribution: audit.contribution,
+    rawSCOI: audit.rawSCOI,
+    ERF: audit.ERF,
+    adjustedSCOI: audit.adjustedSCOI,
+    placementLevel: audit.placementLevel,
+    policyVersion: audit.policyVersion,
+    rationales: auditRationales(audit),
+    sources: audit.urls || [],
+  };
+}
+
+function frameworkSection(passages) {
+  if (!passages.length) return "";
+  return `
+CRIPFCnt framework passages relevant to the question:
+${frameworkBlock(passages)}
+`;
+}
+
+export function threadSystemPrompt(audit, policy, passages = []) {
+  return `
+You are the CRIPFCnt Audit Intelligence — trained under Donald Mataranyika’s civilization recalibration model.
+The user is asking follow-up questions about one SCOI audit that has already been completed.
+
+CRIPFCnt scoring logic (scoring policy v${policy.version}):
+- Visibility (0–10): how visible / recognised the entity is.
+- Contribution (0–10): the measurable value it actually delivers.
+- SCOI = Contribution ÷ Visibility, rounded to ${policy.precision} decimals.
+- ERF (Environmental Resilience Factor), ${policy.erfMin}–${policy.erfMax}: adjusts for the operating environment.
+- Adjusted SCOI = SCOI × ERF.
+- Placement by Adjusted SCOI:
+${bandLines(policy)}
+${frameworkSection(passages)}
+The audit (JSON):
+${JSON.stringify(auditContext(audit), null, 2)}
+
+Answer from the audit, the logic and the framework passages above. Show the arithmetic when a question is about scores,
+say plainly when the audit does not contain the information, and do not invent new scores.
+Keep answers concise.
+`;
+}
+
+/**
+ * Ask `question` on `thread` (an AuditThread document) about `audit`. Appends
+ * the question and the answer to thread.messages (the caller saves) and
+ * returns the assistant message.
+ */
+export async function askFollowUp(thread, audit, question, { policy, llm = getLLMProvider() }) {
+  let passages = [];
+  try {
+    passages = await searchFramework(question, { limit: FRAMEWORK_PASSAGES });
+  } catch (err) {
+    console.error("[auditThreads] framework retrieval failed:", err && (err.stack || err));
+  }
+
+  const history = thread.messages
+    .slice(-HISTORY_MESSAGES)
+    .map((m) => ({ role: m.role, content: m.content }));
+
+  const result = await llm.complete({
+    system: threadSystemPrompt(audit, policy, passages),
+    messages: [...history, { role: "user", content: question }],
+    temperature: 0.3,
+  });
+
+  const now = new Date();
+  thread.messages.push({ role: "user", content: question, createdAt: now });
+  thread.messages.push({
+    role: "assistant",
+    content: String(result.text || "").trim() || "No answer was produced.",
+    model: result.model || llm.defaultModel,
+    usage: {
+      promptTokens: result.usage ? result.usage.promptTokens : null,
+      completionTokens: result.usage ? result.usage.completionTokens : null,
+    },
+    createdAt: new Date(),
+  });
+  return thread.messages[thread.messages.length - 1];
+}
@@ -1,72 +1,14 @@
 // utils/autoFetchAndScore.js
-import { TavilyClient } from "tavily";
-import fs from "fs";
-import path from "path";
-
-const tavily = new TavilyClient({
-  apiKey: process.env.TAVILY_API_KEY || "your_tavily_key_here",
-});
-
-// ----------------------
-// 🔹 Load CRIPFCnt Logic
-// ----------------------
-const logicPath = path.join(process.cwd(), "data", "cripfcnt.txt");
-let cripfLogic = "";
-try {
-  cripfLogic = fs.readFileSync(logicPath, "utf8");
-  console.log("✅ Loaded CRIPFCnt logic from data/cripfcnt.txt");
-} catch (err) {
-  console.warn("⚠️ Could not read cripfcnt.txt:", err.message);
-}
-
-// ----------------------
-// 🔹 Parse exemplars from the logic file (e.g., “Marketing”)
-// ----------------------
-function parseExemplars(text) {
-  const exemplars = {};
-  const sectionRe = /CRIPFCnt SCOI Audit\s*—\s*[“"]?([^"\n(]+)[”"]?.*?\n([\s\S]*?)(?=\n⸻|\n-{3,}|\n?#|\n?CRIPFCnt SCOI Audit|$)/g;
-  let m;
-  while ((m = sectionRe.exec(text)) !== null) {
-    const name = m[1].trim();
-    const body = m[2];
-
-    const vis = /Visibility[^:]*[:—-]\s*(\d+(?:\.\d+)?)\s*\/\s*10/i.exec(body)?.[1];
-    const con = /Contribution[^:]*[:—-]\s*(\d+(?:\.\d+)?)\s*\/\s*10/i.exec(body)?.[1];
-    const erf = /ERF[^:\d]*:\s*(\d+(?:\.\d+)?)/i.exec(body)?.[1];
-
-    if (vis && con && erf) {
-      const visibility = +vis, contribution = +con, ERF = +erf;
-      const rawSCOI = +(contribution / visibility).toFixed(3);
-      const adjustedSCOI = +(rawSCOI * ERF).toFixed(3);
-      const interpretation = /Interpretation[^:]*:\s*([\s\S]*?)(?=\n⸻|\n\d️⃣|$)/i.exec(body)?.[1]?.trim() || "";
-      const commentary = /Final CRIPFCnt Commentary[^:]*:\s*([\s\S]*?)(?=\n⸻|\n\d️⃣|$)/i.exec(body)?.[1]?.trim() || "";
-      exemplars[name.toLowerCase()] = {
-        entity: name,
-        visibility, contribution, ERF,
-        rawSCOI, adjustedSCOI,
-        interpretation, commentary,
-        placementLevel:
-          adjustedSCOI > 1.0 ? "Silent Over-Contributor" :
-          adjustedSCOI >= 0.95 ? "Balanced Axis" : "Grid Performer",
-        source: "CRIPFCnt exemplar"
-      };
-    }
-  }
-  return exemplars;
-}
-const EXEMPLARS = parseExemplars(cripfLogic);
-
-// ----------------------
-// 🔹 Setup Cache
-// ----------------------
-const cachePath = path.join(process.cwd(), "data", "cache.json");
-if (!fs.existsSync(cachePath)) fs.writeFileSync(cachePath, "{}");
-let cache = {};
-try {
-  cache = JSON.parse(fs.readFileSync(cachePath, "utf8") || "{}");
-} catch {
-  cache = {};
-}
+import { computeSCOI, getActivePolicy } from "./scoringPolicy.js";
+import { getLLMProvider } from "./llm/index.js";
+import { fetchContext } from "./context/index.js";
+import { getCachedAudit, setCachedAudit } from "./auditCache.js";
+import { normalizeEntityKey } from "./normalizeEntity.js";
+import { findExemplar } from "./exemplars.js";
+import { buildAuditPrompt } from "./promptTemplates.js";
+import { auditSources, payloadCitations } from "./citations.js";
+import { SECTOR_KEYS } from "./sectors.js";
+import { DEFAULT_LANGUAGE } from "./languages.js";
 
 // ----------------------
 // 🔹 JSON Schema for model
@@ -79,7 +21,9 @@ const jsonSchema = {
       "visibility","visibilityRationale",
       "contribution","contributionRationale",
       "erf","erfRationale",
-      "scoiInterpretation","commentary"
+      "scoiInterpretation","commentary",
+      "visibilitySources","contributionSources","erfSources","commentarySources",
+      "sector"
     ],
     properties: {
       visibility: { type: "number", minimum: 0, maximum: 10 },
@@ -89,7 +33,18 @@ const jsonSchema = {
       contributionRationale: { type: "string" },
       erfRationale: { type: "string" },
       scoiInterpretation: { type: "string" },
-      commentary: { type: "string" }
+      commentary: { type: "string" },
+      // [n] numbers of the context sources behind each claim (utils/citations.js)
+      visibilitySources: { type: "array", items: { type: "integer", minimum: 1 } },
+      contributionSources: { type: "array", items: { type: "integer", minimum: 1 } },
+      erfSources: { type: "array", items: { type: "integer", minimum: 1 } },
+      commentarySources: { type: "array", items: { type: "integer", minimum: 1 } },
+      // suggested sector (utils/sectors.js); analysts can reassign it
+      sector: {
+        type: "string",
+        enum: SECTOR_KEYS,
+        description: "Industry sector of the entity; \"individual\" for people, \"concept\" for ideas, theories and terms, \"other\" when none fits"
+      }
     },
     additionalProperties: false
   },
@@ -97,129 +52,121 @@ const jsonSchema = {
 };
 
 /**
- * Generate SCOI-style audit using CRIPFCnt methodology
- * Deterministic + Framework-anchored version
+ * Validate a model payload against the CRIPFCntSCOI schema ranges.
+ * Throws (err.status = 502) instead of silently defaulting, so callers of the
+ * JSON endpoint never receive invented numbers. Only the structure is
+ * checked: citations of sources that were not retrieved are dropped and
+ * recorded by payloadCitations, as for streamed audits.
  */
-export default async function autoFetchAndScore(entity, openai) {
-  console.log(`🔍 Running CRIPFCnt SCOI audit for: ${entity}`);
-  const key = entity.trim().toLowerCase();
+export function validateScoiPayload(data) {
+  const problems = [];
+  if (!data || typeof data !== "object") {
+    problems.push("payload is not an object");
+  } else {
+    const { properties, required } = jsonSchema.schema;
+    for (const field of required) {
+      const spec = properties[field];
+      const value = data[field];
+      if (spec.type === "number") {
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+          problems.push(`${field} must be a number`);
+        } else if (value < spec.minimum || value > spec.maximum) {
+          problems.push(`${field} must be between ${spec.minimum} and ${spec.maximum}`);
+        }
+      } else if (spec.type === "array") {
+        if (!Array.isArray(value) || !value.every((n) => Number.isInteger(n) && n >= spec.items.minimum)) {
+          problems.push(`${field} must be a list of source numbers`);
+        }
+      } else if (typeof value !== "string") {
+        problems.push(`${field} must be a string`);
+      } else if (spec.enum && !spec.enum.includes(value)) {
+        problems.push(`${field} must be one of ${spec.enum.join(", ")}`);
+      }
+    }
+    if (typeof data.visibility === "number" && data.visibility === 0) {
+      problems.push("visibility must be greater than 0");
+    }
+  }
 
-  // ✅ Return from cache if already analyzed
-  if (cache[entity]) {
-    console.log(`⚡ Returning cached SCOI for ${entity}`);
-    return cache[entity];
+  if (problems.length) {
+    const err = new Error(`Model returned an invalid SCOI payload: ${problems.join("; ")}`);
+    err.status = 502;
+    err.problems = problems;
+    throw err;
   }
+  return data;
+}
 
-  // ✅ Exact exemplar override (guaranteed canonical values)
-  if (EXEMPLARS[key]) {
-    cache[entity] = EXEMPLARS[key];
-    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
-    return EXEMPLARS[key];
+/**
+ * Generate SCOI-style audit using CRIPFCnt methodology
+ * Deterministic + Framework-anchored version
+ *
+ * options.llm          provider from utils/llm (defaults to LLM_PROVIDER)
+ * options.forceRefresh skip the cache and re-run the model
+ * options.language     output language of the prose (utils/languages.js)
+ */
+export default async function autoFetchAndScore(entity, { llm = getLLMProvider(), forceRefresh = false, language = DEFAULT_LANGUAGE } = {}) {
+  console.log(`🔍 Running CRIPFCnt SCOI audit for: ${entity}`);
+  const key = normalizeEntityKey(entity);
+
+  // ✅ Exact exemplar override (guaranteed canonical values). Exemplar prose is
+  // curated in English only, so other languages get a regular audit.
+  const policy = await getActivePolicy();
+  const exemplar = language === DEFAULT_LANGUAGE ? await findExemplar(key, policy) : null;
+  if (exemplar) return { ...exemplar, language: DEFAULT_LANGUAGE };
+
+  // ✅ Return from cache if already analyzed (and not expired)
+  if (!forceRefresh) {
+    const cached = await getCachedAudit(key, language);
+    if (cached) {
+      console.log(`⚡ Returning cached SCOI for ${entity}`);
+      return { ...cached, cached: true };
+    }
   }
 
   // ----------------------
   // 🔹 Fetch context (optional, helps for companies/books)
   // ----------------------
-  let tavilyResults;
-  try {
-    tavilyResults = await tavily.search({
-      query: entity,
-      search_depth: "advanced",
-      max_results: 5,
-    });
-  } catch (error) {
-    console.error("❌ Tavily fetch failed:", error.message);
-  }
-
-  const webText =
-    tavilyResults?.results
-      ?.map((r) => `${r.title}\n${r.snippet}`)
-      .join("\n\n") || "No search results available.";
+  const context = await fetchContext(entity);
+  const webText = context.text;
 
   // ----------------------
-  // 🔹 AI Prompt (Anchored, deterministic, JSON-only)
+  // 🔹 AI Prompt (versioned template, anchored, JSON-only)
   // ----------------------
-  const systemPrompt = `
-You are the official CRIPFCnt SCOI computation model (Donald Mataranyika Axis Framework).
-Use the CRIPFCnt logic below as the ONLY authority for scores, ratios, tone, and placement.
-
---- CRIPFCnt LOGIC (verbatim) ---
-${cripfLogic}
---- END LOGIC ---
-
-Calibration anchors (must inform outputs):
-- Marketing: Visibility=9, Contribution=5, ERF=1.1 → Adjusted≈0.605.
-- Law: Visibility=7, Contribution=6, ERF=0.90 → Adjusted≈0.77.
-- Corporate Governance: Visibility=9, Contribution=6, ERF=1.2 → Adjusted≈0.80.
-
-Guardrails:
-- High visibility ≠ high contribution by default.
-- Prefer conservative contribution for performative/visibility-heavy domains.
-- Output JSON only per schema.
-`;
-
-  const userPrompt = `
-Perform a CRIPFCnt SCOI Audit for: "${entity}"
-
-Context (neutral; optional to cite):
-${webText}
-
-Return ONLY JSON with fields:
-visibility, visibilityRationale,
-contribution, contributionRationale,
-erf, erfRationale,
-scoiInterpretation, commentary.
-`;
+  const prompt = await buildAuditPrompt("structured", { entity, context: webText, policy, language });
 
   // ----------------------
   // 🔹 Generate AI Response (deterministic + schema-locked)
   // ----------------------
-  const response = await openai.responses.create({
-    model: "gpt-4o-mini",
+  const response = await llm.complete({
+    system: prompt.system,
+    messages: [{ role: "user", content: prompt.user }],
     temperature: 0,
-    top_p: 0.05,
-    seed: 42,
-    response_format: { type: "json_schema", json_schema: jsonSchema },
-    input: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ],
+    topP: 0.05,
+    jsonSchema,
   });
 
-  const raw = response.output?.[0]?.content?.[0]?.text || "{}";
+  const raw = response.text || "";
 
   let data;
   try {
     data = JSON.parse(raw);
   } catch {
-    data = {
-      visibility: 8.5,
-      contribution: 7.5,
-      erf: 1.1,
-      visibilityRationale: "Defaulted due to parse failure.",
-      contributionRationale: "Defaulted due to parse failure.",
-      erfRationale: "Defaulted due to parse failure.",
-      scoiInterpretation: "Defaulted due to parse failure.",
-      commentary: "Defaulted due to parse failure."
-    };
+    const err = new Error("Model response was not valid JSON");
+    err.status = 502;
+    throw err;
   }
+  const sources = auditSources(context.results);
+  validateScoiPayload(data);
+  const { citations, invalid, uncited } = payloadCitations(data, sources.length);
 
   // ----------------------
   // 🔹 Authoritative math + placement
   // ----------------------
   const visibility = Number(data.visibility);
   const contribution = Number(data.contribution);
-  const ERF = Number(data.erf);
-
-  const rawSCOI = +(contribution / visibility).toFixed(3);
-  const adjustedSCOI = +(rawSCOI * ERF).toFixed(3);
-
-  const placementLevel =
-    adjustedSCOI > 1.0
-      ? "Silent Over-Contributor"
-      : adjustedSCOI >= 0.95
-      ? "Balanced Axis"
-      : "Grid Performer";
+  const { ERF, rawSCOI, adjustedSCOI, placementLevel, policyVersion } =
+    computeSCOI(visibility, contribution, Number(data.erf), policy);
 
   // ----------------------
   // 🔹 Build final object
@@ -232,20 +179,31 @@ scoiInterpretation, commentary.
     rawSCOI,
     adjustedSCOI,
     placementLevel,
+    policyVersion,
     interpretation: data.scoiInterpretation?.trim() || "",
     commentary: data.commentary?.trim() || "",
     visibilityRationale: data.visibilityRationale?.trim() || "",
     contributionRationale: data.contributionRationale?.trim() || "",
     ERFRationale: data.erfRationale?.trim() || "",
-    urls: tavilyResults?.results?.map((r) => r.url) || [],
-    source: "tavily + CRIPFCnt logic (anchored)"
+    sector: data.sector,
+    language,
+    urls: context.urls,
+    sources,
+    citations,
+    citationProblems: [...invalid, ...uncited],
+    contextProvider: context.provider,
+    contextError: context.error,
+    source: `${context.provider} + CRIPFCnt logic (anchored)`,
+    provider: llm.name,
+    model: response.model,
+    usage: response.usage || null,
+    promptVersion: prompt.promptVersion
   };
 
   // ----------------------
   // 🔹 Cache for future use
   // ----------------------
-  cache[entity] = result;
-  fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+  await setCachedAudit(key, entity, result, language);
 
   return result;
 }
@@ -0,0 +1,217 @@
+/**
+ * batchRunner.js
+ * Background worker for batch audits (models/auditBatch.js). Batches run one
+ * at a time, in-process; within a batch up to BATCH_CONCURRENCY entities are
+ * scored at once through the structured scorer. Progress is written to the
+ * batch document after every entity, so a restart resumes where it stopped
+ * (see resumeBatches).
+ */
+import AuditBatch from "../models/auditBatch.js";
+import User from "../models/user.js";
+import { runStructuredAudit } from "./structuredAudit.js";
+import { normalizeEntityKey } from "./normalizeEntity.js";
+
+export function getBatchConcurrency() {
+  const n = parseInt(process.env.BATCH_CONCURRENCY || "3", 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 1), 10) : 3;
+}
+
+export function getBatchMaxEntities() {
+  const n = parseInt(process.env.BATCH_MAX_ENTITIES || "500", 10);
+  return Number.isFinite(n) && n > 0 ? n : 500;
+}
+
+// one CSV line -> cells (double-quoted cells may contain commas and "")
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map((c) => c.trim());
+}
+
+const HEADER_RE = /^(entity|name|organi[sz]ation|company)$/i;
+
+/**
+ * Entity names from an uploaded list. Plain lists are one entity per line;
+ * CSV (`csv: true`, or a recognised header row) takes the entity/name/
+ * organization/company column, else the first column. Blank lines are
+ * skipped and duplicates (by normalized key) dropped.
+ *
+ * Returns { entities, duplicates, truncated }.
+ */
+export function parseEntityList(text, { csv = false, max = getBatchMaxEntities() } = {}) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+  let column = 0;
+
+  const header = parseCsvLine(lines[0] || "");
+  const headerIndex = header.findIndex((c) => HEADER_RE.test(c));
+  if (headerIndex !== -1) {
+    csv = true;
+    column = headerIndex;
+    lines.shift();
+  }
+
+  const seen = new Set();
+  const entities = [];
+  let duplicates = 0;
+  let truncated = 0;
+  for (const line of lines) {
+    const entity = (csv ? parseCsvLine(line)[column] || "" : line).trim();
+    if (!entity) continue;
+    const key = normalizeEntityKey(entity);
+    if (!key) continue;
+    if (seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    if (entities.length >= max) {
+      truncated++;
+      continue;
+    }
+    seen.add(key);
+    entities.push({ entity: entity.slice(0, 800), key });
+  }
+  return { entities, duplicates, truncated };
+}
+
+const queue = [];
+let draining = false;
+
+export function enqueueBatch(batchId) {
+  const id = String(batchId);
+  if (!queue.includes(id)) queue.push(id);
+  drain();
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.length) {
+      const id = queue.shift();
+      try {
+        await runBatch(id);
+      } catch (err) {
+        console.error("[batchRunner] batch error:", id, err && (err.stack || err));
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+async function runItem(batchId, item, user, forceRefresh) {
+  const where = { _id: batchId, "items._id": item._id };
+  await AuditBatch.updateOne(where, { $set: { "items.$.status": "running", "items.$.startedAt": new Date() } });
+
+  try {
+    const { audit, result } = await runStructuredAudit(item.entity, { user, forceRefresh, batch: batchId });
+    await AuditBatch.updateOne(where, {
+      $set: {
+        "items.$.status": "done",
+        "items.$.audit": audit._id,
+        "items.$.cached": !!result.cached,
+        "items.$.visibility": result.visibility,
+        "items.$.contribution": result.contribution,
+        "items.$.ERF": result.ERF,
+        "items.$.rawSCOI": result.rawSCOI,
+        "items.$.adjustedSCOI": result.adjustedSCOI,
+        "items.$.placementLevel": result.placementLevel,
+        "items.$.error": null,
+        "items.$.finishedAt": new Date(),
+      },
+      $inc: { done: 1 },
+    });
+  } catch (err) {
+    console.error(`[batchRunner] "${item.entity}" failed:`, err && (err.stack || err));
+    await AuditBatch.updateOne(where, {
+      $set: {
+        "items.$.status": "error",
+        "items.$.error": String(err.message || err),
+        "items.$.finishedAt": new Date(),
+      },
+      $inc: { failed: 1 },
+    });
+  }
+}
+
+async function runBatch(batchId) {
+  const batch = await AuditBatch.findById(batchId)
+    .select("status createdBy forceRefresh startedAt items._id items.entity items.status")
+    .lean();
+  if (!batch || !["queued", "running"].includes(batch.status)) return;
+
+  const user = await User.findById(batch.createdBy).lean();
+  const pending = batch.items.filter((i) => i.status === "pending" || i.status === "running");
+  await AuditBatch.updateOne(
+    { _id: batchId },
+    { $set: { status: "running", startedAt: batch.startedAt || new Date() } }
+  );
+  console.log(`[batchRunner] batch ${batchId}: ${pending.length} entities, concurrency ${getBatchConcurrency()}`);
+
+  let next = 0;
+  let cancelled = false;
+  async function worker() {
+    while (!cancelled && next < pending.length) {
+      const item = pending[next++];
+      const current = await AuditBatch.findById(batchId).select("status").lean();
+      if (!current || current.status === "cancelled") {
+        cancelled = true;
+        break;
+      }
+      await runItem(batchId, item, user, batch.forceRefresh);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(getBatchConcurrency(), pending.length) }, worker));
+
+  if (!cancelled) {
+    await AuditBatch.updateOne(
+      { _id: batchId, status: "running" },
+      { $set: { status: "completed", finishedAt: new Date() } }
+    );
+  }
+  console.log(`[batchRunner] batch ${batchId} ${cancelled ? "cancelled" : "completed"}`);
+}
+
+/**
+ * Re-queue batches left queued or running by a restart. Entities that were
+ * mid-flight are run again.
+ */
+export async function resumeBatches() {
+  try {
+    await AuditBatch.updateMany(
+      { status: { $in: ["queued", "running"] } },
+      { $set: { "items.$[i].status": "pending" } },
+      { arrayFilters: [{ "i.status": "running" }] }
+    );
+    const batches = await AuditBatch.find({ status: { $in: ["queued", "running"] } })
+      .sort({ createdAt: 1 })
+      .select("_id")
+      .lean();
+    for (const b of batches) enqueueBatch(b._id);
+    if (batches.length) console.log(`[batchRunner] resumed ${batches.length} batch(es)`);
+  } catch (err) {
+    console.error("[batchRunner] resume error:", err && (err.stack || err));
+  }
+}
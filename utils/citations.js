@@ -0,0 +1,103 @@
+/**
+ * citations.js
+ * Per-claim source citations. The retrieved context (utils/context) is
+ * numbered [1]..[n] in the prompt; the model cites those numbers for each
+ * rationale (structured audits: `*Sources` arrays, streamed audits: [n]
+ * markers in each section). The numbered sources and their snippets are
+ * stored on the Audit so reviewers can check every claim.
+ */
+import { splitSections } from "./scoiVerify.js";
+
+const SNIPPET_LENGTH = 600;
+
+// dimension key -> structured JSON field, streamed-text section
+export const CITED_CLAIMS = [
+  { key: "visibility", label: "Visibility", field: "visibilitySources", section: 1 },
+  { key: "contribution", label: "Contribution", field: "contributionSources", section: 2 },
+  { key: "ERF", label: "ERF", field: "erfSources", section: 4 },
+  { key: "commentary", label: "Commentary", field: "commentarySources", section: 6 },
+];
+
+/**
+ * Context results -> [{ n, title, url, snippet }], numbered as in the prompt.
+ */
+export function auditSources(results = []) {
+  return results.map((r, i) => {
+    const snippet = String(r.snippet || "").replace(/\s+/g, " ").trim();
+    return {
+      n: i + 1,
+      title: String(r.title || "").trim() || String(r.url || ""),
+      url: String(r.url || ""),
+      snippet: snippet.length > SNIPPET_LENGTH ? `${snippet.slice(0, SNIPPET_LENGTH - 1)}…` : snippet,
+    };
+  });
+}
+
+/**
+ * Every [n] / [n, m] marker in text, in order of first use.
+ */
+export function citationMarkers(text) {
+  const seen = new Set();
+  for (const m of String(text || "").matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const n of m[1].split(",")) seen.add(parseInt(n, 10));
+  }
+  return [...seen];
+}
+
+/**
+ * claims: { [key]: [n, ...] }. Keeps the indices that exist and reports the
+ * rest. Returns { citations, invalid, uncited } where `invalid` lists
+ * "Visibility cites [7], but only 5 sources were retrieved" style problems
+ * and `uncited` the claims without a source although sources were available.
+ */
+export function checkCitations(claims, sourceCount) {
+  const citations = {};
+  const invalid = [];
+  const uncited = [];
+  for (const { key, label } of CITED_CLAIMS) {
+    const wanted = [...new Set((claims[key] || []).map(Number))];
+    const bad = wanted.filter((n) => !Number.isInteger(n) || n < 1 || n > sourceCount);
+    citations[key] = wanted.filter((n) => !bad.includes(n)).sort((a, b) => a - b);
+    if (bad.length) {
+      invalid.push(`${label} cites ${bad.map((n) => `[${n}]`).join("")}, but only ${sourceCount} source${sourceCount === 1 ? " was" : "s were"} retrieved`);
+    } else if (sourceCount > 0 && !citations[key].length) {
+      uncited.push(`${label} cites no source`);
+    }
+  }
+  return { citations, invalid, uncited };
+}
+
+/**
+ * Citations of a structured model payload (the `*Sources` arrays).
+ */
+export function payloadCitations(data, sourceCount) {
+  const claims = Object.fromEntries(CITED_CLAIMS.map((c) => [c.key, Array.isArray(data[c.field]) ? data[c.field] : []]));
+  return checkCitations(claims, sourceCount);
+}
+
+/**
+ * Citations of a streamed audit: the [n] markers in each numbered section.
+ */
+export function streamCitations(text, sourceCount) {
+  const sections = splitSections(text);
+  const claims = Object.fromEntries(CITED_CLAIMS.map((c) => [c.key, citationMarkers(sections[c.section])]));
+  return checkCitations(claims, sourceCount);
+}
+
+/**
+ * " [1][3]" for appending to a rationale ("" when nothing is cited).
+ */
+export function citationSuffix(indices) {
+  return indices && indices.length ? ` ${indices.map((n) => `[${n}]`).join("")}` : "";
+}
+
+/**
+ * Sources annotated with the claims that cite them, for footnote lists:
+ * [{ n, title, url, snippet, citedBy: ["Visibility", ...] }].
+ */
+export function footnotes(sources = [], citations = {}) {
+  return sources.map((s) => ({
+    ...s,
+    citedBy: CITED_CLAIMS.filter((c) => ((citations && citations[c.key]) || []).includes(s.n)).map((c) => c.label),
+  }));
+}
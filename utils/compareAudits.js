@@ -0,0 +1,84 @@
+/**
+ * compareAudits.js
+ * Lines up saved audits of several entities dimension by dimension for
+ * /api/audits/compare. Structured audits carry their rationales as
+ * fields; streamed audits only have text, so the matching numbered section
+ * (1️⃣ Visibility … 6️⃣ Commentary) stands in for the rationale.
+ */
+import { splitSections, SECTION_RE } from "./scoiVerify.js";
+import { citationSuffix } from "./citations.js";
+
+// dimension -> score field, rationale field, streamed-text section
+export const DIMENSIONS = [
+  { key: "visibility", label: "Visibility", score: "visibility", rationale: "visibilityRationale", section: 1 },
+  { key: "contribution", label: "Contribution", score: "contribution", rationale: "contributionRationale", section: 2 },
+  { key: "rawSCOI", label: "SCOI (Contribution ÷ Visibility)", score: "rawSCOI", rationale: "interpretation", section: 3 },
+  { key: "ERF", label: "Environmental Resilience Factor", score: "ERF", rationale: "ERFRationale", section: 4 },
+  { key: "adjustedSCOI", label: "Adjusted SCOI", score: "adjustedSCOI", rationale: null, section: 5 },
+  { key: "placementLevel", label: "Placement", score: "placementLevel", rationale: null, section: null },
+  { key: "commentary", label: "Commentary", score: null, rationale: "commentary", section: 6 },
+];
+
+// section body without its numbered heading line
+function sectionBody(sections, n) {
+  const block = sections[n];
+  if (!block) return "";
+  return block
+    .split("\n")
+    .filter((line, i) => !(i === 0 && SECTION_RE.test(line)))
+    .join("\n")
+    .replace(/^[\s⸻—-]+|[\s⸻—-]+$/g, "")
+    .trim();
+}
+
+function rationaleFor(audit, dim, sections) {
+  const field = dim.rationale ? String(audit[dim.rationale] || "").trim() : "";
+  // structured rationales carry their source numbers separately
+  if (field) return field + citationSuffix(audit.citations && audit.citations[dim.key]);
+  if (dim.section && sections) return sectionBody(sections, dim.section);
+  return "";
+}
+
+/**
+ * { [dimension key]: rationale text } for one saved audit, whichever mode it
+ * was run in (also used by the PDF export).
+ */
+export function auditRationales(audit) {
+  const sections = audit.mode === "stream" ? splitSections(audit.text) : null;
+  return Object.fromEntries(DIMENSIONS.map((dim) => [dim.key, rationaleFor(audit, dim, sections)]));
+}
+
+/**
+ * columns: [{ entity, audit }] where audit is a lean Audit (or null with
+ * `error` set, and `missing` when there is no saved audit to show). Returns { columns, rows } with one row per dimension:
+ *   { key, label, values: [..], rationales: [..], best }
+ * `best` is the column index with the highest numeric value (null if none).
+ */
+export function buildComparison(columns) {
+  const rationales = columns.map((c) => (c.audit ? auditRationales(c.audit) : null));
+
+  const rows = DIMENSIONS.map((dim) => {
+    const values = columns.map((c) => (c.audit && dim.score ? c.audit[dim.score] ?? null : null));
+    const texts = rationales.map((r) => (r ? r[dim.key] : ""));
+
+    let best = null;
+    values.forEach((v, i) => {
+      if (typeof v === "number" && (best === null || v > values[best])) best = i;
+    });
+    return { key: dim.key, label: dim.label, values, rationales: texts, best };
+  });
+
+  return {
+    columns: columns.map((c) => ({
+      entity: c.entity,
+      auditId: c.audit ? c.audit._id : null,
+      mode: c.audit ? c.audit.mode : null,
+      createdAt: c.audit ? c.audit.createdAt : null,
+      source: c.source || null,
+      policyVersion: c.audit ? c.audit.policyVersion ?? null : null,
+      error: c.error || null,
+      missing: !!c.missing,
+    })),
+    rows,
+  };
+}
@@ -0,0 +1,69 @@
+// utils/context/index.js
+// Pluggable web-context providers for grounding audits. Pick one with
+// CONTEXT_PROVIDER:
+//   tavily (default) — Tavily web search (TAVILY_API_KEY)
+//   local            — curated .txt/.md research files (CONTEXT_CORPUS_DIR)
+//   none             — no external context
+//
+// Every provider exposes:
+//   name
+//   search(query, { maxResults? }) -> [{ title, snippet, url }]
+// where `url` is a web URL or, for the local corpus, a file path.
+import createTavilyProvider from "./tavilyProvider.js";
+import createNoneProvider from "./noneProvider.js";
+import createLocalCorpusProvider from "./localCorpusProvider.js";
+
+const factories = {
+  tavily: createTavilyProvider,
+  local: createLocalCorpusProvider,
+  none: createNoneProvider,
+};
+
+// built lazily: .env is loaded after modules are imported
+const instances = new Map();
+
+export function getContextProvider(name) {
+  const key = String(name || process.env.CONTEXT_PROVIDER || "tavily").trim().toLowerCase();
+  const factory = factories[key];
+  if (!factory) {
+    throw new Error(`Unknown context provider "${key}" (expected one of: ${Object.keys(factories).join(", ")})`);
+  }
+  if (!instances.has(key)) instances.set(key, factory());
+  return instances.get(key);
+}
+
+/**
+ * Numbered plain-text block for prompts: "[1] Title\nsnippet\nSource: url".
+ */
+export function formatContext(results) {
+  if (!results || !results.length) return "No context available.";
+  return results
+    .map((r, i) => `[${i + 1}] ${r.title}\n${r.snippet}\nSource: ${r.url}`)
+    .join("\n\n");
+}
+
+/**
+ * Fetch context for an audit. Provider failures do not abort the audit, but
+ * they are logged and returned as `error` so callers can record them.
+ *
+ * Resolves to { provider, results, urls, text, error }.
+ */
+export async function fetchContext(query, { provider, maxResults = 5 } = {}) {
+  const ctx = getContextProvider(provider);
+  let results = [];
+  let error = null;
+  try {
+    results = await ctx.search(query, { maxResults });
+  } catch (err) {
+    error = String(err.message || err);
+    console.error(`❌ Context provider "${ctx.name}" failed:`, error);
+  }
+
+  return {
+    provider: ctx.name,
+    results,
+    urls: results.map((r) => r.url),
+    text: error ? `No context available (${ctx.name} error: ${error}).` : formatContext(results),
+    error,
+  };
+}
@@ -0,0 +1,65 @@
+// utils/context/localCorpusProvider.js
+// Context from our own curated research files: every .txt / .md file under
+// CONTEXT_CORPUS_DIR (default data/corpus) is split into passages and the
+// passages best matching the query are returned, with their file path as url.
+// Ranking is the shared BM25 passage index (utils/passageIndex.js).
+import fs from "fs";
+import path from "path";
+import { buildIndex, searchIndex } from "../passageIndex.js";
+
+const EXTENSIONS = new Set([".txt", ".md", ".markdown"]);
+const MAX_PASSAGE_CHARS = 800;
+const SNIPPET_CHARS = 600;
+
+function listFiles(dir) {
+  let out = [];
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return out;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out = out.concat(listFiles(full));
+    else if (EXTENSIONS.has(path.extname(entry.name).toLowerCase())) out.push(full);
+  }
+  return out;
+}
+
+export default function createLocalCorpusProvider({ dir = process.env.CONTEXT_CORPUS_DIR } = {}) {
+  const corpusDir = dir || path.join(process.cwd(), "data", "corpus");
+  let index = null;
+  let signature = "";
+
+  // (re)build the passage index whenever a file is added, removed or edited
+  function getIndex() {
+    const files = listFiles(corpusDir);
+    const sig = files.map((f) => `${f}:${fs.statSync(f).mtimeMs}`).join("|");
+    if (index && sig === signature) return index;
+
+    index = buildIndex(
+      files.map((file) => ({
+        source: path.relative(process.cwd(), file).split(path.sep).join("/"),
+        title: path.basename(file),
+        text: fs.readFileSync(file, "utf8"),
+      })),
+      { maxChars: MAX_PASSAGE_CHARS }
+    );
+    signature = sig;
+    return index;
+  }
+
+  return {
+    name: "local",
+
+    async search(query, { maxResults = 5 } = {}) {
+      return searchIndex(getIndex(), query, { limit: maxResults }).map(({ passage: p }) => ({
+        title: `${p.title} (passage ${p.n})`,
+        snippet: p.text.length > SNIPPET_CHARS ? `${p.text.slice(0, SNIPPET_CHARS)}…` : p.text,
+        url: p.id,
+      }));
+    },
+  };
+}
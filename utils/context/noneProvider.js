@@ -0,0 +1,10 @@
+// utils/context/noneProvider.js
+// No external context: audits rely on the CRIPFCnt logic alone.
+export default function createNoneProvider() {
+  return {
+    name: "none",
+    async search() {
+      return [];
+    },
+  };
+}
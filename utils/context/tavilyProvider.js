@@ -0,0 +1,30 @@
+// utils/context/tavilyProvider.js
+// Web context from the Tavily search API (TAVILY_API_KEY).
+import { TavilyClient } from "tavily";
+
+export default function createTavilyProvider({ apiKey = process.env.TAVILY_API_KEY } = {}) {
+  let client = null;
+
+  return {
+    name: "tavily",
+
+    async search(query, { maxResults = 5 } = {}) {
+      if (!apiKey) {
+        throw new Error("TAVILY_API_KEY is not set");
+      }
+      if (!client) client = new TavilyClient({ apiKey });
+
+      const response = await client.search({
+        query,
+        search_depth: "advanced",
+        max_results: maxResults,
+      });
+
+      return (response?.results || []).map((r) => ({
+        title: r.title || r.url,
+        snippet: r.content || r.snippet || "",
+        url: r.url,
+      }));
+    },
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * exemplars.js
+ * Calibration exemplars from the Exemplar collection: the exact-match
+ * override for structured audits and the anchor list in their prompt.
+ * Active exemplars are memoized briefly; admin edits call invalidateExemplars().
+ */
+import Exemplar from "../models/exemplar.js";
+import { computeSCOI, currentPolicy } from "./scoringPolicy.js";
+
+const CACHE_MS = 60 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+export function invalidateExemplars() {
+  cache = null;
+  cachedAt = 0;
+}
+
+export async function getActiveExemplars() {
+  if (cache && Date.now() - cachedAt < CACHE_MS) return cache;
+  cache = await Exemplar.find({ status: "active" }).sort({ entity: 1 }).lean();
+  cachedAt = Date.now();
+  return cache;
+}
+
+/**
+ * Audit result for an exemplar, in the shape autoFetchAndScore returns.
+ */
+export function exemplarResult(ex, policy = currentPolicy()) {
+  return {
+    entity: ex.entity,
+    visibility: ex.visibility,
+    contribution: ex.contribution,
+    ...computeSCOI(ex.visibility, ex.contribution, ex.ERF, policy),
+    interpretation: ex.interpretation || "",
+    commentary: ex.commentary || "",
+    source: "CRIPFCnt exemplar",
+    exemplarVersion: ex.version,
+  };
+}
+
+/**
+ * Active exemplar result for a normalized key, or null.
+ */
+export async function findExemplar(key, policy = currentPolicy()) {
+  const list = await getActiveExemplars();
+  const ex = list.find((e) => e.key === key);
+  return ex ? exemplarResult(ex, policy) : null;
+}
+
+/**
+ * Prompt lines: "- Marketing: Visibility=9, Contribution=5, ERF=1.1 → Adjusted≈0.612."
+ */
+export function formatAnchors(exemplars, policy = currentPolicy()) {
+  return exemplars
+    .map((ex) => {
+      const { adjustedSCOI } = computeSCOI(ex.visibility, ex.contribution, ex.ERF, policy);
+      return `- ${ex.entity}: Visibility=${ex.visibility}, Contribution=${ex.contribution}, ERF=${ex.ERF} → Adjusted≈${adjustedSCOI}.`;
+    })
+    .join("\n");
+}
+
+const VERSIONED_FIELDS = ["entity", "visibility", "contribution", "ERF", "interpretation", "commentary", "status"];
+
+/**
+ * Apply changes to an Exemplar document, snapshotting the previous state
+ * into history and bumping the version. Returns false when nothing changed.
+ * The caller saves the document.
+ */
+export function applyExemplarEdit(doc, changes, { user = null, note = "" } = {}) {
+  const changed = VERSIONED_FIELDS.filter((f) => changes[f] !== undefined && changes[f] !== doc[f]);
+  if (!changed.length) return false;
+
+  const snapshot = { version: doc.version, note: doc.note, editedBy: doc.updatedBy || doc.createdBy, editedAt: doc.updatedAt };
+  for (const f of VERSIONED_FIELDS) snapshot[f] = doc[f];
+  doc.history.push(snapshot);
+
+  for (const f of changed) doc[f] = changes[f];
+  doc.version += 1;
+  doc.note = note;
+  doc.updatedBy = user;
+  return true;
+}
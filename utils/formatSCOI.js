@@ -2,12 +2,25 @@
  * formatSCOI.js
  * Converts the raw SCOI JSON into the Nyaradzo-style markdown.
  */
+import { computeSCOI, currentPolicy } from "./scoringPolicy.js";
+import { citationSuffix } from "./citations.js";
+
+// numbered footnotes with their snippets; plain URL list for older results
+function sourceList(sources, urls) {
+  if (sources.length) {
+    return sources
+      .map((s) => `**[${s.n}]** ${s.title}${s.url && s.url !== s.title ? ` — ${s.url}` : ""}${s.snippet ? `  \n_“${s.snippet}”_` : ""}`)
+      .join("\n\n");
+  }
+  return urls.length ? urls.map((u, i) => `${i + 1}. ${u}`).join("\n") : "_No external references found._";
+}
 
 export function formatSCOI(result, entity) {
   const {
     visibility,
     contribution,
     ERF,
+    rawSCOI = computeSCOI(visibility, contribution, ERF).rawSCOI,
     adjustedSCOI,
     visibilityRationale,
     contributionRationale,
@@ -15,7 +28,10 @@ export function formatSCOI(result, entity) {
     ERFRationale,
     commentary,
     urls = [],
+    sources = [],
+    citations = {},
   } = result;
+  const { precision } = currentPolicy();
 
   return `
 ## 🔷 CRIPFCnt SCOI Audit — ${entity}
@@ -24,41 +40,41 @@ export function formatSCOI(result, entity) {
 
 ### 1️⃣ VISIBILITY
 **Score:** ${visibility?.toFixed(1) ?? "N/A"} / 10  
-**Rationale:** ${visibilityRationale || "No visibility rationale provided."}
+**Rationale:** ${visibilityRationale || "No visibility rationale provided."}${citationSuffix(citations.visibility)}
 
 ---
 
 ### 2️⃣ CONTRIBUTION
 **Score:** ${contribution?.toFixed(1) ?? "N/A"} / 10  
-**Rationale:** ${contributionRationale || "No contribution rationale provided."}
+**Rationale:** ${contributionRationale || "No contribution rationale provided."}${citationSuffix(citations.contribution)}
 
 ---
 
 ### 3️⃣ SCOI CALCULATION
 **Formula:** (Contribution ÷ Visibility)  
-**Result:** ${(contribution / visibility).toFixed(3)}  
+**Result:** ${rawSCOI.toFixed(precision)}  
 **Interpretation:** ${scoiInterpretation || "No interpretation provided."}
 
 ---
 
 ### 4️⃣ ENVIRONMENTAL RESILIENCE FACTOR (ERF)
 **Factor:** ${ERF?.toFixed(2) ?? "N/A"}  
-**Rationale:** ${ERFRationale || "No ERF rationale provided."}
+**Rationale:** ${ERFRationale || "No ERF rationale provided."}${citationSuffix(citations.ERF)}
 
 ---
 
 ### 5️⃣ ADJUSTED SCOI
-**Adjusted Result:** ${adjustedSCOI?.toFixed(3) ?? "N/A"}  
+**Adjusted Result:** ${adjustedSCOI?.toFixed(precision) ?? "N/A"}  
 *(SCOI × ERF adjustment)*
 
 ---
 
 ### 6️⃣ FINAL CRIPFCNT COMMENTARY
-${commentary || "No commentary available."}
+${commentary || "No commentary available."}${citationSuffix(citations.commentary)}
 
 ---
 
 ### 🔗 SOURCES
-${urls.length ? urls.map((u, i) => `${i + 1}. ${u}`).join("\n") : "_No external references found._"}
+${sourceList(sources, urls)}
   `;
 }
@@ -0,0 +1,65 @@
+/**
+ * frameworkExplainer.js
+ * Answers questions about the CRIPFCnt framework from retrieved passages
+ * (utils/frameworkIndex.js) only, with numbered [n] citations, instead of
+ * sending whole framework files with every prompt.
+ */
+import { getLLMProvider } from "./llm/index.js";
+import { searchFramework } from "./frameworkIndex.js";
+
+const NO_MATCH = "The CRIPFCnt framework documents do not cover this question.";
+
+function passageBlock(passages) {
+  return passages
+    .map((p, i) => `[${i + 1}] ${p.title}${p.heading ? ` — ${p.heading}` : ""}\n${p.text}`)
+    .join("\n\n");
+}
+
+// [n] markers used in the answer (1-based, within range)
+export function citedNumbers(answer, count) {
+  const used = new Set();
+  for (const m of String(answer || "").matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const n of m[1].split(",").map((s) => parseInt(s, 10))) {
+      if (n >= 1 && n <= count) used.add(n);
+    }
+  }
+  return used;
+}
+
+/**
+ * Resolves to { answer, citations: [{ n, passage, id, source, title, heading, text, score, cited }], model, usage }
+ * where `n` is the [n] marker and `passage` the passage number within its document.
+ * `cited` marks the passages the answer actually references. Pass `passages`
+ * when the caller already searched; with none the model is not called
+ * (model and usage are null).
+ */
+export async function explainFramework(question, { limit = 6, passages = null, llm = getLLMProvider() } = {}) {
+  if (!passages) passages = await searchFramework(question, { limit });
+  if (!passages.length) return { answer: NO_MATCH, citations: [], model: null, usage: null };
+
+  const system = `
+You explain the CRIPFCnt framework (Donald Mataranyika).
+Answer ONLY from the numbered passages below. After every claim, cite the passage(s) it comes from as [n].
+If the passages do not answer the question, reply exactly: "${NO_MATCH}"
+Be concise.
+
+--- PASSAGES ---
+${passageBlock(passages)}
+--- END PASSAGES ---
+`;
+
+  const result = await llm.complete({
+    system,
+    messages: [{ role: "user", content: question }],
+    temperature: 0,
+  });
+
+  const answer = String(result.text || "").trim() || NO_MATCH;
+  const used = citedNumbers(answer, passages.length);
+  return {
+    answer,
+    citations: passages.map(({ n: passage, ...p }, i) => ({ n: i + 1, passage, ...p, cited: used.has(i + 1) })),
+    model: result.model || llm.defaultModel,
+    usage: result.usage || null,
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * frameworkIndex.js
+ * Retrieval over the CRIPFCnt framework documents: the built-in
+ * data/cripfcnt*.txt files plus active admin uploads (models/frameworkDoc.js),
+ * indexed with the shared BM25 passage index (utils/passageIndex.js). The
+ * index is rebuilt when a file or upload changes.
+ */
+import fs from "fs";
+import path from "path";
+import FrameworkDoc from "../models/frameworkDoc.js";
+import { buildIndex, searchIndex } from "./passageIndex.js";
+
+export const BUILTIN_FILES = ["cripfcnt.txt", "cripfcntOG.txt", "cripfcnt - Copy.txt"];
+
+// how often the upload collection is checked for changes
+const CHECK_MS = 60 * 1000;
+
+let cached = { index: null, signature: "", checkedAt: 0 };
+
+function builtinPaths() {
+  const dir = path.join(process.cwd(), "data");
+  return BUILTIN_FILES.map((f) => path.join(dir, f)).filter((f) => fs.existsSync(f));
+}
+
+async function currentSignature() {
+  const files = builtinPaths().map((f) => `${f}:${fs.statSync(f).mtimeMs}`);
+  let uploads = [];
+  try {
+    uploads = await FrameworkDoc.find({ active: true }).select("_id updatedAt").sort({ _id: 1 }).lean();
+  } catch (err) {
+    console.error("[frameworkIndex] failed to list uploads:", err && (err.stack || err));
+  }
+  return [...files, ...uploads.map((d) => `${d._id}:${new Date(d.updatedAt).getTime()}`)].join("|");
+}
+
+async function loadDocs() {
+  const docs = builtinPaths().map((file) => ({
+    source: `data/${path.basename(file)}`,
+    title: path.basename(file),
+    text: fs.readFileSync(file, "utf8"),
+  }));
+  try {
+    const uploads = await FrameworkDoc.find({ active: true }).sort({ _id: 1 }).lean();
+    for (const d of uploads) docs.push({ source: `upload:${d._id}`, title: d.title, text: d.text });
+  } catch (err) {
+    console.error("[frameworkIndex] failed to load uploads:", err && (err.stack || err));
+  }
+  return docs;
+}
+
+export async function getFrameworkIndex() {
+  if (cached.index && Date.now() - cached.checkedAt < CHECK_MS) return cached.index;
+
+  const signature = await currentSignature();
+  if (!cached.index || signature !== cached.signature) {
+    const index = buildIndex(await loadDocs());
+    console.log(`[frameworkIndex] indexed ${index.passages.length} passages`);
+    cached = { index, signature, checkedAt: Date.now() };
+  } else {
+    cached.checkedAt = Date.now();
+  }
+  return cached.index;
+}
+
+// call after an upload is added, edited or removed
+export function invalidateFrameworkIndex() {
+  cached.checkedAt = 0;
+}
+
+/**
+ * [{ id, source, title, heading, n, text, score }] for `query`
+ */
+export async function searchFramework(query, { limit = 6 } = {}) {
+  const index = await getFrameworkIndex();
+  return searchIndex(index, query, { limit }).map(({ passage, score }) => ({
+    id: passage.id,
+    source: passage.source,
+    title: passage.title,
+    heading: passage.heading,
+    n: passage.n,
+    text: passage.text,
+    score: +score.toFixed(4),
+  }));
+}
+
+/**
+ * Prompt block for retrieved passages: "### heading (title)\ntext" per passage,
+ * unnumbered so they are not confused with [n] context citations.
+ */
+export function frameworkBlock(passages) {
+  return passages
+    .map((p) => `### ${p.heading ? `${p.heading} (${p.title})` : p.title}\n${p.text}`)
+    .join("\n\n");
+}
@@ -0,0 +1,60 @@
+/**
+ * languages.js
+ * Output languages for audits. The requester picks one per run; without a
+ * pick it follows the `locale` passport stored on the User ("fr-FR" -> fr),
+ * and English otherwise. Only the prose is translated: scores, formulas,
+ * JSON keys and [n] source markers stay as in English so parsing, scoring
+ * and citations work the same in every language.
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = Object.freeze([
+  { code: "en", label: "English", name: "English" },
+  { code: "sn", label: "chiShona", name: "Shona (chiShona)" },
+  { code: "nd", label: "isiNdebele", name: "Northern Ndebele (isiNdebele)" },
+  { code: "fr", label: "Français", name: "French" },
+  { code: "pt", label: "Português", name: "Portuguese" },
+]);
+
+export const LANGUAGE_CODES = LANGUAGES.map((l) => l.code);
+
+const byCode = Object.fromEntries(LANGUAGES.map((l) => [l.code, l]));
+
+/**
+ * Supported language code for a code or locale ("pt-BR", "fr_CA", "SN"),
+ * or null.
+ */
+export function normalizeLanguage(value) {
+  const base = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return byCode[base] ? base : null;
+}
+
+/**
+ * Language for a run: the requested one, else the user's locale, else
+ * English. Returns { language } or { error } when `requested` is given but
+ * not supported.
+ */
+export function resolveLanguage(requested, user) {
+  if (requested !== undefined && requested !== null && String(requested).trim() !== "") {
+    const language = normalizeLanguage(requested);
+    if (!language) return { error: `Unsupported language "${requested}"; use one of ${LANGUAGE_CODES.join(", ")}` };
+    return { language };
+  }
+  return { language: normalizeLanguage(user && user.locale) || DEFAULT_LANGUAGE };
+}
+
+/**
+ * System-prompt addendum for a non-English run ("" for English).
+ */
+export function languageInstruction(kind, language) {
+  const lang = byCode[language];
+  if (!lang || lang.code === DEFAULT_LANGUAGE) return "";
+  if (kind === "structured") {
+    return `Write every text field (the rationales, scoiInterpretation and commentary) in ${lang.name}. ` +
+      "JSON keys, numbers and the sector value stay exactly as the schema specifies.";
+  }
+  return `Write the audit prose (headings, rationales, interpretation and commentary) in ${lang.name}. ` +
+    "Keep these exactly as in the English format: the section numbers (1️⃣ to 6️⃣), scores written as \"N / 10\", " +
+    "the terms SCOI and ERF, every formula and number (with \".\" as the decimal point) and the [n] source markers.";
+}
@@ -0,0 +1,32 @@
+// utils/llm/index.js
+// Pluggable LLM provider layer used by every AI feature (streamed audits,
+// structured audits, ...). Pick the provider with LLM_PROVIDER:
+//   openai (default) — live OpenAI API (OPENAI_API_KEY, optional OPENAI_MODEL)
+//   stub             — offline fixture replay (see stubProvider.js)
+//
+// Every provider exposes the same interface:
+//   name, defaultModel
+//   complete({ system, messages, model?, temperature?, topP?, jsonSchema? })
+//     -> { text, model, usage: { promptTokens, completionTokens, totalTokens } }
+//   stream({ system, messages, model?, temperature? })
+//     -> async iterable of { delta } text chunks, then a final { usage }
+import createOpenAIProvider from "./openaiProvider.js";
+import createStubProvider from "./stubProvider.js";
+
+const factories = {
+  openai: createOpenAIProvider,
+  stub: createStubProvider,
+};
+
+// providers are built lazily: .env is loaded after modules are imported
+const instances = new Map();
+
+export function getLLMProvider(name) {
+  const key = String(name || process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+  const factory = factories[key];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${key}" (expected one of: ${Object.keys(factories).join(", ")})`);
+  }
+  if (!instances.has(key)) instances.set(key, factory());
+  return instances.get(key);
+}
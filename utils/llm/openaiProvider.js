@@ -0,0 +1,78 @@
+// utils/llm/openaiProvider.js
+// OpenAI adapter for the LLM provider interface (see utils/llm/index.js).
+import OpenAI from "openai";
+
+export const OPENAI_DEFAULT_MODEL = "gpt-4o-mini";
+
+function toMessages(system, messages) {
+  return [
+    ...(system ? [{ role: "system", content: system }] : []),
+    ...(messages || []),
+  ];
+}
+
+export default function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY, model } = {}) {
+  const client = new OpenAI({ apiKey });
+  const defaultModel = model || process.env.OPENAI_MODEL || OPENAI_DEFAULT_MODEL;
+
+  return {
+    name: "openai",
+    defaultModel,
+
+    async complete({ system, messages, model, temperature, topP, jsonSchema } = {}) {
+      const request = {
+        model: model || defaultModel,
+        input: toMessages(system, messages),
+      };
+      if (temperature !== undefined) request.temperature = temperature;
+      if (topP !== undefined) request.top_p = topP;
+      if (jsonSchema) {
+        request.text = {
+          format: {
+            type: "json_schema",
+            name: jsonSchema.name,
+            schema: jsonSchema.schema,
+            strict: jsonSchema.strict !== false,
+          },
+        };
+      }
+
+      const response = await client.responses.create(request);
+      const usage = response.usage || {};
+      return {
+        text: response.output_text || response.output?.[0]?.content?.[0]?.text || "",
+        model: response.model || request.model,
+        usage: {
+          promptTokens: usage.input_tokens || 0,
+          completionTokens: usage.output_tokens || 0,
+          totalTokens: usage.total_tokens || 0,
+        },
+      };
+    },
+
+    async *stream({ system, messages, model, temperature } = {}) {
+      const request = {
+        model: model || defaultModel,
+        stream: true,
+        stream_options: { include_usage: true },
+        messages: toMessages(system, messages),
+      };
+      if (temperature !== undefined) request.temperature = temperature;
+
+      const stream = await client.chat.completions.create(request);
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield { delta };
+        if (chunk.usage) {
+          yield {
+            usage: {
+              promptTokens: chunk.usage.prompt_tokens || 0,
+              completionTokens: chunk.usage.completion_tokens || 0,
+              totalTokens: chunk.usage.total_tokens || 0,
+            },
+          };
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,107 @@
+// utils/llm/stubProvider.js
+// Offline, deterministic LLM provider that replays canned completions from
+// fixture files, so audits can be developed and tested with no network or key.
+//
+// Fixtures live in data/llm-fixtures (override with LLM_FIXTURES_DIR), one JSON
+// file each:
+//   {
+//     "match":  ["econet", "econet holdings"],  // substrings of the last user message
+//     "stream": "1️⃣ Visibility — Score: 9 / 10 ...",  // streamed audits
+//     "json":   { "visibility": 9, ... },          // schema-locked (jsonSchema) calls
+//     "text":   "..."                               // any other completion
+//   }
+// `default.json` (no "match") answers everything else. "{{subject}}" in any
+// string is replaced with the first quoted phrase of the user message.
+import fs from "fs";
+import path from "path";
+
+const CHUNK_SIZE = 24;
+
+function loadFixtures(dir) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+  } catch (err) {
+    console.warn(`⚠️ LLM stub: cannot read fixtures in ${dir}:`, err.message);
+  }
+
+  const fixtures = [];
+  let fallback = null;
+  for (const file of files) {
+    try {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      fixture.file = file;
+      if (file === "default.json") fallback = fixture;
+      else fixtures.push(fixture);
+    } catch (err) {
+      console.warn(`⚠️ LLM stub: skipping invalid fixture ${file}:`, err.message);
+    }
+  }
+  return { fixtures, fallback };
+}
+
+function lastUserMessage(messages) {
+  const users = (messages || []).filter((m) => m.role === "user");
+  return users.length ? String(users[users.length - 1].content || "") : "";
+}
+
+function fill(value, subject) {
+  if (typeof value === "string") return value.split("{{subject}}").join(subject);
+  if (Array.isArray(value)) return value.map((v) => fill(v, subject));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, subject)]));
+  }
+  return value;
+}
+
+// rough token estimate so usage accounting has something to count
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export default function createStubProvider({ dir = process.env.LLM_FIXTURES_DIR } = {}) {
+  const fixturesDir = dir || path.join(process.cwd(), "data", "llm-fixtures");
+  const { fixtures, fallback } = loadFixtures(fixturesDir);
+
+  function pick(system, messages) {
+    const prompt = lastUserMessage(messages);
+    const lower = prompt.toLowerCase();
+    const subject = /["“]([^"”]+)["”]/.exec(prompt)?.[1] || "the entity";
+
+    const fixture =
+      fixtures.find((f) => (f.match || []).some((m) => lower.includes(String(m).toLowerCase()))) ||
+      fallback;
+    if (!fixture) {
+      throw new Error(`LLM stub: no fixture matches and no default.json in ${fixturesDir}`);
+    }
+    const promptTokens = estimateTokens(system) + (messages || []).reduce((n, m) => n + estimateTokens(m.content), 0);
+    return { fixture: fill(fixture, subject), promptTokens };
+  }
+
+  function usageFor(promptTokens, text) {
+    const completionTokens = estimateTokens(text);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  return {
+    name: "stub",
+    defaultModel: "stub-fixtures",
+
+    async complete({ system, messages, jsonSchema } = {}) {
+      const { fixture, promptTokens } = pick(system, messages);
+      const text = jsonSchema
+        ? JSON.stringify(fixture.json || {})
+        : fixture.text || fixture.stream || "";
+      return { text, model: `stub:${fixture.file}`, usage: usageFor(promptTokens, text) };
+    },
+
+    async *stream({ system, messages } = {}) {
+      const { fixture, promptTokens } = pick(system, messages);
+      const text = fixture.stream || fixture.text || "";
+      for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+        yield { delta: text.slice(i, i + CHUNK_SIZE) };
+      }
+      yield { usage: usageFor(promptTokens, text) };
+    },
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * llmUsage.js
+ * Token and cost accounting for model calls, and monthly budget caps.
+ *
+ * Every call is written to the LlmUsage ledger with its cost in USD, priced
+ * per million prompt / completion tokens (PRICING, overridable with
+ * LLM_PRICING='{"gpt-4o-mini":{"input":0.15,"output":0.6}}'). Caps are
+ * LLM_MONTHLY_BUDGET_USD for the whole platform and
+ * Organization.llmMonthlyBudgetUsd per organization; once a calendar month's
+ * (UTC) spend reaches a cap, new audits are refused.
+ */
+import LlmUsage from "../models/llmUsage.js";
+import Organization from "../models/organization.js";
+
+// USD per 1M tokens
+export const PRICING = Object.freeze({
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "o4-mini": { input: 1.1, output: 4.4 },
+  stub: { input: 0, output: 0 },
+});
+
+const SPEND_CACHE_MS = 60 * 1000;
+const spendCache = new Map(); // organization id | "all" -> { at, usd }
+const unpriced = new Set();
+
+function pricingTable() {
+  let overrides = {};
+  try {
+    overrides = process.env.LLM_PRICING ? JSON.parse(process.env.LLM_PRICING) : {};
+  } catch (err) {
+    console.error("[llmUsage] LLM_PRICING is not valid JSON:", err.message);
+  }
+  return { ...PRICING, ...overrides };
+}
+
+/**
+ * Price for a model name; dated snapshots ("gpt-4o-mini-2024-07-18") and
+ * stub fixtures ("stub:default.json") use the longest matching prefix. Null
+ * when the model is not priced.
+ */
+export function modelPricing(model) {
+  const table = pricingTable();
+  const name = String(model || "").toLowerCase();
+  if (table[name]) return table[name];
+  const prefix = Object.keys(table)
+    .filter((k) => name.startsWith(`${k}-`) || name.startsWith(`${k}:`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+export function costOf(model, usage) {
+  if (!usage) return 0;
+  const price = modelPricing(model);
+  if (!price) {
+    if (model && !unpriced.has(model)) {
+      unpriced.add(model);
+      console.warn(`[llmUsage] no pricing for model "${model}"; counting it as $0 (set LLM_PRICING)`);
+    }
+    return 0;
+  }
+  const usd = ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+  return +usd.toFixed(6);
+}
+
+/**
+ * Write one call to the ledger. Never throws: accounting must not fail an
+ * audit. Resolves to { usage, costUsd } for the caller to store alongside.
+ */
+export async function recordUsage({ kind, usage, model, provider = null, audit = null, user = null, organization }) {
+  const totals = {
+    promptTokens: (usage && usage.promptTokens) || 0,
+    completionTokens: (usage && usage.completionTokens) || 0,
+    totalTokens: (usage && usage.totalTokens) || 0,
+  };
+  if (!totals.totalTokens) totals.totalTokens = totals.promptTokens + totals.completionTokens;
+  const costUsd = costOf(model, totals);
+
+  try {
+    await LlmUsage.create({
+      kind,
+      audit: audit || null,
+      user: user ? user._id || user : null,
+      organization: organization !== undefined ? organization : (user && user.organization) || null,
+      provider,
+      model,
+      ...totals,
+      costUsd,
+    });
+  } catch (err) {
+    console.error("[llmUsage] failed to record usage:", err && (err.stack || err));
+  }
+  return { usage: totals, costUsd };
+}
+
+export function monthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function nextMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * USD spent this calendar month (UTC), platform-wide or for one organization.
+ * Memoized for a minute, so caps are enforced slightly after they are reached.
+ */
+export async function monthlySpend(organization = null) {
+  const key = organization ? String(organization) : "all";
+  const hit = spendCache.get(key);
+  if (hit && Date.now() - hit.at < SPEND_CACHE_MS) return hit.usd;
+
+  const match = { createdAt: { $gte: monthStart() } };
+  if (organization) match.organization = organization;
+  const [row] = await LlmUsage.aggregate([{ $match: match }, { $group: { _id: null, usd: { $sum: "$costUsd" } } }]);
+  const usd = row ? +row.usd.toFixed(6) : 0;
+  spendCache.set(key, { at: Date.now(), usd });
+  return usd;
+}
+
+export function getGlobalBudget() {
+  const usd = Number(process.env.LLM_MONTHLY_BUDGET_USD || 0);
+  return Number.isFinite(usd) && usd > 0 ? usd : null;
+}
+
+function overBudget(scope, spentUsd, budgetUsd) {
+  const resetAt = nextMonthStart();
+  const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || "support@cripfcnt.com";
+  const who = scope === "organization" ? "Your organization's" : "The platform's";
+  return {
+    ok: false,
+    status: 402,
+    body: {
+      error: "Monthly AI budget reached",
+      message: `${who} monthly AI budget of $${budgetUsd.toFixed(2)} has been used ($${spentUsd.toFixed(2)} spent). New audits resume on ${resetAt.toISOString().slice(0, 10)} (UTC) or when the budget is raised; contact ${SUPPORT_EMAIL}.`,
+      scope,
+      spentUsd,
+      budgetUsd,
+      resetAt: resetAt.toISOString(),
+      support: SUPPORT_EMAIL,
+    },
+  };
+}
+
+/**
+ * Resolves to { ok: true } or { ok: false, status: 402, body } when the
+ * platform or the user's organization has used its monthly budget.
+ */
+export async function checkBudget(user) {
+  const globalBudget = getGlobalBudget();
+  if (globalBudget) {
+    const spent = await monthlySpend();
+    if (spent >= globalBudget) return overBudget("platform", spent, globalBudget);
+  }
+
+  const orgId = user && user.organization;
+  if (orgId) {
+    const org = await Organization.findById(orgId).select("llmMonthlyBudgetUsd").lean();
+    const budget = org && org.llmMonthlyBudgetUsd;
+    if (budget > 0) {
+      const spent = await monthlySpend(orgId);
+      if (spent >= budget) return overBudget("organization", spent, budget);
+    }
+  }
+  return { ok: true };
+}
+
+/**
+ * checkBudget for code paths without a response to write (batches, watches):
+ * throws (err.status = 402) when over budget.
+ */
+export async function assertBudget(user) {
+  const check = await checkBudget(user);
+  if (check.ok) return;
+  const err = new Error(check.body.message);
+  err.status = check.status;
+  throw err;
+}
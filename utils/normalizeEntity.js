@@ -0,0 +1,17 @@
+/**
+ * normalizeEntity.js
+ * Canonical lookup key for an audited entity, so "Econet", " econet "
+ * and "“Econet”" all resolve to the same audit history.
+ */
+
+export function normalizeEntityKey(entity) {
+  if (!entity) return "";
+
+  return String(entity)
+    .normalize("NFKC")
+    .replace(/[\u200B-\u200D\uFEFF]/g, "") // zero-width characters
+    .replace(/[“”"‘’'`]/g, "")             // surrounding / stray quotes
+    .replace(/\s+/g, " ")                  // collapse whitespace
+    .trim()
+    .toLowerCase();
+}
@@ -0,0 +1,120 @@
+/**
+ * passageIndex.js
+ * The one passage ranker behind framework retrieval (utils/frameworkIndex.js)
+ * and the local context corpus (utils/context/localCorpusProvider.js):
+ * documents are split into passages and ranked against a query with BM25.
+ * Identical passages (the data folder holds copies) are indexed once.
+ */
+
+const DEFAULT_CHUNK_CHARS = 900;
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  "a an and are as at be by for from has have in is it its of on or that the this to was were will with".split(" ")
+);
+
+// "CRIPFCnt SCOI Audit — Marketing (...)" or a markdown heading starts a new section
+const HEADING_RE = /SCOI Audit\s*[—–-]|^#{1,3}\s+\S/;
+
+export function tokenize(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * text -> [{ heading, text }] passages of up to ~maxChars, split on blank
+ * lines and ⸻ rules. Passages never straddle two sections; `heading` is the
+ * audit / section the passage belongs to (null before the first one).
+ */
+export function chunkDocument(text, { maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const blocks = String(text || "")
+    .replace(/\r/g, "")
+    .split(/\n\s*⸻\s*\n|\n\s*\n/)
+    .map((b) => b.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let heading = null;
+  let current = "";
+  const flush = () => {
+    if (current) chunks.push({ heading, text: current });
+    current = "";
+  };
+
+  for (const block of blocks) {
+    const firstLine = block.split("\n", 1)[0].trim();
+    if (HEADING_RE.test(firstLine)) {
+      flush();
+      heading = firstLine.replace(/^#+\s*/, "");
+    }
+    if (current && current.length + block.length > maxChars) flush();
+    current = current ? `${current}\n\n${block}` : block;
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * docs: [{ source, title, text }] -> BM25 index. Passage ids are
+ * "<source>#p<n>", n counting from 1 within each document.
+ */
+export function buildIndex(docs, { maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const passages = [];
+  const seen = new Set();
+  const df = new Map();
+
+  for (const doc of docs) {
+    chunkDocument(doc.text, { maxChars }).forEach((chunk, i) => {
+      const fingerprint = chunk.text.toLowerCase().replace(/\s+/g, " ");
+      if (seen.has(fingerprint)) return;
+      seen.add(fingerprint);
+
+      const tokens = tokenize(chunk.text);
+      const tf = new Map();
+      for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+      for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+      passages.push({
+        id: `${doc.source}#p${i + 1}`,
+        source: doc.source,
+        title: doc.title,
+        heading: chunk.heading,
+        n: i + 1,
+        text: chunk.text,
+        tf,
+        length: tokens.length,
+      });
+    });
+  }
+
+  const avgLength = passages.length ? passages.reduce((n, p) => n + p.length, 0) / passages.length : 0;
+  return { passages, df, avgLength };
+}
+
+/**
+ * Top `limit` passages for `query` as [{ passage, score }], best first.
+ */
+export function searchIndex(index, query, { limit = 6 } = {}) {
+  const { passages, df, avgLength } = index;
+  const N = passages.length;
+  if (!N) return [];
+
+  const terms = [...new Set(tokenize(query))].filter((t) => df.has(t));
+  if (!terms.length) return [];
+  const idf = new Map(terms.map((t) => [t, Math.log(1 + (N - df.get(t) + 0.5) / (df.get(t) + 0.5))]));
+
+  return passages
+    .map((p) => {
+      let score = 0;
+      for (const t of terms) {
+        const tf = p.tf.get(t) || 0;
+        if (!tf) continue;
+        score += (idf.get(t) * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * p.length) / (avgLength || 1)));
+      }
+      return { passage: p, score };
+    })
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
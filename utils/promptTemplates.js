@@ -0,0 +1,220 @@
+/**
+ * promptTemplates.js
+ * Versioned Mustache templates for the audit prompts. Each kind has one
+ * active version (DEFAULT_TEMPLATES until an admin saves one) and optionally
+ * an A/B challenger that serves `trafficPercent` of runs. Rendered prompts
+ * carry a promptVersion ("structured@3") that is saved on the Audit.
+ *
+ * Variables: {{entity}}, {{context}}, {{anchors}}, {{framework}}. Values are
+ * inserted verbatim (no HTML escaping); {{#anchors}}…{{/anchors}} and
+ * {{#framework}}…{{/framework}} render only when there is something to show.
+ * {{framework}} holds the framework passages (utils/frameworkIndex.js) that
+ * best match the entity and its context, not whole framework files. Non-English runs get the
+ * output-language instruction (utils/languages.js) appended to the system
+ * prompt, so every template version supports every language.
+ */
+import Mustache from "mustache";
+import PromptTemplate from "../models/promptTemplate.js";
+import { currentPolicy } from "./scoringPolicy.js";
+import { getActiveExemplars, formatAnchors } from "./exemplars.js";
+import { frameworkBlock, searchFramework } from "./frameworkIndex.js";
+import { DEFAULT_LANGUAGE, languageInstruction } from "./languages.js";
+
+export const PROMPT_KINDS = ["stream", "structured"];
+
+export const VARIABLES = {
+  entity: "Entity being audited, as typed",
+  context: "Retrieved web/corpus context (utils/context)",
+  anchors: "Active calibration exemplars, one per line (may be empty)",
+  framework: "CRIPFCnt framework passages retrieved for the entity and context (may be empty)",
+};
+
+// built-in prompts; version 2 added per-claim [n] source citations, structured
+// version 3 swapped the whole framework file for retrieved passages
+export const DEFAULT_TEMPLATES = Object.freeze({
+  stream: Object.freeze({
+    kind: "stream",
+    version: 2,
+    system: `
+You are the CRIPFCnt Audit Intelligence — trained under Donald Mataranyika’s civilization recalibration model.
+Generate a single, clean, structured SCOI audit for the entity provided.
+Follow this structure exactly:
+
+1️⃣ Visibility — score and rationale
+2️⃣ Contribution — score and rationale
+3️⃣ SCOI = Contribution / Visibility (with brief interpretation)
+4️⃣ Global Environment Adjustment — assign ERF (Environmental Resilience Factor)
+5️⃣ Adjusted SCOI = SCOI × ERF
+6️⃣ Final CRIPFCnt Commentary
+
+After each claim in a rationale or the commentary, cite the numbered context source(s) that support it as [n] or [n, m].
+Only cite numbers listed in the context; if no source supports a claim, cite nothing.
+
+Return the audit as readable text.
+`,
+    user: `Perform a full CRIPFCnt SCOI Audit for: "{{entity}}". Include all scores, adjusted SCOI, and interpretive commentary.
+
+Context (neutral; optional to cite):
+{{context}}`,
+  }),
+  structured: Object.freeze({
+    kind: "structured",
+    version: 3,
+    system: `
+You are the official CRIPFCnt SCOI computation model (Donald Mataranyika Axis Framework).
+Use the CRIPFCnt framework (passages below) as the ONLY authority for scores, ratios, tone, and placement.
+
+{{#framework}}
+--- CRIPFCnt FRAMEWORK PASSAGES ---
+{{framework}}
+--- END PASSAGES ---
+{{/framework}}
+
+{{#anchors}}
+Calibration anchors (must inform outputs):
+{{anchors}}
+{{/anchors}}
+
+Guardrails:
+- High visibility ≠ high contribution by default.
+- Prefer conservative contribution for performative/visibility-heavy domains.
+- Cite the numbered context sources behind each rationale in visibilitySources, contributionSources, erfSources and commentarySources; only use numbers listed in the context, [] when none applies.
+- Output JSON only per schema.
+`,
+    user: `
+Perform a CRIPFCnt SCOI Audit for: "{{entity}}"
+
+Context (neutral; optional to cite):
+{{context}}
+
+Return ONLY JSON with fields:
+visibility, visibilityRationale,
+contribution, contributionRationale,
+erf, erfRationale,
+scoiInterpretation, commentary,
+visibilitySources, contributionSources, erfSources, commentarySources.
+`,
+  }),
+});
+
+const CACHE_MS = 60 * 1000;
+// framework passages retrieved into each audit prompt
+const FRAMEWORK_PASSAGES = 4;
+const cache = new Map(); // kind -> { at, active, challenger }
+
+export function invalidatePromptTemplates() {
+  cache.clear();
+}
+
+export function promptVersionLabel(template) {
+  return `${template.kind}@${template.version}`;
+}
+
+/**
+ * { active, challenger } for a kind (memoized for a minute). `challenger` is
+ * null unless a non-active version has trafficPercent > 0. Falls back to the
+ * last loaded templates, or the default, when the lookup fails.
+ */
+export async function getPromptTemplates(kind) {
+  const hit = cache.get(kind);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit;
+
+  let entry = hit || { active: DEFAULT_TEMPLATES[kind], challenger: null };
+  try {
+    const [active, challenger] = await Promise.all([
+      PromptTemplate.findOne({ kind, active: true }).lean(),
+      PromptTemplate.findOne({ kind, active: false, trafficPercent: { $gt: 0 } }).lean(),
+    ]);
+    entry = { active: active || DEFAULT_TEMPLATES[kind], challenger: challenger || null };
+  } catch (err) {
+    console.error("[promptTemplates] failed to load templates:", err && (err.stack || err));
+  }
+  entry.at = Date.now();
+  cache.set(kind, entry);
+  return entry;
+}
+
+/**
+ * Template for one run: the challenger for trafficPercent% of calls,
+ * otherwise the active version.
+ */
+export async function pickPromptTemplate(kind, random = Math.random) {
+  const { active, challenger } = await getPromptTemplates(kind);
+  if (challenger && random() * 100 < challenger.trafficPercent) return challenger;
+  return active;
+}
+
+export function renderPrompt(template, vars) {
+  const view = {
+    entity: vars.entity || "",
+    context: vars.context || "",
+    anchors: vars.anchors || "",
+    framework: vars.framework || "",
+  };
+  const config = { escape: (value) => String(value) };
+  return {
+    system: Mustache.render(template.system, view, {}, config),
+    user: Mustache.render(template.user, view, {}, config),
+    promptVersion: promptVersionLabel(template),
+  };
+}
+
+// framework passages for an audit prompt; retrieval failures leave the block out
+async function frameworkFor(entity, context) {
+  try {
+    return frameworkBlock(await searchFramework(`${entity}\n${context}`, { limit: FRAMEWORK_PASSAGES }));
+  } catch (err) {
+    console.error("[promptTemplates] framework retrieval failed:", err && (err.stack || err));
+    return "";
+  }
+}
+
+/**
+ * Pick (A/B) and render the prompt for an audit run in `language`.
+ * Resolves to { system, user, promptVersion }.
+ */
+export async function buildAuditPrompt(kind, { entity, context = "", policy = currentPolicy(), language = DEFAULT_LANGUAGE }) {
+  const template = await pickPromptTemplate(kind);
+  const anchors = formatAnchors(await getActiveExemplars(), policy);
+  const framework = await frameworkFor(entity, context);
+  const prompt = renderPrompt(template, { entity, context, anchors, framework });
+  const instruction = languageInstruction(kind, language);
+  if (instruction) prompt.system = `${prompt.system}\n\n${instruction}`;
+  return prompt;
+}
+
+function variableNames(tokens, names = new Set()) {
+  for (const token of tokens) {
+    if (["name", "&", "#", "^"].includes(token[0])) names.add(token[1]);
+    if (Array.isArray(token[4])) variableNames(token[4], names);
+  }
+  return names;
+}
+
+/**
+ * Problems with a template draft ([] when valid): empty parts, Mustache
+ * syntax errors and variables outside VARIABLES.
+ */
+export function validateTemplate({ system, user }) {
+  const problems = [];
+  const used = new Set();
+  for (const [part, text] of [["System", system], ["User", user]]) {
+    if (!String(text || "").trim()) {
+      problems.push(`${part} prompt is required`);
+      continue;
+    }
+    let tokens;
+    try {
+      tokens = Mustache.parse(text);
+    } catch (err) {
+      problems.push(`${part} prompt: ${err.message}`);
+      continue;
+    }
+    for (const name of variableNames(tokens)) {
+      if (!(name in VARIABLES)) problems.push(`${part} prompt uses unknown variable {{${name}}}`);
+      used.add(name);
+    }
+  }
+  if (!problems.length && !used.has("entity")) problems.push("The prompt must include {{entity}}");
+  return problems;
+}
@@ -0,0 +1,191 @@
+/**
+ * responsibilityProfile.js
+ * Personal responsibility profile (individual SCOI) for learners: a Likert
+ * self-assessment blended with signals from the learner's quiz attempts.
+ *
+ *   statement score = 1 + (answer − 1) × 9/4        (1-5 -> 1-10, reversed where marked)
+ *   visibility   = Likert mean, blended with quiz completion (showing up)
+ *   contribution = Likert mean, blended with quiz mastery (what was delivered)
+ *   ERF = erfMin + (environment mean / 10) × (erfMax − erfMin)   (scoring policy)
+ *
+ * and SCOI / placement come from computeSCOI, as for audited organizations.
+ * Statement scores start at 1 so visibility is never 0.
+ */
+import mongoose from "mongoose";
+import Attempt from "../models/attempt.js";
+import OrgMembership from "../models/orgMembership.js";
+import ResponsibilityProfile from "../models/responsibilityProfile.js";
+import { computeSCOI, currentPolicy } from "./scoringPolicy.js";
+
+export const LIKERT_SCALE = Object.freeze([
+  { value: 1, label: "Strongly disagree" },
+  { value: 2, label: "Disagree" },
+  { value: 3, label: "Neutral" },
+  { value: 4, label: "Agree" },
+  { value: 5, label: "Strongly agree" },
+]);
+
+export const PROFILE_DIMENSIONS = Object.freeze([
+  { key: "visibility", label: "Visibility", hint: "How visible your responsibility is to others" },
+  { key: "contribution", label: "Contribution", hint: "What your choices actually deliver" },
+  { key: "environment", label: "Environment", hint: "The pressure your circumstances put on you" },
+]);
+
+export const INSTRUMENT = Object.freeze({
+  version: 1,
+  statements: Object.freeze([
+    { key: "known_role", dimension: "visibility", text: "People outside my immediate team know what I am responsible for." },
+    { key: "speak_up", dimension: "visibility", text: "I speak up about my work in meetings and public settings." },
+    { key: "credited", dimension: "visibility", text: "My work is usually attributed to me by name." },
+    { key: "follow_through", dimension: "contribution", text: "I follow through on commitments without being reminded." },
+    { key: "results", dimension: "contribution", text: "I can point to concrete results my work produced in the last three months." },
+    { key: "ownership", dimension: "contribution", text: "When something goes wrong in my area, I own it rather than shift the blame." },
+    { key: "helps_others", dimension: "contribution", text: "I help others succeed even when it is not part of my role." },
+    { key: "overcommits", dimension: "contribution", text: "I often agree to tasks I know I cannot deliver.", reverse: true },
+    { key: "pressure", dimension: "environment", text: "My circumstances (work, home, the economy) make it hard to keep commitments." },
+    { key: "supported", dimension: "environment", text: "I have the tools and support I need to do my work well.", reverse: true },
+    { key: "instability", dimension: "environment", text: "My situation changes faster than I can plan for." },
+  ].map((s) => Object.freeze({ reverse: false, ...s }))),
+});
+
+// share of visibility / contribution taken from quiz signals when there are any
+const QUIZ_WEIGHT = 0.3;
+// most recent finished attempts considered for mastery
+const MAX_ATTEMPTS = 20;
+
+/**
+ * Form body (likert_<key>) -> { answers, errors }; every statement must be
+ * answered with a whole number from 1 to 5.
+ */
+export function readLikert(body = {}) {
+  const errors = [];
+  const answers = [];
+  for (const s of INSTRUMENT.statements) {
+    const value = Number(body[`likert_${s.key}`]);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      errors.push(`Answer "${s.text}"`);
+      continue;
+    }
+    answers.push({ key: s.key, value });
+  }
+  return { answers, errors };
+}
+
+/**
+ * Quiz signals from a learner's attempts ({ score, maxScore, passed,
+ * finishedAt }): { attempts, mastery, passRate, assigned, completed }.
+ * Every assigned quiz has an Attempt; submitting sets its finishedAt (org
+ * quiz submits do not set `status`). mastery / passRate cover the most
+ * recent finished attempts and are null without any.
+ */
+export function signalsFromAttempts(attempts = []) {
+  const finished = attempts
+    .filter((a) => a.finishedAt)
+    .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt))
+    .slice(0, MAX_ATTEMPTS);
+  const scored = finished.filter((a) => a.maxScore > 0);
+  return {
+    attempts: finished.length,
+    mastery: scored.length
+      ? +(scored.reduce((sum, a) => sum + Math.min(1, a.score / a.maxScore), 0) / scored.length).toFixed(3)
+      : null,
+    passRate: finished.length ? +(finished.filter((a) => a.passed).length / finished.length).toFixed(3) : null,
+    assigned: attempts.length,
+    completed: attempts.filter((a) => a.finishedAt).length,
+  };
+}
+
+/**
+ * Quiz signals for a learner in an org (see signalsFromAttempts).
+ */
+export async function quizSignals(userId, orgId) {
+  const attempts = await Attempt.find({ userId, organization: orgId })
+    .select("score maxScore passed finishedAt")
+    .lean();
+  return signalsFromAttempts(attempts);
+}
+
+function statementScore(statement, value) {
+  const v = statement.reverse ? 6 - value : value;
+  return 1 + ((v - 1) * 9) / 4;
+}
+
+function blend(likert, signal) {
+  return typeof signal === "number" ? (1 - QUIZ_WEIGHT) * likert + QUIZ_WEIGHT * signal * 10 : likert;
+}
+
+/**
+ * Profile scores from complete `answers` and quiz `signals`:
+ * { visibility, contribution, ERF, rawSCOI, adjustedSCOI, placementLevel, policyVersion }.
+ */
+export function computeProfile(answers, signals = {}, policy = currentPolicy()) {
+  const byKey = Object.fromEntries(answers.map((a) => [a.key, a.value]));
+  const mean = {};
+  for (const d of PROFILE_DIMENSIONS) {
+    const scores = INSTRUMENT.statements
+      .filter((s) => s.dimension === d.key)
+      .map((s) => statementScore(s, byKey[s.key]));
+    mean[d.key] = scores.reduce((sum, n) => sum + n, 0) / scores.length;
+  }
+
+  const completion = signals.assigned ? signals.completed / signals.assigned : null;
+  const visibility = +blend(mean.visibility, completion).toFixed(2);
+  const contribution = +blend(mean.contribution, signals.mastery).toFixed(2);
+  const erf = +(policy.erfMin + (mean.environment / 10) * (policy.erfMax - policy.erfMin)).toFixed(2);
+  return { visibility, contribution, ...computeSCOI(visibility, contribution, erf, policy) };
+}
+
+/**
+ * A learner's profiles in an org, newest first, each with `change` (adjusted
+ * SCOI minus the previous profile's; null for the first).
+ */
+export async function profileHistory(userId, orgId, limit = 12) {
+  const rows = await ResponsibilityProfile.find({ user: userId, org: orgId })
+    .sort({ createdAt: -1 })
+    .limit(limit + 1)
+    .select("instrumentVersion signals scores createdAt")
+    .lean();
+  return rows.slice(0, limit).map((p, i) => {
+    const prev = rows[i + 1];
+    const change = prev && typeof p.scores.adjustedSCOI === "number" && typeof prev.scores.adjustedSCOI === "number"
+      ? +(p.scores.adjustedSCOI - prev.scores.adjustedSCOI).toFixed(3)
+      : null;
+    return { ...p, change };
+  });
+}
+
+/**
+ * Org-wide view of members' latest profiles: { members, profiled, mean,
+ * placements: [{ label, count }] }.
+ */
+export async function teamProfileSummary(orgId) {
+  const [members, latest] = await Promise.all([
+    OrgMembership.countDocuments({ org: orgId }),
+    ResponsibilityProfile.aggregate([
+      { $match: { org: new mongoose.Types.ObjectId(String(orgId)) } },
+      { $sort: { user: 1, createdAt: -1 } },
+      {
+        $group: {
+          _id: "$user",
+          adjustedSCOI: { $first: "$scores.adjustedSCOI" },
+          placementLevel: { $first: "$scores.placementLevel" },
+        },
+      },
+    ]),
+  ]);
+
+  const counts = {};
+  for (const p of latest) {
+    const label = p.placementLevel || "Unplaced";
+    counts[label] = (counts[label] || 0) + 1;
+  }
+  const scored = latest.filter((p) => typeof p.adjustedSCOI === "number");
+  return {
+    members,
+    profiled: latest.length,
+    mean: scored.length ? +(scored.reduce((sum, p) => sum + p.adjustedSCOI, 0) / scored.length).toFixed(3) : null,
+    placements: Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([label, count]) => ({ label, count })),
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * scoiVerify.js
+ * Pulls the scores out of a free-text (streamed) SCOI audit and re-checks the
+ * model's arithmetic under the scoring policy (utils/scoringPolicy.js).
+ */
+import { computeSCOI, currentPolicy } from "./scoringPolicy.js";
+
+// differences below this are treated as the model rounding to 2 d.p.
+const DEFAULT_TOLERANCE = 0.01;
+
+const NUM = "(\\d+(?:\\.\\d+)?)";
+
+// section headings: "1️⃣ Visibility", "### 2. Contribution", "**3) SCOI ..."
+export const SECTION_RE = /^[\s#*>_-]*([1-6])(?:\uFE0F?\u20E3|[.)])/;
+
+/**
+ * Split audit text into its numbered sections: { 1: "...", 2: "...", ... }.
+ */
+export function splitSections(text) {
+  const sections = {};
+  let current = 0;
+  for (const line of String(text || "").replace(/\r/g, "").split("\n")) {
+    const m = SECTION_RE.exec(line);
+    if (m) current = Number(m[1]);
+    sections[current] = (sections[current] || "") + line + "\n";
+  }
+  return sections;
+}
+
+function toNumber(v) {
+  const n = v === undefined || v === null ? NaN : Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "9 / 10", else "Score: 9"
+function findScore(block) {
+  if (!block) return null;
+  const outOfTen = new RegExp(`${NUM}\\s*\\/\\s*10\\b`).exec(block);
+  if (outOfTen) return toNumber(outOfTen[1]);
+  const labelled = new RegExp(`score[^\\d\\n]{0,20}${NUM}`, "i").exec(block);
+  return labelled ? toNumber(labelled[1]) : null;
+}
+
+// a number after "=" or "≈"; one followed by an operator is an operand
+// (the 7 in "= 7 ÷ 8.5"), not a result ("**" is bold markup, not "*")
+const RESULT_RE = new RegExp(`[=≈]\\s*\\**\\s*${NUM}(?!\\d|\\.\\d)(?!\\s*(?:[÷×\\/]|\\*(?!\\*)|x\\s*\\d))`, "g");
+
+// last "= 0.74" / "≈ 0.74" in a block (the result of a worked formula)
+function findResult(block) {
+  if (!block) return null;
+  const matches = [...block.matchAll(RESULT_RE)];
+  return matches.length ? toNumber(matches[matches.length - 1][1]) : null;
+}
+
+function findERF(block) {
+  if (!block) return null;
+  const labelled = new RegExp(`ERF[^\\d\\n]{0,40}?${NUM}`, "i").exec(block);
+  return labelled ? toNumber(labelled[1]) : null;
+}
+
+/**
+ * Best-effort extraction of the scores a streamed audit reports.
+ * Any value that cannot be found is null.
+ */
+export function parseStreamedScores(text) {
+  const s = splitSections(text);
+  const all = String(text || "");
+
+  return {
+    visibility: findScore(s[1]) ?? toNumber(new RegExp(`Visibility[^\\d\\n]{0,40}?${NUM}\\s*\\/\\s*10`, "i").exec(all)?.[1]),
+    contribution: findScore(s[2]) ?? toNumber(new RegExp(`Contribution[^\\d\\n]{0,40}?${NUM}\\s*\\/\\s*10`, "i").exec(all)?.[1]),
+    rawSCOI: findResult(s[3]),
+    ERF: findERF(s[4]) ?? findERF(all),
+    adjustedSCOI: findResult(s[5]) ?? toNumber(new RegExp(`Adjusted SCOI[^\\d\\n]{0,20}?[=≈]\\s*${NUM}\\s*$`, "im").exec(all)?.[1]),
+  };
+}
+
+/**
+ * Recompute SCOI from the reported Visibility / Contribution / ERF and compare
+ * with what the model wrote.
+ *
+ * Returns { checked, consistent, reported, computed, discrepancies }.
+ * `checked` is false when the inputs could not be parsed (nothing to verify).
+ */
+export function verifyStreamedScores(text, { tolerance = DEFAULT_TOLERANCE, policy = currentPolicy() } = {}) {
+  const reported = parseStreamedScores(text);
+  const { visibility, contribution, ERF } = reported;
+
+  if (!visibility || contribution === null || ERF === null) {
+    return { checked: false, consistent: null, reported, computed: null, discrepancies: [] };
+  }
+
+  const computed = { visibility, contribution, ...computeSCOI(visibility, contribution, ERF, policy) };
+
+  const discrepancies = [];
+  for (const field of ["rawSCOI", "adjustedSCOI"]) {
+    const got = reported[field];
+    if (got === null) continue;
+    if (Math.abs(got - computed[field]) > tolerance) {
+      discrepancies.push({ field, reported: got, computed: computed[field] });
+    }
+  }
+
+  return { checked: true, consistent: discrepancies.length === 0, reported, computed, discrepancies };
+}
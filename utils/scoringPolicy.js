@@ -0,0 +1,117 @@
+/**
+ * scoringPolicy.js
+ * The single source of SCOI arithmetic and placement:
+ *   rawSCOI      = Contribution / Visibility            (rounded to `precision`)
+ *   adjustedSCOI = rawSCOI × clamp(ERF, erfMin, erfMax) (rounded to `precision`)
+ *   placement    = first band (highest `min` first) the adjusted score clears
+ *
+ * The active policy lives in the ScoringPolicy collection and is edited by
+ * platform admins; DEFAULT_POLICY (version 1) applies until one is saved.
+ */
+import ScoringPolicy from "../models/scoringPolicy.js";
+
+export const DEFAULT_POLICY = Object.freeze({
+  version: 1,
+  bands: [
+    { label: "Silent Over-Contributor", min: 1.0, inclusive: false },
+    { label: "Balanced Axis", min: 0.95, inclusive: true },
+    { label: "Grid Performer", min: null, inclusive: true },
+  ],
+  erfMin: 0.5,
+  erfMax: 1.5,
+  precision: 3,
+});
+
+const CACHE_MS = 60 * 1000;
+let current = DEFAULT_POLICY;
+let loadedAt = 0;
+
+/**
+ * Active policy from Mongo (memoized for a minute). Falls back to the last
+ * loaded policy, or DEFAULT_POLICY, when the lookup fails.
+ */
+export async function getActivePolicy() {
+  if (loadedAt && Date.now() - loadedAt < CACHE_MS) return current;
+  try {
+    const doc = await ScoringPolicy.findOne({ active: true }).lean();
+    current = doc || DEFAULT_POLICY;
+  } catch (err) {
+    console.error("[scoringPolicy] failed to load active policy:", err && (err.stack || err));
+  }
+  loadedAt = Date.now();
+  return current;
+}
+
+/**
+ * Last loaded policy, for synchronous callers (formatting, verification).
+ */
+export function currentPolicy() {
+  return current;
+}
+
+export function invalidatePolicy() {
+  loadedAt = 0;
+}
+
+function round(n, precision) {
+  return +n.toFixed(precision);
+}
+
+export function clampERF(ERF, policy = current) {
+  return Math.min(policy.erfMax, Math.max(policy.erfMin, ERF));
+}
+
+export function placementFor(adjustedSCOI, policy = current) {
+  for (const band of policy.bands) {
+    if (band.min === null || band.min === undefined) return band.label;
+    if (band.inclusive ? adjustedSCOI >= band.min : adjustedSCOI > band.min) return band.label;
+  }
+  return null;
+}
+
+/**
+ * Score an audit under a policy (default: the last loaded one).
+ * Returns { ERF, rawSCOI, adjustedSCOI, placementLevel, policyVersion },
+ * where ERF is the clamped factor actually applied.
+ */
+export function computeSCOI(visibility, contribution, ERF, policy = current) {
+  const erf = clampERF(ERF, policy);
+  const rawSCOI = round(contribution / visibility, policy.precision);
+  const adjustedSCOI = round(rawSCOI * erf, policy.precision);
+  return {
+    ERF: erf,
+    rawSCOI,
+    adjustedSCOI,
+    placementLevel: placementFor(adjustedSCOI, policy),
+    policyVersion: policy.version,
+  };
+}
+
+/**
+ * Problems with a policy draft ([] when valid). Bands must be ordered by
+ * descending `min` and end with a single catch-all band (min = null).
+ */
+export function validatePolicy({ bands, erfMin, erfMax, precision }) {
+  const problems = [];
+  if (!Number.isFinite(erfMin) || !Number.isFinite(erfMax) || erfMin <= 0 || erfMin > erfMax) {
+    problems.push("ERF range must satisfy 0 < min ≤ max");
+  }
+  if (!Number.isInteger(precision) || precision < 0 || precision > 6) {
+    problems.push("Precision must be a whole number between 0 and 6");
+  }
+  if (!Array.isArray(bands) || !bands.length) {
+    problems.push("At least one placement band is required");
+    return problems;
+  }
+
+  bands.forEach((band, i) => {
+    const last = i === bands.length - 1;
+    if (!band.label) problems.push(`Band ${i + 1} needs a label`);
+    if (last && band.min !== null) problems.push("The last band must be the catch-all (no minimum)");
+    if (!last && !Number.isFinite(band.min)) problems.push(`Band ${i + 1} needs a numeric minimum`);
+    if (i > 0 && !last && Number.isFinite(bands[i - 1].min) && band.min > bands[i - 1].min) {
+      problems.push("Bands must be ordered from highest minimum to lowest");
+    }
+  });
+  return problems;
+}
@@ -0,0 +1,139 @@
+/**
+ * searchCredits.js
+ * Daily audit credits shared by every audit entry point
+ * (/api/chat-stream and /api/audits/run), and a separate daily allowance of
+ * follow-up questions (audit threads, framework explanations).
+ */
+import User from "../models/user.js";
+import { checkBudget } from "./llmUsage.js";
+
+export function getDailyLimit() {
+  return parseInt(process.env.SEARCH_DAILY_LIMIT || "3", 10);
+}
+
+export function getFollowupDailyLimit() {
+  const n = parseInt(process.env.FOLLOWUP_DAILY_LIMIT || "30", 10);
+  return Number.isFinite(n) && n > 0 ? n : 30;
+}
+
+export function isAdminEmail(email) {
+  const adminSet = new Set(
+    (process.env.ADMIN_EMAILS || "")
+      .split(",")
+      .map((s) => String(s || "").trim().toLowerCase())
+      .filter(Boolean)
+  );
+  const e = String(email || "").toLowerCase();
+  return !!e && adminSet.has(e);
+}
+
+// next UTC midnight, when daily counters reset
+function nextDayStart() {
+  const d = new Date();
+  d.setUTCHours(24, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Take one of `limit` daily uses from a day/count field pair on User.
+ * Resolves to { ok: true, day } or { ok: false, used }.
+ */
+async function takeDailyUse(userId, dayField, countField, limit) {
+  const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+
+  const incResult = await User.findOneAndUpdate(
+    { _id: userId, [dayField]: today, [countField]: { $lt: limit } },
+    { $inc: { [countField]: 1 }, $set: { lastLogin: new Date() } },
+    { new: true }
+  );
+  if (incResult) return { ok: true, day: today };
+
+  const resetResult = await User.findOneAndUpdate(
+    { _id: userId, $or: [{ [dayField]: { $exists: false } }, { [dayField]: { $ne: today } }] },
+    { $set: { [dayField]: today, [countField]: 1, lastLogin: new Date() } },
+    { new: true }
+  );
+  if (resetResult) return { ok: true, day: today };
+
+  const current = await User.findById(userId);
+  return { ok: false, used: current && current[dayField] === today ? current[countField] || 0 : 0 };
+}
+
+/**
+ * Consume one daily credit for `user` (admins are never charged).
+ * Resolves to { ok: true, day } (pass it to refundSearchCredit) or { ok: false, status: 429, body } where body is
+ * the JSON payload the chat page already knows how to render, or
+ * { ok: false, status: 402, body } once a monthly AI budget is used up
+ * (no credit is charged then, not even for admins).
+ */
+export async function consumeSearchCredit(user) {
+  const budget = await checkBudget(user);
+  if (!budget.ok) return budget;
+  if (isAdminEmail(user && user.email)) return { ok: true, admin: true };
+
+  const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || "support@cripfcnt.com";
+  const DAILY_LIMIT = getDailyLimit();
+  const taken = await takeDailyUse(user && user._id, "searchCountDay", "searchCount", DAILY_LIMIT);
+  if (taken.ok) return { ok: true, day: taken.day };
+
+  const { used } = taken;
+  const resetAtDate = nextDayStart();
+  return {
+    ok: false,
+    status: 429,
+    body: {
+      error: "Daily search limit reached",
+      message: `You have reached your daily limit of ${DAILY_LIMIT} searches (used: ${used}). Please try again tomorrow or contact support.`,
+      used,
+      limit: DAILY_LIMIT,
+      friendly: `You’ve used ${used} of ${DAILY_LIMIT} free audits today. Your free quota will reset at ${resetAtDate.toLocaleString(
+        "en-GB",
+        { timeZone: "UTC" }
+      )} (UTC). If you need more audits today, contact ${SUPPORT_EMAIL}.`,
+      resetAt: resetAtDate.toISOString(),
+      support: SUPPORT_EMAIL,
+    },
+  };
+}
+
+/**
+ * Give back a credit taken by consumeSearchCredit when the audit failed or
+ * made no model call. Only that day's counter is touched, so a refund after
+ * midnight changes nothing.
+ */
+export async function refundSearchCredit(user, credit) {
+  if (!credit || !credit.ok || !credit.day || !user) return;
+  await User.updateOne(
+    { _id: user._id, searchCountDay: credit.day, searchCount: { $gt: 0 } },
+    { $inc: { searchCount: -1 } }
+  );
+}
+
+/**
+ * Consume one follow-up question (FOLLOWUP_DAILY_LIMIT a day, admins
+ * uncounted) for calls that answer questions about audits or the framework.
+ * Same results as consumeSearchCredit, including the 402 budget check.
+ */
+export async function consumeFollowupCredit(user) {
+  const budget = await checkBudget(user);
+  if (!budget.ok) return budget;
+  if (isAdminEmail(user && user.email)) return { ok: true, admin: true };
+
+  const limit = getFollowupDailyLimit();
+  const taken = await takeDailyUse(user && user._id, "followupCountDay", "followupCount", limit);
+  if (taken.ok) return { ok: true };
+
+  const resetAt = nextDayStart();
+  return {
+    ok: false,
+    status: 429,
+    body: {
+      error: "Daily question limit reached",
+      message: `You have asked ${taken.used} of ${limit} questions allowed today. The limit resets at ${resetAt.toISOString()}.`,
+      used: taken.used,
+      limit,
+      resetAt: resetAt.toISOString(),
+      support: process.env.SUPPORT_EMAIL || "support@cripfcnt.com",
+    },
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * sectorStats.js
+ * Per-sector benchmarks: mean / median adjusted SCOI, placement distribution
+ * and percentiles. The population is each entity's latest published, scored
+ * audit (drafts and audits under review stay out of the public figures), so re-auditing one entity does not weigh it more than the others.
+ */
+import Audit from "../models/audit.js";
+import { SECTORS, sectorLabel } from "./sectors.js";
+
+const CACHE_MS = 60 * 1000;
+let cached = null;
+let loadedAt = 0;
+
+function round(n, precision = 3) {
+  return +n.toFixed(precision);
+}
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Percentile rank (0-100) of `score` in ascending `sorted`: the share of
+ * scores below it, counting ties as half.
+ */
+export function percentileRank(sorted, score) {
+  if (!sorted.length || typeof score !== "number") return null;
+  let below = 0;
+  let equal = 0;
+  for (const s of sorted) {
+    if (s < score) below++;
+    else if (s === score) equal++;
+    else break;
+  }
+  return Math.round(((below + equal / 2) / sorted.length) * 100);
+}
+
+// rows: [{ adjustedSCOI, placementLevel }]
+function summarize(rows) {
+  const scores = rows.map((r) => r.adjustedSCOI).sort((a, b) => a - b);
+  const counts = {};
+  for (const r of rows) {
+    const label = r.placementLevel || "Unplaced";
+    counts[label] = (counts[label] || 0) + 1;
+  }
+  return {
+    count: scores.length,
+    mean: scores.length ? round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+    median: median(scores),
+    placements: Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([label, count]) => ({ label, count, percent: Math.round((count / rows.length) * 100) })),
+    scores,
+  };
+}
+
+/**
+ * { overall, sectors: { [key]: summary } } (memoized for a minute), where a
+ * summary is { count, mean, median, placements: [{ label, count, percent }], scores }.
+ * Audits without a sector only count towards `overall`.
+ */
+export async function getSectorStats() {
+  if (cached && Date.now() - loadedAt < CACHE_MS) return cached;
+
+  const rows = await Audit.aggregate([
+    { $match: { status: "published", completedAt: { $ne: null }, adjustedSCOI: { $ne: null }, error: null } },
+    { $project: { key: 1, sector: 1, adjustedSCOI: 1, placementLevel: 1, createdAt: 1 } },
+    { $sort: { key: 1, createdAt: -1 } },
+    {
+      $group: {
+        _id: "$key",
+        adjustedSCOI: { $first: "$adjustedSCOI" },
+        placementLevel: { $first: "$placementLevel" },
+        sector: { $first: "$sector" },
+      },
+    },
+  ]);
+
+  const bySector = {};
+  for (const r of rows) {
+    if (r.sector) (bySector[r.sector] = bySector[r.sector] || []).push(r);
+  }
+  cached = {
+    overall: summarize(rows),
+    sectors: Object.fromEntries(Object.entries(bySector).map(([key, list]) => [key, summarize(list)])),
+  };
+  loadedAt = Date.now();
+  return cached;
+}
+
+export function invalidateSectorStats() {
+  loadedAt = 0;
+}
+
+// summary without the raw score list
+function publicSummary({ scores, ...summary }) {
+  return summary;
+}
+
+/**
+ * { overall, sectors: [{ key, label, ...summary }] } in taxonomy order, for
+ * the sectors that have audits (score lists left out).
+ */
+export async function sectorSummaries() {
+  const stats = await getSectorStats();
+  return {
+    overall: publicSummary(stats.overall),
+    sectors: SECTORS.filter((s) => stats.sectors[s.key]).map((s) => ({
+      key: s.key,
+      label: s.label,
+      ...publicSummary(stats.sectors[s.key]),
+    })),
+  };
+}
+
+/**
+ * Where an audit stands: { adjustedSCOI, sector, sectorLabel, sectorSource,
+ * withinSector: { percentile, count, median }, overall: { ... } }.
+ * `withinSector` is null when the audit has no sector; the whole result is
+ * null for unscored audits.
+ */
+export async function benchmarkFor(audit) {
+  if (!audit || typeof audit.adjustedSCOI !== "number") return null;
+  const stats = await getSectorStats();
+  const inSector = audit.sector ? stats.sectors[audit.sector] : null;
+  return {
+    adjustedSCOI: audit.adjustedSCOI,
+    sector: audit.sector || null,
+    sectorLabel: sectorLabel(audit.sector),
+    sectorSource: audit.sectorSource || null,
+    withinSector: inSector
+      ? { percentile: percentileRank(inSector.scores, audit.adjustedSCOI), count: inSector.count, median: inSector.median }
+      : null,
+    overall: {
+      percentile: percentileRank(stats.overall.scores, audit.adjustedSCOI),
+      count: stats.overall.count,
+      median: stats.overall.median,
+    },
+  };
+}
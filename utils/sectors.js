@@ -0,0 +1,67 @@
+/**
+ * sectors.js
+ * Sector taxonomy for audited entities. Structured audits ask the model to
+ * suggest one; analysts assign one on the review page, and an analyst's
+ * choice applies to every audit of the entity (by normalized key) and is
+ * inherited by its later audits.
+ */
+import Audit from "../models/audit.js";
+
+export const SECTORS = Object.freeze([
+  { key: "agriculture", label: "Agriculture & Agro-processing" },
+  { key: "banking", label: "Banking & Financial Services" },
+  { key: "insurance", label: "Insurance & Pensions" },
+  { key: "telecommunications", label: "Telecommunications & ICT" },
+  { key: "mining", label: "Mining & Resources" },
+  { key: "energy", label: "Energy & Utilities" },
+  { key: "manufacturing", label: "Manufacturing & Industrials" },
+  { key: "retail", label: "Retail & Consumer Goods" },
+  { key: "construction", label: "Construction & Real Estate" },
+  { key: "transport", label: "Transport & Logistics" },
+  { key: "health", label: "Health & Pharmaceuticals" },
+  { key: "education", label: "Education" },
+  { key: "media", label: "Media & Entertainment" },
+  { key: "hospitality", label: "Tourism & Hospitality" },
+  { key: "government", label: "Government & Public Sector" },
+  { key: "nonprofit", label: "NGOs & Development" },
+  { key: "faith", label: "Faith-based Organizations" },
+  { key: "individual", label: "Individuals & Public Figures" },
+  { key: "concept", label: "Ideas, Theories & Terms" },
+  { key: "other", label: "Other" },
+]);
+
+export const SECTOR_KEYS = SECTORS.map((s) => s.key);
+
+const byKey = Object.fromEntries(SECTORS.map((s) => [s.key, s]));
+const byLabel = Object.fromEntries(SECTORS.map((s) => [s.label.toLowerCase(), s]));
+
+/**
+ * Sector key for a key or label (any case); null when it is not in the
+ * taxonomy.
+ */
+export function normalizeSector(value) {
+  const v = String(value || "").replace(/\s+/g, " ").trim().toLowerCase();
+  if (!v) return null;
+  const sector = byKey[v] || byLabel[v];
+  return sector ? sector.key : null;
+}
+
+export function sectorLabel(key) {
+  return key && byKey[key] ? byKey[key].label : null;
+}
+
+/**
+ * Sector for a new audit of `key`: an analyst's assignment on an earlier
+ * audit wins over `suggested` (the model's pick). Resolves to
+ * { sector, sectorSource } (both null when there is neither).
+ */
+export async function resolveSector(key, suggested = null) {
+  const assigned = await Audit.findOne({ key, sectorSource: "analyst", sector: { $ne: null } })
+    .sort({ createdAt: -1 })
+    .select("sector")
+    .lean();
+  if (assigned) return { sector: assigned.sector, sectorSource: "analyst" };
+
+  const sector = normalizeSector(suggested);
+  return sector ? { sector, sectorSource: "model" } : { sector: null, sectorSource: null };
+}
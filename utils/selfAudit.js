@@ -0,0 +1,213 @@
+/**
+ * selfAudit.js
+ * Organizational self-audits: a versioned questionnaire of Visibility,
+ * Contribution and ERF indicators that org managers rate 0-10 with evidence.
+ *
+ *   visibility / contribution = weighted mean of their indicator ratings
+ *   ERF = erfMin + (weighted mean / 10) × (erfMax − erfMin)   (scoring policy)
+ *
+ * and SCOI / placement come from computeSCOI, so the self-reported score is
+ * directly comparable with the AI audit of the same organization.
+ */
+import Audit from "../models/audit.js";
+import SelfAuditQuestionnaire from "../models/selfAuditQuestionnaire.js";
+import { normalizeEntityKey } from "./normalizeEntity.js";
+import { computeSCOI, currentPolicy } from "./scoringPolicy.js";
+
+export const DIMENSIONS = [
+  { key: "visibility", label: "Visibility", scale: "0 = invisible, 10 = widely known" },
+  { key: "contribution", label: "Contribution", scale: "0 = no evidence of contribution, 10 = strong, documented contribution" },
+  { key: "erf", label: "Environment (ERF)", scale: "0 = stable, supportive environment, 10 = severe volatility" },
+];
+
+const DIMENSION_KEYS = DIMENSIONS.map((d) => d.key);
+
+export const DEFAULT_QUESTIONNAIRE = Object.freeze({
+  version: 1,
+  indicators: Object.freeze([
+    { key: "media_presence", dimension: "visibility", text: "Media and public presence", guidance: "How often the organization appears in news, social media and public events.", weight: 1, evidenceRequired: false },
+    { key: "brand_recognition", dimension: "visibility", text: "Brand recognition", guidance: "How well customers and the public recognise the organization and what it does.", weight: 1, evidenceRequired: false },
+    { key: "public_reporting", dimension: "visibility", text: "Public reporting", guidance: "Annual, sustainability or impact reports that anyone can read.", weight: 1, evidenceRequired: true },
+    { key: "measurable_impact", dimension: "contribution", text: "Measurable impact", guidance: "Products, services or programmes with documented outcomes for the people they serve.", weight: 2, evidenceRequired: true },
+    { key: "employment_skills", dimension: "contribution", text: "Employment and skills", guidance: "Jobs created, training delivered and staff development.", weight: 1, evidenceRequired: true },
+    { key: "community_investment", dimension: "contribution", text: "Community and social investment", guidance: "Investment in communities, with evidence of results rather than spend alone.", weight: 1, evidenceRequired: false },
+    { key: "innovation", dimension: "contribution", text: "Innovation", guidance: "Solutions the sector or country did not have before.", weight: 1, evidenceRequired: false },
+    { key: "economic_volatility", dimension: "erf", text: "Economic volatility", guidance: "Inflation, currency instability and access to capital.", weight: 1, evidenceRequired: false },
+    { key: "infrastructure", dimension: "erf", text: "Infrastructure constraints", guidance: "Power, connectivity and logistics.", weight: 1, evidenceRequired: false },
+    { key: "regulatory_uncertainty", dimension: "erf", text: "Regulatory and policy uncertainty", guidance: "How predictable the rules the organization operates under are.", weight: 1, evidenceRequired: false },
+  ].map((i) => Object.freeze(i))),
+});
+
+const CACHE_MS = 60 * 1000;
+let current = DEFAULT_QUESTIONNAIRE;
+let loadedAt = 0;
+
+/**
+ * Active questionnaire (memoized for a minute); DEFAULT_QUESTIONNAIRE until
+ * an admin publishes one.
+ */
+export async function getActiveQuestionnaire() {
+  if (loadedAt && Date.now() - loadedAt < CACHE_MS) return current;
+  try {
+    const doc = await SelfAuditQuestionnaire.findOne({ active: true }).lean();
+    current = doc || DEFAULT_QUESTIONNAIRE;
+  } catch (err) {
+    console.error("[selfAudit] failed to load active questionnaire:", err && (err.stack || err));
+  }
+  loadedAt = Date.now();
+  return current;
+}
+
+export function invalidateQuestionnaire() {
+  loadedAt = 0;
+}
+
+/**
+ * A saved version (or the built-in default), or null.
+ */
+export async function getQuestionnaire(version) {
+  const doc = await SelfAuditQuestionnaire.findOne({ version }).lean();
+  if (doc) return doc;
+  return version === DEFAULT_QUESTIONNAIRE.version ? DEFAULT_QUESTIONNAIRE : null;
+}
+
+/**
+ * Problems with a questionnaire draft ([] when valid).
+ */
+export function validateQuestionnaire({ indicators }) {
+  const problems = [];
+  if (!Array.isArray(indicators) || !indicators.length) return ["At least one indicator is required"];
+
+  const seen = new Set();
+  indicators.forEach((ind, i) => {
+    const n = i + 1;
+    if (!/^[a-z0-9_]{2,40}$/.test(ind.key || "")) {
+      problems.push(`Indicator ${n} needs a key of 2-40 lowercase letters, digits or underscores`);
+    } else if (seen.has(ind.key)) {
+      problems.push(`Indicator key "${ind.key}" is used twice`);
+    }
+    seen.add(ind.key);
+    if (!DIMENSION_KEYS.includes(ind.dimension)) problems.push(`Indicator ${n} needs a dimension`);
+    if (!ind.text) problems.push(`Indicator ${n} needs a question`);
+    if (!Number.isFinite(ind.weight) || ind.weight <= 0) problems.push(`Indicator ${n} needs a weight above 0`);
+  });
+  for (const d of DIMENSIONS) {
+    if (!indicators.some((ind) => ind.dimension === d.key)) problems.push(`${d.label} needs at least one indicator`);
+  }
+  return problems;
+}
+
+/**
+ * Form body (rating_<key>, evidence_<key>) -> { answers, errors }, one
+ * answer per indicator; a blank rating stays unanswered.
+ */
+export function readAnswers(questionnaire, body = {}) {
+  const errors = [];
+  const answers = questionnaire.indicators.map((ind) => {
+    const raw = String(body[`rating_${ind.key}`] ?? "").trim();
+    let rating = null;
+    if (raw !== "") {
+      rating = Number(raw);
+      if (!Number.isFinite(rating) || rating < 0 || rating > 10) {
+        errors.push(`"${ind.text}" must be rated from 0 to 10`);
+        rating = null;
+      }
+    }
+    return { key: ind.key, rating, evidence: String(body[`evidence_${ind.key}`] || "").trim().slice(0, 4000) };
+  });
+  return { answers, errors };
+}
+
+function weightedMean(pairs) {
+  const total = pairs.reduce((sum, p) => sum + p.weight, 0);
+  return total ? pairs.reduce((sum, p) => sum + p.rating * p.weight, 0) / total : null;
+}
+
+/**
+ * Problems that block submission: unanswered indicators and required
+ * evidence without a note or attachment. `attachmentCounts`: { [key]: n }.
+ */
+export function submissionProblems(questionnaire, answers, attachmentCounts = {}) {
+  const byKey = Object.fromEntries(answers.map((a) => [a.key, a]));
+  const problems = [];
+  for (const ind of questionnaire.indicators) {
+    const a = byKey[ind.key];
+    if (!a || a.rating === null || a.rating === undefined) problems.push(`Rate "${ind.text}"`);
+    if (ind.evidenceRequired && !(a && a.evidence) && !attachmentCounts[ind.key]) {
+      problems.push(`"${ind.text}" needs an evidence note or attachment`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Self-reported scores from fully answered `answers`:
+ * { visibility, contribution, ERF, rawSCOI, adjustedSCOI, placementLevel, policyVersion }.
+ * Throws when the visibility indicators average to 0 (SCOI is undefined).
+ */
+export function scoreSelfAudit(questionnaire, answers, policy = currentPolicy()) {
+  const byKey = Object.fromEntries(answers.map((a) => [a.key, a]));
+  const mean = {};
+  for (const d of DIMENSION_KEYS) {
+    mean[d] = weightedMean(
+      questionnaire.indicators
+        .filter((ind) => ind.dimension === d)
+        .map((ind) => ({ rating: byKey[ind.key].rating, weight: ind.weight }))
+    );
+  }
+  if (!mean.visibility) {
+    const err = new Error("Visibility must be above 0 to compute a SCOI");
+    err.status = 400;
+    throw err;
+  }
+
+  const visibility = +mean.visibility.toFixed(2);
+  const contribution = +mean.contribution.toFixed(2);
+  const erf = +(policy.erfMin + (mean.erf / 10) * (policy.erfMax - policy.erfMin)).toFixed(2);
+  return { visibility, contribution, ...computeSCOI(visibility, contribution, erf, policy) };
+}
+
+const COMPARED = [
+  { field: "visibility", label: "Visibility" },
+  { field: "contribution", label: "Contribution" },
+  { field: "ERF", label: "ERF" },
+  { field: "rawSCOI", label: "SCOI" },
+  { field: "adjustedSCOI", label: "Adjusted SCOI" },
+];
+
+// AI scores an analyst has signed off; drafts and audits under review stay internal
+const REVIEWED_STATUSES = ["approved", "published"];
+
+/**
+ * Latest reviewed, scored AI audit of the organization (matched by name), or null.
+ */
+export function latestAiAudit(org) {
+  return Audit.findOne({
+    key: normalizeEntityKey(org.name),
+    status: { $in: REVIEWED_STATUSES },
+    adjustedSCOI: { $ne: null },
+    completedAt: { $ne: null },
+    error: null,
+  })
+    .sort({ createdAt: -1 })
+    .select("entity mode visibility contribution ERF rawSCOI adjustedSCOI placementLevel status createdAt")
+    .lean();
+}
+
+/**
+ * Self-reported vs. AI audit scores: [{ label, self, ai, gap }] where gap is
+ * self − AI (null when either side is missing), plus both placements.
+ */
+export function compareWithAudit(scores, audit) {
+  const rows = COMPARED.map(({ field, label }) => {
+    const self = scores ? scores[field] : null;
+    const ai = audit ? audit[field] : null;
+    const gap = typeof self === "number" && typeof ai === "number" ? +(self - ai).toFixed(3) : null;
+    return { label, self, ai, gap };
+  });
+  return {
+    rows,
+    selfPlacement: scores ? scores.placementLevel : null,
+    aiPlacement: audit ? audit.placementLevel : null,
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * structuredAudit.js
+ * Runs a structured (schema-locked JSON) audit through autoFetchAndScore and
+ * saves it as an Audit. Shared by POST /api/audits/run, batch audits and
+ * scheduled re-audits; credit checks are the caller's job.
+ */
+import Audit from "../models/audit.js";
+import autoFetchAndScore from "./autoFetchAndScore.js";
+import { formatSCOI } from "./formatSCOI.js";
+import { normalizeEntityKey } from "./normalizeEntity.js";
+import { assertBudget, costOf, recordUsage } from "./llmUsage.js";
+import { resolveSector } from "./sectors.js";
+import { resolveLanguage } from "./languages.js";
+
+/**
+ * Resolves to { audit, result } where `result` is autoFetchAndScore's output.
+ * Throws what autoFetchAndScore throws (err.status = 502 for bad model output),
+ * and err.status = 402 once a monthly AI budget is used up.
+ */
+export async function runStructuredAudit(entity, { user, forceRefresh = false, batch = null, watch = null, language = null } = {}) {
+  await assertBudget(user);
+  const startedAt = Date.now();
+  // no explicit language: the requester's locale, else English
+  const lang = language || resolveLanguage(null, user).language;
+  const result = await autoFetchAndScore(entity, { forceRefresh, language: lang });
+  // cache and exemplar hits made no model call
+  const usage = result.cached ? null : result.usage || null;
+  const key = normalizeEntityKey(entity);
+  const { sector, sectorSource } = await resolveSector(key, result.sector);
+
+  const audit = await Audit.create({
+    entity,
+    key,
+    mode: "structured",
+    language: result.language || lang,
+    visibility: result.visibility,
+    contribution: result.contribution,
+    ERF: result.ERF,
+    rawSCOI: result.rawSCOI,
+    adjustedSCOI: result.adjustedSCOI,
+    placementLevel: result.placementLevel,
+    policyVersion: result.policyVersion ?? null,
+    sector,
+    sectorSource,
+    visibilityRationale: result.visibilityRationale,
+    contributionRationale: result.contributionRationale,
+    ERFRationale: result.ERFRationale,
+    interpretation: result.interpretation,
+    commentary: result.commentary,
+    text: formatSCOI({ ...result, scoiInterpretation: result.interpretation }, entity),
+    urls: result.urls || [],
+    sources: result.sources || [],
+    citations: result.citations || {},
+    citationProblems: result.citationProblems || [],
+    source: result.source || null,
+    context: { provider: result.contextProvider || null, error: result.contextError || null },
+    user: user ? user._id : null,
+    organization: (user && user.organization) || null,
+    batch,
+    watch,
+    llm: { provider: result.provider || null, model: result.model || null, promptVersion: result.promptVersion || null, temperature: 0, durationMs: Date.now() - startedAt,
+      usage, costUsd: usage ? costOf(result.model, usage) : null },
+    completedAt: new Date(),
+  });
+  if (usage) {
+    await recordUsage({ kind: "audit_structured", usage, model: result.model, provider: result.provider, audit: audit._id, user });
+  }
+
+  return { audit, result };
+}
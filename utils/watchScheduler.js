@@ -0,0 +1,147 @@
+/**
+ * watchScheduler.js
+ * Re-runs watched entities (models/auditWatch.js) on their cadence through the
+ * structured scorer, bypassing the audit cache, and raises drift alerts
+ * (models/auditAlert.js). Polls every WATCH_TICK_MINUTES (default 5; 0 disables).
+ * Scheduled runs are charged to the owner's daily credits; a run the owner
+ * cannot pay for is skipped until the quota (or budget) resets.
+ */
+import AuditWatch from "../models/auditWatch.js";
+import AuditAlert from "../models/auditAlert.js";
+import User from "../models/user.js";
+import { runStructuredAudit } from "./structuredAudit.js";
+import { consumeSearchCredit } from "./searchCredits.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+// a claimed watch is retried after this if the process dies mid-run
+const LEASE_MS = 15 * 60 * 1000;
+// watches run per tick (sequentially)
+const MAX_PER_TICK = 10;
+// retry delay for an unpaid run when the quota gives no reset time
+const QUOTA_RETRY_MS = 24 * HOUR_MS;
+
+/**
+ * Alerts for a new result relative to the previous run ([] for the first run).
+ */
+export function evaluateDrift(prev, next, alertDelta) {
+  const alerts = [];
+  if (!prev || prev.adjustedSCOI === null || prev.adjustedSCOI === undefined) return alerts;
+
+  const from = { adjustedSCOI: prev.adjustedSCOI, placementLevel: prev.placementLevel || null };
+  const to = { adjustedSCOI: next.adjustedSCOI, placementLevel: next.placementLevel || null };
+  const delta = +(next.adjustedSCOI - prev.adjustedSCOI).toFixed(6);
+
+  if (from.placementLevel && to.placementLevel && from.placementLevel !== to.placementLevel) {
+    alerts.push({ kind: "placement_change", from, to, delta });
+  }
+  if (Math.abs(delta) > alertDelta) {
+    alerts.push({ kind: "scoi_delta", from, to, delta });
+  }
+  return alerts;
+}
+
+// skip an unpaid run until `credit` (a failed consumeSearchCredit) resets
+async function deferUnpaid(watch, credit, now) {
+  const resetAt = credit.body && credit.body.resetAt ? new Date(credit.body.resetAt) : null;
+  const nextRunAt = resetAt && resetAt > now ? resetAt : new Date(now.getTime() + QUOTA_RETRY_MS);
+  await AuditWatch.updateOne({ _id: watch._id }, {
+    $set: { lastError: String((credit.body && credit.body.error) || "No audit credit available"), nextRunAt },
+  });
+  console.log(`[watchScheduler] "${watch.entity}" skipped (${credit.status}); next try ${nextRunAt.toISOString()}`);
+}
+
+export async function runWatch(watch) {
+  const startedAt = new Date();
+  try {
+    const user = await User.findById(watch.user).lean();
+    if (!user) throw new Error("Watch owner no longer exists");
+
+    // a prepaid run stays prepaid until it succeeds
+    if (!watch.prepaidRun) {
+      const credit = await consumeSearchCredit(user);
+      if (!credit.ok) return await deferUnpaid(watch, credit, startedAt);
+    }
+
+    const { audit, result } = await runStructuredAudit(watch.entity, {
+      user,
+      forceRefresh: true,
+      watch: watch._id,
+    });
+
+    const alerts = evaluateDrift(
+      { adjustedSCOI: watch.lastAdjustedSCOI, placementLevel: watch.lastPlacementLevel },
+      result,
+      watch.alertDelta
+    );
+    if (alerts.length) {
+      await AuditAlert.insertMany(
+        alerts.map((a) => ({ ...a, watch: watch._id, user: watch.user, entity: watch.entity, audit: audit._id }))
+      );
+      console.log(`[watchScheduler] ${alerts.length} alert(s) for "${watch.entity}"`);
+    }
+
+    await AuditWatch.updateOne({ _id: watch._id }, {
+      $set: {
+        lastAudit: audit._id,
+        lastAdjustedSCOI: result.adjustedSCOI,
+        lastPlacementLevel: result.placementLevel,
+        lastRunAt: startedAt,
+        nextRunAt: new Date(startedAt.getTime() + watch.cadenceHours * HOUR_MS),
+        failures: 0,
+        lastError: null,
+        prepaidRun: false,
+      },
+    });
+  } catch (err) {
+    console.error(`[watchScheduler] "${watch.entity}" failed:`, err && (err.stack || err));
+    // back off 1h, 2h, 4h ... capped at the cadence
+    const backoffHours = Math.min(watch.cadenceHours, 2 ** (watch.failures || 0));
+    await AuditWatch.updateOne({ _id: watch._id }, {
+      $set: {
+        lastError: String(err.message || err),
+        lastRunAt: startedAt,
+        nextRunAt: new Date(startedAt.getTime() + backoffHours * HOUR_MS),
+      },
+      $inc: { failures: 1 },
+    });
+  }
+}
+
+let ticking = false;
+
+/**
+ * Run every watch that is due. Each watch is claimed (nextRunAt pushed out by
+ * a lease) before it runs, so overlapping instances never run it twice.
+ */
+export async function runDueWatches() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (let n = 0; n < MAX_PER_TICK; n++) {
+      const now = new Date();
+      const watch = await AuditWatch.findOneAndUpdate(
+        { active: true, nextRunAt: { $lte: now } },
+        { $set: { nextRunAt: new Date(now.getTime() + LEASE_MS) } },
+        { sort: { nextRunAt: 1 }, new: true }
+      ).lean();
+      if (!watch) break;
+      await runWatch(watch);
+    }
+  } catch (err) {
+    console.error("[watchScheduler] tick error:", err && (err.stack || err));
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startWatchScheduler() {
+  const minutes = Number(process.env.WATCH_TICK_MINUTES ?? 5);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.log("[watchScheduler] disabled (WATCH_TICK_MINUTES=0)");
+    return null;
+  }
+  const timer = setInterval(runDueWatches, minutes * 60 * 1000);
+  console.log(`[watchScheduler] checking watches every ${minutes} min`);
+  runDueWatches();
+  return timer;
+}